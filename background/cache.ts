@@ -0,0 +1,268 @@
+import { Storage } from "@plasmohq/storage"
+
+import { PROMPT_VERSION } from "./prompts"
+
+/**
+ * 翻译缓存
+ * 以「规范化后的原文 + 语言对 + 服务商/模型 + 提示词」为键，按LRU淘汰；
+ * 内存中保留一份，条目变更后延迟写入 chrome.storage.local，service worker被回收后仍可复用；
+ * 命中统计单独保存，查询缓存不会重写全部条目。
+ * 同时合并进行中的相同请求，避免并发时重复调用API
+ */
+
+const CACHE_KEY = "translationCache"
+const STATS_KEY = "translationCacheStats"
+// 条目数和总字节数的上限，超出时从最久未使用的条目开始淘汰
+// storage.local 只有10MB，与历史记录、生词本、用量统计共用，缓存最多占用2MB
+const MAX_ENTRIES = 1000
+const MAX_BYTES = 2 * 1024 * 1024
+// 变更后延迟写入存储，合并短时间内的多次写入
+const PERSIST_DELAY = 1000
+
+const storage = new Storage({ area: "local" })
+const encoder = new TextEncoder()
+
+interface CacheSnapshot {
+  entries: [string, string][]
+}
+
+interface CacheStatsSnapshot {
+  hits: number
+  misses: number
+}
+
+let entries: Map<string, string> | null = null
+let loading: Promise<Map<string, string>> | null = null
+let totalBytes = 0
+// 条目是否有未写入存储的变更
+let dirty = false
+let persistTimer: ReturnType<typeof setTimeout> | null = null
+const stats = { hits: 0, misses: 0, deduped: 0 }
+
+// 进行中的请求，键相同的请求共用同一个Promise
+const inflight = new Map<string, Promise<string>>()
+
+// 按UTF-8估算条目占用的存储空间，中文每个字约3字节
+const entrySize = (key: string, value: string) =>
+  encoder.encode(key).length + encoder.encode(value).length
+
+/**
+ * 首次使用时从存储中恢复缓存
+ */
+const load = () => {
+  if (entries) return Promise.resolve(entries)
+  if (!loading) {
+    loading = Promise.all([
+      storage.get<CacheSnapshot>(CACHE_KEY),
+      storage.get<CacheStatsSnapshot>(STATS_KEY)
+    ]).then(([snapshot, saved]) => {
+      entries = new Map(snapshot?.entries || [])
+      totalBytes = 0
+      entries.forEach((value, key) => (totalBytes += entrySize(key, value)))
+      stats.hits = saved?.hits || 0
+      stats.misses = saved?.misses || 0
+      return entries
+    })
+  }
+  return loading
+}
+
+/**
+ * 延迟写入存储：统计每次都写，条目只在有变更时才整体写入
+ */
+const schedulePersist = () => {
+  if (persistTimer) return
+  persistTimer = setTimeout(() => {
+    persistTimer = null
+    const saved: CacheStatsSnapshot = { hits: stats.hits, misses: stats.misses }
+    storage.set(STATS_KEY, saved).catch((error) => {
+      console.warn("缓存统计写入失败:", error)
+    })
+    if (!dirty) return
+    dirty = false
+    const snapshot: CacheSnapshot = { entries: Array.from(entries || []) }
+    storage.set(CACHE_KEY, snapshot).catch((error) => {
+      console.warn("翻译缓存写入失败:", error)
+    })
+  }, PERSIST_DELAY)
+}
+
+/**
+ * FNV-1a哈希，用于缩短缓存键中较长的部分
+ */
+const hashString = (text: string) => {
+  let hash = 0x811c9dc5
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i)
+    hash = Math.imul(hash, 0x01000193)
+  }
+  return (hash >>> 0).toString(36)
+}
+
+/**
+ * 规范化原文：去掉首尾空白并合并连续空白，使仅空白不同的选区命中同一条缓存
+ */
+const normalizeText = (text: string) => text.trim().replace(/\s+/g, " ")
+
+/**
+ * 生成缓存键
+ * @param options.text - 原文
+ * @param options.sourceLang - 原文语言
+ * @param options.targetLang - 目标语言
+ * @param options.provider - 服务商
+ * @param options.model - 模型，机器翻译类服务商为空
+ * @param options.variant - 其他影响译文的因素，例如系统提示词，只保存其哈希值
+ */
+export const buildCacheKey = ({
+  text,
+  sourceLang,
+  targetLang,
+  provider,
+  model,
+  variant
+}: {
+  text: string
+  sourceLang: string
+  targetLang: string
+  provider?: string
+  model?: string
+  variant?: string
+}) =>
+  // 规范化后的原文不含换行，可以安全地用换行分隔各部分
+  [
+    PROMPT_VERSION,
+    provider || "",
+    model || "",
+    variant ? hashString(variant) : "",
+    sourceLang,
+    targetLang,
+    normalizeText(text)
+  ].join("\n")
+
+/**
+ * 读取缓存，命中时把条目移到最近使用的位置
+ * 顺序的变化不单独写入存储，随下一次条目变更一起保存
+ */
+export const getCached = async (key: string) => {
+  const cache = await load()
+  const value = cache.get(key)
+  if (value === undefined) {
+    stats.misses++
+  } else {
+    stats.hits++
+    cache.delete(key)
+    cache.set(key, value)
+  }
+  schedulePersist()
+  return value
+}
+
+/**
+ * 写入缓存，超出上限时淘汰最久未使用的条目
+ */
+export const setCached = async (key: string, value: string) => {
+  if (!value) return
+  const cache = await load()
+
+  if (cache.has(key)) {
+    totalBytes -= entrySize(key, cache.get(key))
+    cache.delete(key)
+  }
+  cache.set(key, value)
+  totalBytes += entrySize(key, value)
+
+  // Map按插入顺序遍历，第一个键就是最久未使用的
+  for (const oldest of cache.keys()) {
+    if (cache.size <= MAX_ENTRIES && totalBytes <= MAX_BYTES) break
+    totalBytes -= entrySize(oldest, cache.get(oldest))
+    cache.delete(oldest)
+  }
+  dirty = true
+  schedulePersist()
+}
+
+/**
+ * 查询缓存，未命中时调用fetcher并写入缓存
+ * 键相同的请求正在进行时直接等待它的结果
+ * @param key - 缓存键
+ * @param fetcher - 实际发起翻译的函数
+ * @param options.bypass - 跳过缓存读取（重新翻译），结果仍会写回缓存
+ * @param options.shared - 是否与键相同的请求合并；带有取消信号或用量回调的请求
+ *   只属于发起它的页面，传false时既不等待别人的请求，也不让别人等待自己
+ */
+export const withCache = async (
+  key: string,
+  fetcher: () => Promise<string>,
+  { bypass = false, shared = true } = {}
+) => {
+  if (!bypass) {
+    const cached = await getCached(key)
+    if (cached !== undefined) return cached
+  }
+
+  if (!shared) {
+    const result = await fetcher()
+    await setCached(key, result)
+    return result
+  }
+
+  const pending = inflight.get(key)
+  if (pending) {
+    stats.deduped++
+    return pending
+  }
+
+  const request = fetcher()
+    .then(async (result) => {
+      await setCached(key, result)
+      return result
+    })
+    .finally(() => inflight.delete(key))
+  inflight.set(key, request)
+  return request
+}
+
+/**
+ * 等待键相同的进行中请求，没有时返回undefined
+ * 流式翻译可以中途停止，不登记到进行中的请求里，只复用别人的结果
+ */
+export const joinInflight = (key: string) => {
+  const pending = inflight.get(key)
+  if (pending) stats.deduped++
+  return pending
+}
+
+/**
+ * 缓存统计
+ */
+export const getCacheStats = async () => {
+  const cache = await load()
+  const lookups = stats.hits + stats.misses
+  return {
+    entries: cache.size,
+    bytes: totalBytes,
+    maxEntries: MAX_ENTRIES,
+    hits: stats.hits,
+    misses: stats.misses,
+    hitRate: lookups ? stats.hits / lookups : 0,
+    deduped: stats.deduped
+  }
+}
+
+/**
+ * 清空缓存和统计
+ */
+export const clearCache = async () => {
+  const cache = await load()
+  cache.clear()
+  totalBytes = 0
+  dirty = false
+  stats.hits = 0
+  stats.misses = 0
+  stats.deduped = 0
+  if (persistTimer) {
+    clearTimeout(persistTimer)
+    persistTimer = null
+  }
+  await Promise.all([storage.remove(CACHE_KEY), storage.remove(STATS_KEY)])
+}
@@ -0,0 +1,37 @@
+/**
+ * 可取消的非流式翻译请求
+ * 页面发起翻译时附带requestId，关闭结果弹窗时通过cancel消息中止对应的请求；
+ * 流式翻译直接断开端口即可，不需要登记
+ */
+
+const controllers = new Map<string, AbortController>()
+
+/**
+ * 登记一个请求，返回用于中止它的AbortSignal
+ * @param requestId - 页面生成的请求ID，为空时返回undefined
+ */
+export const trackRequest = (requestId?: string) => {
+  if (!requestId) return undefined
+  const controller = new AbortController()
+  controllers.set(requestId, controller)
+  return controller.signal
+}
+
+/**
+ * 请求结束后移除登记
+ */
+export const untrackRequest = (requestId?: string) => {
+  if (requestId) controllers.delete(requestId)
+}
+
+/**
+ * 中止请求
+ * @returns 是否找到了仍在进行的请求
+ */
+export const cancelRequest = (requestId: string) => {
+  const controller = controllers.get(requestId)
+  if (!controller) return false
+  controller.abort()
+  controllers.delete(requestId)
+  return true
+}
@@ -0,0 +1,11 @@
+import { Storage } from "@plasmohq/storage"
+
+import { GLOSSARY_KEY, type GlossaryEntry } from "~utils/glossary"
+
+const storage = new Storage({ area: "local" })
+
+/**
+ * 读取术语表，设置页修改后下一次翻译即生效
+ */
+export const getGlossary = async (): Promise<GlossaryEntry[]> =>
+  (await storage.get<GlossaryEntry[]>(GLOSSARY_KEY)) || []
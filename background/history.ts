@@ -0,0 +1,139 @@
+import { Storage } from "@plasmohq/storage"
+
+import { createWriteQueue } from "./write-queue"
+
+/**
+ * 翻译历史记录
+ * 保存在 chrome.storage.local 中，所有读写都经由background串行执行，
+ * 避免多个标签页同时写入时互相覆盖
+ */
+
+const HISTORY_KEY = "history"
+// 超过上限时优先删除最早的未收藏记录
+const MAX_HISTORY = 2000
+
+const storage = new Storage({ area: "local" })
+
+export interface HistoryEntry {
+  id: string
+  sourceText: string
+  translatedText: string
+  sourceLang: string
+  targetLang: string
+  provider: string
+  model: string
+  url: string
+  title: string
+  createdAt: number
+  starred: boolean
+}
+
+// 写操作队列，保证读-改-写不会交错
+const withLock = createWriteQueue()
+
+const readAll = async (): Promise<HistoryEntry[]> =>
+  (await storage.get<HistoryEntry[]>(HISTORY_KEY)) || []
+
+const writeAll = (entries: HistoryEntry[]) => storage.set(HISTORY_KEY, entries)
+
+/**
+ * 按关键字和收藏状态筛选记录，结果按时间倒序
+ * @param options.query - 关键字，匹配原文、译文和页面地址
+ * @param options.starredOnly - 是否只看收藏
+ */
+const filterEntries = (
+  entries: HistoryEntry[],
+  { query = "", starredOnly = false }
+) => {
+  const keyword = query.trim().toLowerCase()
+  return entries.filter((entry) => {
+    if (starredOnly && !entry.starred) return false
+    if (!keyword) return true
+    return [entry.sourceText, entry.translatedText, entry.url, entry.title]
+      .filter(Boolean)
+      .some((field) => field.toLowerCase().includes(keyword))
+  })
+}
+
+/**
+ * 新增一条历史记录
+ * @param entry - 不含id、createdAt、starred的记录内容
+ */
+export const addHistory = (entry) =>
+  withLock(async () => {
+    const entries = await readAll()
+    const record: HistoryEntry = {
+      ...entry,
+      id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+      createdAt: Date.now(),
+      starred: false
+    }
+    entries.unshift(record)
+
+    // 超出上限时从最早的记录开始删除未收藏的
+    for (
+      let i = entries.length - 1;
+      entries.length > MAX_HISTORY && i >= 0;
+      i--
+    ) {
+      if (!entries[i].starred) entries.splice(i, 1)
+    }
+
+    await writeAll(entries)
+    return record
+  })
+
+/**
+ * 分页查询历史记录
+ * @returns {{ items: HistoryEntry[], total: number }}
+ */
+export const listHistory = async ({
+  query = "",
+  starredOnly = false,
+  page = 1,
+  pageSize = 20
+} = {}) => {
+  const matched = filterEntries(await readAll(), { query, starredOnly })
+  const start = (page - 1) * pageSize
+  return {
+    items: matched.slice(start, start + pageSize),
+    total: matched.length
+  }
+}
+
+/**
+ * 获取全部符合条件的记录，用于导出
+ */
+export const exportHistory = async ({ query = "", starredOnly = false } = {}) =>
+  filterEntries(await readAll(), { query, starredOnly })
+
+/**
+ * 设置记录的收藏状态
+ */
+export const starHistory = (id, starred) =>
+  withLock(async () => {
+    const entries = await readAll()
+    const entry = entries.find((item) => item.id === id)
+    if (entry) {
+      entry.starred = starred
+      await writeAll(entries)
+    }
+  })
+
+/**
+ * 删除一条记录
+ */
+export const deleteHistory = (id) =>
+  withLock(async () => {
+    const entries = await readAll()
+    await writeAll(entries.filter((item) => item.id !== id))
+  })
+
+/**
+ * 清空历史记录，保留收藏
+ */
+export const clearHistory = () =>
+  withLock(async () => {
+    const entries = await readAll()
+    await writeAll(entries.filter((item) => item.starred))
+  })
@@ -1,3 +1,83 @@
+import { sendToContentScript } from "@plasmohq/messaging"
+
+import { getReaderUrl } from "~utils/documents"
+
+import { migrateProfiles } from "./profiles"
+import { updateBudgetBadge, watchUsageSettings } from "./usage"
+
 console.log("Background service worker running")
 
-export {}
\ No newline at end of file
+migrateProfiles().catch((err) => {
+  console.error("API配置迁移失败:", err)
+})
+
+// 启动时以及价格、预算修改后检查本月用量是否超出预算
+updateBudgetBadge().catch((err) => {
+  console.warn("更新预算提醒失败:", err)
+})
+watchUsageSettings()
+
+const CONTEXT_MENU_ID = "translate-selection"
+const IMAGE_MENU_ID = "translate-image"
+const READER_MENU_ID = "open-in-reader"
+
+/**
+ * 注册右键菜单，菜单在扩展安装或更新时创建一次即可
+ */
+chrome.runtime.onInstalled.addListener(() => {
+  chrome.contextMenus.create({
+    id: CONTEXT_MENU_ID,
+    title: "使用DeepSeek翻译“%s”",
+    contexts: ["selection"]
+  })
+  // 画布和被遮罩盖住的图片没有图片菜单，可以使用 translate-image 快捷键识别鼠标处的图片
+  chrome.contextMenus.create({
+    id: IMAGE_MENU_ID,
+    title: "识别并翻译图片中的文字",
+    contexts: ["image"]
+  })
+  // 浏览器内置的PDF查看器中无法划词翻译，提供在文档翻译阅读器中打开PDF链接的入口
+  chrome.contextMenus.create({
+    id: READER_MENU_ID,
+    title: "在文档翻译中打开PDF",
+    contexts: ["link"],
+    targetUrlPatterns: ["*://*/*.pdf", "*://*/*.pdf?*"]
+  })
+})
+
+/**
+ * 把指令转发给当前标签页的内容脚本
+ * @param name - 内容脚本中处理的消息名
+ * @param body - 消息内容
+ * @param tabId - 目标标签页，为空时为当前标签页
+ */
+const forwardToTab = (name: string, body = {}, tabId?: number) => {
+  sendToContentScript({ name, body, tabId }).catch((err) => {
+    console.warn(`${name} 指令发送失败:`, err)
+  })
+}
+
+/**
+ * 处理manifest中声明的快捷键
+ * 指令名（translate-page、translate-selection、copy-translation、translate-input、translate-image）与内容脚本中的消息同名
+ */
+chrome.commands.onCommand.addListener((command) => {
+  forwardToTab(command)
+})
+
+/**
+ * 右键菜单：把选中的文本或图片交给内容脚本翻译，PDF链接在阅读器中打开
+ * 输入框和iframe中的选区页面读不到，因此一并传入菜单提供的文本
+ */
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+  if (info.menuItemId === READER_MENU_ID) {
+    chrome.tabs.create({ url: getReaderUrl(info.linkUrl) })
+    return
+  }
+  if (!tab?.id) return
+  if (info.menuItemId === CONTEXT_MENU_ID) {
+    forwardToTab("translate-selection", { text: info.selectionText }, tab.id)
+  } else if (info.menuItemId === IMAGE_MENU_ID) {
+    forwardToTab("translate-image", { srcUrl: info.srcUrl }, tab.id)
+  }
+})
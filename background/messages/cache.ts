@@ -0,0 +1,32 @@
+import type { PlasmoMessaging } from "@plasmohq/messaging"
+
+import { clearCache, getCacheStats } from "~background/cache"
+
+/**
+ * 翻译缓存的消息处理器
+ * body.action: stats / clear
+ */
+const handler: PlasmoMessaging.MessageHandler = async (req, res) => {
+  const { action } = req.body || {}
+
+  try {
+    let result
+    switch (action) {
+      case "stats":
+        result = await getCacheStats()
+        break
+      case "clear":
+        result = await clearCache()
+        break
+      default:
+        throw new Error(`未知的操作: ${action}`)
+    }
+
+    res.send({ success: true, result })
+  } catch (error) {
+    console.error("翻译缓存操作失败:", error)
+    res.send({ success: false, error: error.message })
+  }
+}
+
+export default handler
@@ -0,0 +1,14 @@
+import type { PlasmoMessaging } from "@plasmohq/messaging"
+
+import { cancelRequest } from "~background/cancellation"
+
+/**
+ * 取消仍在进行的非流式翻译
+ * body: { requestId }
+ */
+const handler: PlasmoMessaging.MessageHandler = async (req, res) => {
+  const { requestId } = req.body || {}
+  res.send({ success: true, cancelled: cancelRequest(requestId) })
+}
+
+export default handler
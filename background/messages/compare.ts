@@ -0,0 +1,50 @@
+import type { PlasmoMessaging } from "@plasmohq/messaging"
+
+import { trackRequest, untrackRequest } from "~background/cancellation"
+import { getProfileConfig } from "~background/profiles"
+import { compareTranslation } from "~background/translator"
+import { getSenderSite } from "~background/usage"
+import { ERROR_CODES, serializeError, TranslateError } from "~utils/errors"
+
+/**
+ * 模型对比：用指定档案和模型翻译同一段文本
+ * 页面为每个候选各发一次请求，各自返回后即可显示
+ * body: { text, apiConfig, profileId, model, targetLang, templateId, context, markdown, requestId }
+ */
+const handler: PlasmoMessaging.MessageHandler = async (req, res) => {
+  const {
+    text,
+    apiConfig,
+    profileId,
+    model,
+    targetLang,
+    templateId,
+    context,
+    markdown,
+    requestId
+  } = req.body || {}
+  const signal = trackRequest(requestId)
+
+  try {
+    const config = await getProfileConfig(apiConfig, profileId, model)
+    if (!config) {
+      throw new TranslateError(ERROR_CODES.CONFIG, "档案不存在或已被删除")
+    }
+    const result = await compareTranslation(text, config, {
+      targetLang,
+      signal,
+      templateId,
+      context,
+      markdown,
+      site: getSenderSite(req.sender)
+    })
+    res.send({ success: true, ...result })
+  } catch (error) {
+    console.error("模型对比翻译出错:", error)
+    res.send({ success: false, ...serializeError(error) })
+  } finally {
+    untrackRequest(requestId)
+  }
+}
+
+export default handler
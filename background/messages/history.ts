@@ -0,0 +1,51 @@
+import type { PlasmoMessaging } from "@plasmohq/messaging"
+
+import {
+  addHistory,
+  clearHistory,
+  deleteHistory,
+  exportHistory,
+  listHistory,
+  starHistory
+} from "~background/history"
+
+/**
+ * 翻译历史记录的消息处理器
+ * body.action: add / list / export / star / delete / clear
+ */
+const handler: PlasmoMessaging.MessageHandler = async (req, res) => {
+  const { action, ...params } = req.body || {}
+
+  try {
+    let result
+    switch (action) {
+      case "add":
+        result = await addHistory(params.entry)
+        break
+      case "list":
+        result = await listHistory(params)
+        break
+      case "export":
+        result = await exportHistory(params)
+        break
+      case "star":
+        result = await starHistory(params.id, params.starred)
+        break
+      case "delete":
+        result = await deleteHistory(params.id)
+        break
+      case "clear":
+        result = await clearHistory()
+        break
+      default:
+        throw new Error(`未知的操作: ${action}`)
+    }
+
+    res.send({ success: true, result })
+  } catch (error) {
+    console.error("历史记录操作失败:", error)
+    res.send({ success: false, error: error.message })
+  }
+}
+
+export default handler
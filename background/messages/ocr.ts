@@ -0,0 +1,23 @@
+import type { PlasmoMessaging } from "@plasmohq/messaging"
+
+import { recognizeImage } from "~background/ocr"
+
+/**
+ * 图片文字识别的消息处理器
+ * body.image: 图片地址或data URL
+ * body.languages: 识别语言
+ */
+const handler: PlasmoMessaging.MessageHandler = async (req, res) => {
+  const { image, languages } = req.body || {}
+
+  try {
+    if (!image) throw new Error("没有可识别的图片")
+    const result = await recognizeImage(image, languages)
+    res.send({ success: true, result })
+  } catch (error) {
+    console.error("文字识别失败:", error)
+    res.send({ success: false, error: error.message })
+  }
+}
+
+export default handler
@@ -0,0 +1,22 @@
+import type { PlasmoMessaging } from "@plasmohq/messaging"
+
+import { testConnection } from "~background/translator"
+import { serializeError } from "~utils/errors"
+
+/**
+ * 测试API配置
+ * body: { apiConfig }
+ */
+const handler: PlasmoMessaging.MessageHandler = async (req, res) => {
+  const { apiConfig } = req.body || {}
+
+  try {
+    const result = await testConnection(apiConfig)
+    res.send({ success: true, result })
+  } catch (error) {
+    console.error("测试连接失败:", error)
+    res.send({ success: false, ...serializeError(error) })
+  }
+}
+
+export default handler
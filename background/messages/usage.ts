@@ -0,0 +1,32 @@
+import type { PlasmoMessaging } from "@plasmohq/messaging"
+
+import { clearUsage, listUsage } from "~background/usage"
+
+/**
+ * 用量统计的消息处理器
+ * body.action: list / clear
+ */
+const handler: PlasmoMessaging.MessageHandler = async (req, res) => {
+  const { action } = req.body || {}
+
+  try {
+    let result
+    switch (action) {
+      case "list":
+        result = await listUsage()
+        break
+      case "clear":
+        result = await clearUsage()
+        break
+      default:
+        throw new Error(`未知的操作: ${action}`)
+    }
+
+    res.send({ success: true, result })
+  } catch (error) {
+    console.error("用量统计操作失败:", error)
+    res.send({ success: false, error: error.message })
+  }
+}
+
+export default handler
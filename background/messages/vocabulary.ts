@@ -0,0 +1,39 @@
+import type { PlasmoMessaging } from "@plasmohq/messaging"
+
+import {
+  addVocabulary,
+  deleteVocabulary,
+  listVocabulary
+} from "~background/vocabulary"
+
+/**
+ * 生词本的消息处理器
+ * body.action: add / list / delete
+ */
+const handler: PlasmoMessaging.MessageHandler = async (req, res) => {
+  const { action, ...params } = req.body || {}
+
+  try {
+    let result
+    switch (action) {
+      case "add":
+        result = await addVocabulary(params.entry)
+        break
+      case "list":
+        result = await listVocabulary()
+        break
+      case "delete":
+        result = await deleteVocabulary(params.id)
+        break
+      default:
+        throw new Error(`未知的操作: ${action}`)
+    }
+
+    res.send({ success: true, result })
+  } catch (error) {
+    console.error("生词本操作失败:", error)
+    res.send({ success: false, error: error.message })
+  }
+}
+
+export default handler
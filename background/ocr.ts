@@ -0,0 +1,49 @@
+import { DEFAULT_OCR_LANGUAGES, OCR_MESSAGE_TARGET } from "~utils/ocr"
+import type { OcrResult } from "~utils/ocr"
+
+/**
+ * 图片文字识别
+ * service worker中不能创建Web Worker，识别在离屏文档中进行，这里负责创建文档并转发请求
+ */
+
+const OFFSCREEN_URL = "tabs/ocr.html"
+
+// 正在创建的离屏文档，同时收到多个请求时只创建一次
+let creating: Promise<void> | null = null
+
+const ensureOffscreenDocument = async () => {
+  if (await chrome.offscreen.hasDocument()) return
+  if (!creating) {
+    creating = chrome.offscreen
+      .createDocument({
+        url: OFFSCREEN_URL,
+        reasons: [chrome.offscreen.Reason.WORKERS],
+        justification: "在本地识别图片中的文字"
+      })
+      .finally(() => {
+        creating = null
+      })
+  }
+  await creating
+}
+
+/**
+ * 识别图片中的文字
+ * @param image - 图片地址或data URL，离屏文档是扩展页面，读取其他网站的图片不受跨域限制
+ * @param languages - 识别语言，见 OCR_LANGUAGES
+ */
+export const recognizeImage = async (
+  image: string,
+  languages: string[] = DEFAULT_OCR_LANGUAGES
+): Promise<OcrResult> => {
+  await ensureOffscreenDocument()
+  const resp = await chrome.runtime.sendMessage({
+    target: OCR_MESSAGE_TARGET,
+    image,
+    languages: languages.length > 0 ? languages : DEFAULT_OCR_LANGUAGES
+  })
+  if (!resp?.success) {
+    throw new Error(resp?.error || "文字识别失败")
+  }
+  return resp.result
+}
@@ -0,0 +1,62 @@
+import type { PlasmoMessaging } from "@plasmohq/messaging"
+
+import { streamTranslateText } from "~background/translator"
+import { getSenderSite } from "~background/usage"
+import { serializeError } from "~utils/errors"
+
+/**
+ * 流式翻译端口
+ * content script每次翻译新建一个端口并发送 { text, apiConfig, targetLang, bypassCache, templateId, context, markdown }，
+ * 后台逐段回传 { type: "chunk" | "reasoning" | "progress" | "done" | "error", text?, progress?, error?, code? }，
+ * 长文本分段翻译时每完成一段回传一次 progress；
+ * content script断开端口即视为停止，后台随之中止请求
+ */
+const handler: PlasmoMessaging.PortHandler = async (req, res) => {
+  const { port, body } = req
+  const {
+    text,
+    apiConfig,
+    targetLang,
+    bypassCache,
+    templateId,
+    context,
+    markdown
+  } = body || {}
+
+  const controller = new AbortController()
+  port.onDisconnect.addListener(() => controller.abort())
+
+  try {
+    const translatedText = await streamTranslateText(text, apiConfig, {
+      targetLang,
+      bypassCache,
+      templateId,
+      context,
+      markdown,
+      site: getSenderSite(port.sender),
+      signal: controller.signal,
+      onProgress: (progress) => {
+        if (controller.signal.aborted) return
+        res.send({ type: "progress", progress })
+      },
+      onDelta: ({ content, reasoning }) => {
+        // 端口中途断开时不再回传
+        if (controller.signal.aborted) return
+        res.send(
+          reasoning ? { type: "reasoning" } : { type: "chunk", text: content }
+        )
+      }
+    })
+
+    res.send({ type: "done", text: translatedText.trim() })
+  } catch (error) {
+    if (controller.signal.aborted) {
+      console.log("流式翻译已停止")
+      return
+    }
+    console.error("流式翻译出错:", error)
+    res.send({ type: "error", ...serializeError(error) })
+  }
+}
+
+export default handler
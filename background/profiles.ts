@@ -0,0 +1,43 @@
+import { Storage } from "@plasmohq/storage"
+
+import {
+  applyProfile,
+  migrateFromData,
+  PROFILES_KEY,
+  type ProfileStore
+} from "~utils/profiles"
+
+const storage = new Storage()
+
+/**
+ * 旧版本把服务商配置直接保存在 data 中，首次运行时转换为第一个档案
+ * 已经有档案时什么也不做；全新安装时创建一个DeepSeek的空档案
+ */
+export const migrateProfiles = async () => {
+  if (await storage.get<ProfileStore>(PROFILES_KEY)) return
+
+  const data = await storage.get<Record<string, any>>("data")
+  const migrated = migrateFromData(data || {})
+  await storage.set(PROFILES_KEY, migrated.store)
+  if (data) await storage.set("data", migrated.data)
+  console.log("API配置已迁移为档案:", migrated.store.items[0].name)
+}
+
+/**
+ * 把API配置换成指定档案的服务商配置，模型对比时使用
+ * 密钥等只保存在档案中，页面只需要传档案ID
+ * @param apiConfig - 页面当前的API配置
+ * @param profileId - 档案ID
+ * @param model - 使用的模型，为空时使用档案中的模型
+ */
+export const getProfileConfig = async (
+  apiConfig,
+  profileId: string,
+  model?: string
+) => {
+  const store = await storage.get<ProfileStore>(PROFILES_KEY)
+  const profile = store?.items?.find((item) => item.id === profileId)
+  if (!profile) return null
+  const config = applyProfile(apiConfig, profile)
+  return model ? { ...config, model } : config
+}
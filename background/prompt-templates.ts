@@ -0,0 +1,16 @@
+import { Storage } from "@plasmohq/storage"
+
+import {
+  PROMPT_TEMPLATES_KEY,
+  resolveTemplate,
+  type PromptTemplate
+} from "~utils/prompt-templates"
+
+const storage = new Storage({ area: "local" })
+
+/**
+ * 读取要使用的提示词模板，设置页修改后下一次翻译即生效
+ * @param id - 模板ID，为空或无效时使用标准模板
+ */
+export const getPromptTemplate = async (id?: string) =>
+  resolveTemplate(await storage.get<PromptTemplate[]>(PROMPT_TEMPLATES_KEY), id)
@@ -0,0 +1,78 @@
+import type { GlossaryEntry } from "~utils/glossary"
+import { getLanguageName } from "~utils/language"
+import {
+  buildGlossaryHint,
+  renderTemplate,
+  type PromptTemplate
+} from "~utils/prompt-templates"
+
+/**
+ * 翻译使用的系统提示词
+ */
+
+/**
+ * 提示词版本，修改内置提示词时递增，使旧提示词产生的翻译缓存失效
+ */
+export const PROMPT_VERSION = 1
+
+/**
+ * 根据翻译方向和翻译风格生成系统提示词
+ * @param options.template - 提示词模板
+ * @param options.sourceLang - 原文语言代码
+ * @param options.targetLang - 目标语言代码
+ * @param options.json - 是否要求以JSON格式输出（流式输出时为纯文本）
+ * @param options.glossary - 原文中命中的术语
+ * @param options.context - 原文的上下文
+ * @param options.markdown - 原文是否为保留格式的Markdown
+ */
+export const buildSystemPrompt = ({
+  template,
+  sourceLang,
+  targetLang,
+  json = true,
+  glossary = [],
+  context = "",
+  markdown = false
+}: {
+  template: PromptTemplate
+  sourceLang: string
+  targetLang: string
+  json?: boolean
+  glossary?: GlossaryEntry[]
+  context?: string
+  markdown?: boolean
+}) =>
+  renderTemplate(template.content, {
+    sourceLang,
+    targetLang,
+    glossary,
+    context,
+    json,
+    markdown
+  })
+
+/**
+ * 批量翻译（全文翻译）使用的系统提示词
+ * @param targetLang - 目标语言代码
+ * @param glossary - 这批段落中命中的术语
+ */
+export const buildBatchSystemPrompt = (targetLang, glossary = []) => {
+  const targetName = getLanguageName(targetLang)
+  return `你是一个专业的翻译助手。用户会提供一个JSON字符串数组，数组中的每一项是网页中的一个段落。请将每一项翻译成${targetName}，保持文本的原意和语气，已经是${targetName}的项原样返回。只返回翻译结果，不需要解释。${buildGlossaryHint(glossary)}请以JSON格式输出，格式为：{"translations": ["第1项的译文", "第2项的译文"]}，数组的长度和顺序必须与输入完全一致。`
+}
+
+/**
+ * 查词模式使用的系统提示词，要求按词典格式输出JSON
+ * @param sourceLang - 单词的语言代码
+ * @param targetLang - 释义使用的语言代码
+ * @param context - 单词所在的上下文，有上下文时把最符合语境的释义排在最前
+ */
+export const buildDictionaryPrompt = (sourceLang, targetLang, context = "") => {
+  const sourceName = getLanguageName(sourceLang)
+  const targetName = getLanguageName(targetLang)
+  return `你是一部${sourceName}-${targetName}词典。用户会提供一个${sourceName}单词或短语，请给出它的词典释义：音标（中文给出拼音，没有时留空）、各个词性及对应的${targetName}释义、2个左右的${sourceName}例句及其${targetName}译文，以及常见的词形变化（如复数、过去式、比较级，没有时为空数组）。只返回结果，不需要解释。请以JSON格式输出，格式为：{"word": "单词原形", "phonetic": "/音标/", "definitions": [{"partOfSpeech": "词性缩写，如n.、v.、adj.", "meaning": "${targetName}释义"}], "examples": [{"source": "例句", "translation": "例句译文"}], "inflections": ["词形变化"]}${
+    context
+      ? `\n以下是单词所在的上下文，请把最符合该语境的词性和释义排在最前面，上下文本身不要翻译：\n${context}`
+      : ""
+  }`
+}
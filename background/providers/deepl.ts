@@ -0,0 +1,59 @@
+import { ERROR_CODES, TranslateError } from "~utils/errors"
+
+import { requestJson } from "./request"
+import type { MTProvider } from "./types"
+
+/**
+ * DeepL风格的机器翻译接口适配器
+ * 请求体 { text: string[], target_lang }，响应体 { translations: [{ text }] }
+ * 兼容DeepL官方接口以及按同样格式实现的内部翻译服务
+ */
+
+// 内部语言代码到DeepL目标语言代码的映射
+const TARGET_LANG_CODES = {
+  zh: "ZH",
+  en: "EN-US",
+  pt: "PT-BR"
+}
+
+const translate: MTProvider["translate"] = async (
+  apiConfig,
+  texts,
+  { targetLang, signal }
+) => {
+  const authScheme = apiConfig.authScheme ?? "DeepL-Auth-Key"
+
+  const data = await requestJson(
+    apiConfig.apiUrl,
+    {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        Authorization: authScheme
+          ? `${authScheme} ${apiConfig.apiKey}`
+          : apiConfig.apiKey
+      },
+      body: JSON.stringify({
+        text: texts,
+        target_lang: TARGET_LANG_CODES[targetLang] || targetLang.toUpperCase()
+      })
+    },
+    { apiConfig, signal }
+  )
+  console.log("翻译API响应数据:", data)
+
+  if (
+    !Array.isArray(data?.translations) ||
+    data.translations.length !== texts.length
+  ) {
+    throw new TranslateError(ERROR_CODES.BAD_RESPONSE, "译文条数与原文不一致")
+  }
+  return data.translations.map((item) => item.text)
+}
+
+const deeplProvider: MTProvider = {
+  kind: "mt",
+  translate
+}
+
+export default deeplProvider
@@ -0,0 +1,23 @@
+import { DEFAULT_PROVIDER } from "~utils/providers"
+
+import deeplProvider from "./deepl"
+import ollamaProvider from "./ollama"
+import openaiProvider from "./openai"
+import type { TranslationProvider } from "./types"
+
+/**
+ * 服务商ID到适配器的映射，ID与 utils/providers 中的配置描述一一对应
+ */
+const PROVIDERS: Record<string, TranslationProvider> = {
+  deepseek: openaiProvider,
+  openai: openaiProvider,
+  ollama: ollamaProvider,
+  deepl: deeplProvider
+}
+
+/**
+ * 获取服务商适配器，未知的服务商回退到DeepSeek
+ * @param id - 服务商ID
+ */
+export const getProvider = (id): TranslationProvider =>
+  PROVIDERS[id] || PROVIDERS[DEFAULT_PROVIDER]
@@ -0,0 +1,139 @@
+import { ERROR_CODES, TranslateError } from "~utils/errors"
+import { DEFAULT_MAX_TOKENS, DEFAULT_TEMPERATURE } from "~utils/profiles"
+
+import { requestJson, requestStream } from "./request"
+import type { LLMProvider, TokenUsage } from "./types"
+
+/**
+ * Ollama本地模型适配器，使用 /api/chat 接口
+ * 流式响应为逐行的JSON（NDJSON），而不是SSE
+ */
+
+const DEFAULT_API_URL = "http://localhost:11434/api/chat"
+
+const buildRequestInit = (
+  apiConfig,
+  { systemPrompt, userContent, json = false },
+  { stream = false } = {}
+): RequestInit => ({
+  method: "POST",
+  headers: {
+    "Content-Type": "application/json"
+  },
+  body: JSON.stringify({
+    model: apiConfig.model,
+    messages: [
+      {
+        role: "system",
+        content: systemPrompt
+      },
+      {
+        role: "user",
+        content: userContent
+      }
+    ],
+    stream,
+    ...(json ? { format: "json" } : {}),
+    options: {
+      temperature: apiConfig.temperature ?? DEFAULT_TEMPERATURE,
+      num_predict: apiConfig.maxTokens || DEFAULT_MAX_TOKENS
+    }
+  })
+})
+
+/**
+ * 最后一条响应中的 prompt_eval_count / eval_count 即输入和输出的token数
+ */
+const toTokenUsage = (data): TokenUsage => ({
+  inputTokens: data.prompt_eval_count || 0,
+  outputTokens: data.eval_count || 0
+})
+
+/**
+ * 跨域被拒时Ollama返回403且没有响应体，换成具体的处理方法
+ */
+const explainForbidden = (error) => {
+  if (error instanceof TranslateError && error.status === 403) {
+    throw new TranslateError(
+      ERROR_CODES.AUTH,
+      "Ollama拒绝了请求，请设置 OLLAMA_ORIGINS 后重启Ollama",
+      403
+    )
+  }
+  throw error
+}
+
+const complete: LLMProvider["complete"] = async (apiConfig, options) => {
+  const data = await requestJson(
+    apiConfig.apiUrl || DEFAULT_API_URL,
+    buildRequestInit(apiConfig, options),
+    { apiConfig, signal: options.signal }
+  ).catch(explainForbidden)
+  console.log("Ollama响应数据:", data)
+  if (data?.done) options.onUsage?.(toTokenUsage(data))
+
+  const content = data?.message?.content
+  if (typeof content !== "string") {
+    throw new TranslateError(ERROR_CODES.BAD_RESPONSE, "缺少message字段")
+  }
+  return content
+}
+
+const stream: LLMProvider["stream"] = async (apiConfig, options) => {
+  const { signal, onDelta, onUsage } = options
+
+  const response = await requestStream(
+    apiConfig.apiUrl || DEFAULT_API_URL,
+    buildRequestInit(apiConfig, options, { stream: true }),
+    { apiConfig, signal }
+  ).catch(explainForbidden)
+
+  const reader = response.body.getReader()
+  const decoder = new TextDecoder()
+  let buffer = ""
+  let content = ""
+
+  while (true) {
+    const { done, value } = await reader.read()
+    if (done) break
+
+    buffer += decoder.decode(value, { stream: true })
+    const lines = buffer.split("\n")
+    buffer = lines.pop()
+
+    for (const line of lines) {
+      if (!line.trim()) continue
+
+      try {
+        const chunk = JSON.parse(line)
+        if (chunk.error) {
+          throw new TranslateError(ERROR_CODES.SERVER, chunk.error)
+        }
+        if (chunk.message?.content) {
+          content += chunk.message.content
+          onDelta({ content, reasoning: false })
+        }
+        if (chunk.done) {
+          onUsage?.(toTokenUsage(chunk))
+          return content
+        }
+      } catch (e) {
+        if (e instanceof SyntaxError) {
+          console.warn("Ollama数据解析失败:", line, e)
+        } else {
+          throw e
+        }
+      }
+    }
+  }
+
+  return content
+}
+
+const ollamaProvider: LLMProvider = {
+  kind: "llm",
+  complete,
+  stream
+}
+
+export default ollamaProvider
@@ -0,0 +1,147 @@
+import { ERROR_CODES, TranslateError } from "~utils/errors"
+import { DEFAULT_MAX_TOKENS, DEFAULT_TEMPERATURE } from "~utils/profiles"
+
+import { requestJson, requestStream } from "./request"
+import type { LLMProvider, TokenUsage } from "./types"
+
+/**
+ * OpenAI兼容的对话接口适配器
+ * DeepSeek、OpenAI以及各类兼容 /chat/completions 的自建服务共用
+ */
+
+const DEFAULT_API_URL = "https://api.deepseek.com/v1/chat/completions"
+const DEFAULT_MODEL = "deepseek-chat"
+
+/**
+ * 把接口返回的usage字段转换为统一的用量格式
+ */
+const toTokenUsage = (usage): TokenUsage => ({
+  inputTokens: usage.prompt_tokens || 0,
+  outputTokens: usage.completion_tokens || 0
+})
+
+/**
+ * 构造对话接口的请求参数
+ * 流式请求输出纯文本；非流式请求在服务支持时强制输出JSON
+ */
+const buildRequestInit = (
+  apiConfig,
+  { systemPrompt, userContent, json = false },
+  { stream = false } = {}
+): RequestInit => ({
+  method: "POST",
+  headers: {
+    "Content-Type": "application/json",
+    // 自建服务可能不需要密钥
+    ...(apiConfig.apiKey ? { Authorization: `Bearer ${apiConfig.apiKey}` } : {})
+  },
+  body: JSON.stringify({
+    model: apiConfig.model || DEFAULT_MODEL,
+    messages: [
+      {
+        role: "system",
+        content: systemPrompt
+      },
+      {
+        role: "user",
+        content: userContent
+      }
+    ],
+    temperature: apiConfig.temperature ?? DEFAULT_TEMPERATURE,
+    max_tokens: apiConfig.maxTokens || DEFAULT_MAX_TOKENS,
+    // 流式输出时要求在最后一个数据块中返回用量
+    ...(stream
+      ? { stream: true, stream_options: { include_usage: true } }
+      : {}),
+    // 使用新特性，强制输出JSON格式
+    ...(json && apiConfig.jsonMode !== false
+      ? { response_format: { type: "json_object" } }
+      : {})
+  })
+})
+
+/**
+ * 调用对话接口，返回assistant输出的内容
+ */
+const complete: LLMProvider["complete"] = async (apiConfig, options) => {
+  // 使用配置中的API URL或默认URL
+  const apiUrl = apiConfig.apiUrl || DEFAULT_API_URL
+
+  const data = await requestJson(apiUrl, buildRequestInit(apiConfig, options), {
+    apiConfig,
+    signal: options.signal
+  })
+  console.log("API响应数据:", data)
+  if (data?.usage) options.onUsage?.(toTokenUsage(data.usage))
+
+  const content = data?.choices?.[0]?.message?.content
+  if (typeof content !== "string") {
+    throw new TranslateError(ERROR_CODES.BAD_RESPONSE, "缺少choices字段")
+  }
+  return content
+}
+
+/**
+ * 以流式方式调用对话接口
+ * 逐行解析SSE响应，每收到一段增量内容就回调一次
+ * @returns 完整的输出内容
+ */
+const stream: LLMProvider["stream"] = async (apiConfig, options) => {
+  const { signal, onDelta, onUsage } = options
+  const apiUrl = apiConfig.apiUrl || DEFAULT_API_URL
+
+  const response = await requestStream(
+    apiUrl,
+    buildRequestInit(apiConfig, options, { stream: true }),
+    { apiConfig, signal }
+  )
+
+  const reader = response.body.getReader()
+  const decoder = new TextDecoder()
+  let buffer = ""
+  let content = ""
+
+  while (true) {
+    const { done, value } = await reader.read()
+    if (done) break
+
+    buffer += decoder.decode(value, { stream: true })
+    const lines = buffer.split("\n")
+    // 最后一行可能不完整，留到下次拼接
+    buffer = lines.pop()
+
+    for (const line of lines) {
+      const trimmed = line.trim()
+      if (!trimmed.startsWith("data:")) continue
+
+      const payload = trimmed.slice(5).trim()
+      if (payload === "[DONE]") return content
+
+      try {
+        const chunk = JSON.parse(payload)
+        // 用量在最后一个数据块中返回，此时choices为空
+        if (chunk.usage) onUsage?.(toTokenUsage(chunk.usage))
+        const delta = chunk.choices?.[0]?.delta || {}
+        if (delta.content) {
+          content += delta.content
+          onDelta({ content, reasoning: false })
+        } else if (delta.reasoning_content) {
+          // DeepSeek-R1会先输出思考过程，只通知状态不展示内容
+          onDelta({ content, reasoning: true })
+        }
+      } catch (e) {
+        console.warn("SSE数据解析失败:", payload, e)
+      }
+    }
+  }
+
+  return content
+}
+
+const openaiProvider: LLMProvider = {
+  kind: "llm",
+  complete,
+  stream
+}
+
+export default openaiProvider
@@ -0,0 +1,186 @@
+import {
+  classifyStatus,
+  ERROR_CODES,
+  isRetryable,
+  toTranslateError,
+  TranslateError
+} from "~utils/errors"
+import { DEFAULT_MAX_RETRIES, DEFAULT_REQUEST_TIMEOUT } from "~utils/providers"
+
+/**
+ * 各服务商共用的请求工具
+ * 负责超时、取消、限流和服务端错误的指数退避重试，以及把错误响应转换为TranslateError
+ */
+
+// 重试的基础等待时间和上限（毫秒）
+const RETRY_BASE_DELAY = 1000
+const RETRY_MAX_DELAY = 30000
+
+export interface RequestOptions {
+  // 用户的API配置，读取其中的timeout（秒）和maxRetries
+  apiConfig
+  // 调用方的取消信号，例如用户关闭了结果弹窗
+  signal?: AbortSignal
+  // 流式请求只对等待响应头的阶段计时，读取响应体的时间不受超时限制
+  stream?: boolean
+}
+
+/**
+ * 从错误响应体中取出错误信息，兼容 { error: { message } }、{ error }、{ message } 以及纯文本
+ */
+const readErrorDetail = async (response: Response) => {
+  const text = await response.text().catch(() => "")
+  try {
+    const data = JSON.parse(text)
+    const detail = data?.error?.message || data?.error || data?.message
+    if (detail) return String(detail)
+  } catch (e) {
+    // 不是JSON，使用原始文本
+  }
+  return (text || response.statusText).slice(0, 200)
+}
+
+/**
+ * 计算第attempt次重试前的等待时间，优先使用响应头中的Retry-After
+ */
+const getRetryDelay = (attempt: number, response?: Response) => {
+  const retryAfter = Number(response?.headers.get("Retry-After"))
+  if (retryAfter > 0) return Math.min(retryAfter * 1000, RETRY_MAX_DELAY)
+
+  const delay = RETRY_BASE_DELAY * 2 ** attempt
+  // 加入随机抖动，避免多个请求同时重试
+  return Math.min(delay + Math.random() * RETRY_BASE_DELAY, RETRY_MAX_DELAY)
+}
+
+/**
+ * 可被取消的等待
+ */
+const sleep = (ms: number, signal?: AbortSignal) =>
+  new Promise<void>((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(new TranslateError(ERROR_CODES.CANCELLED))
+      return
+    }
+    const timer = setTimeout(resolve, ms)
+    signal?.addEventListener(
+      "abort",
+      () => {
+        clearTimeout(timer)
+        reject(new TranslateError(ERROR_CODES.CANCELLED))
+      },
+      { once: true }
+    )
+  })
+
+/**
+ * 发送一次请求并交给handle处理响应
+ * 非流式请求的超时覆盖handle读取响应体的过程
+ */
+const attemptRequest = async <T>(
+  url: string,
+  init: RequestInit,
+  { apiConfig, signal, stream = false }: RequestOptions,
+  handle: (response: Response) => Promise<T>
+): Promise<T> => {
+  const timeout = (apiConfig.timeout || DEFAULT_REQUEST_TIMEOUT) * 1000
+  const controller = new AbortController()
+  let timedOut = false
+
+  const abort = () => controller.abort()
+  signal?.addEventListener("abort", abort, { once: true })
+  const timer = setTimeout(() => {
+    timedOut = true
+    controller.abort()
+  }, timeout)
+
+  try {
+    if (signal?.aborted) throw new TranslateError(ERROR_CODES.CANCELLED)
+
+    const response = await fetch(url, { ...init, signal: controller.signal })
+    if (stream) clearTimeout(timer)
+
+    if (!response.ok) {
+      const detail = await readErrorDetail(response)
+      console.error("API响应错误:", response.status, detail)
+      const error = new TranslateError(
+        classifyStatus(response.status, detail),
+        detail,
+        response.status
+      )
+      throw Object.assign(error, { response })
+    }
+    return await handle(response)
+  } catch (error) {
+    if (timedOut) {
+      throw new TranslateError(ERROR_CODES.TIMEOUT, `超过${timeout / 1000}秒`)
+    }
+    throw toTranslateError(error)
+  } finally {
+    clearTimeout(timer)
+    // 流式请求在读取响应体时仍需要响应调用方的取消
+    if (!stream) signal?.removeEventListener("abort", abort)
+  }
+}
+
+/**
+ * 发送请求，遇到限流、服务端错误或网络错误时按指数退避重试
+ * @param url - 请求地址
+ * @param init - fetch参数，signal由这里接管
+ * @param options - 见RequestOptions
+ * @param handle - 处理成功的响应，返回最终结果
+ */
+export const request = async <T>(
+  url: string,
+  init: RequestInit,
+  options: RequestOptions,
+  handle: (response: Response) => Promise<T>
+): Promise<T> => {
+  const maxRetries = options.apiConfig.maxRetries ?? DEFAULT_MAX_RETRIES
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await attemptRequest(url, init, options, handle)
+    } catch (error) {
+      if (attempt >= maxRetries || !isRetryable(error.code)) throw error
+
+      const delay = getRetryDelay(attempt, error.response)
+      console.warn(
+        `请求失败（${error.message}），${Math.round(delay / 1000)}秒后第${attempt + 1}次重试`
+      )
+      await sleep(delay, options.signal)
+    }
+  }
+}
+
+/**
+ * 发送请求并解析JSON响应
+ */
+export const requestJson = (
+  url: string,
+  init: RequestInit,
+  options: RequestOptions
+) =>
+  request(url, init, options, async (response) => {
+    try {
+      return await response.json()
+    } catch (e) {
+      // 读取过程中超时或被取消，交给上层处理
+      if (e.name === "AbortError") throw e
+      throw new TranslateError(ERROR_CODES.BAD_RESPONSE, "响应不是有效的JSON")
+    }
+  })
+
+/**
+ * 发送流式请求，返回响应供调用方逐段读取
+ */
+export const requestStream = (
+  url: string,
+  init: RequestInit,
+  options: RequestOptions
+) =>
+  request(url, init, { ...options, stream: true }, async (response) => {
+    if (!response.body) {
+      throw new TranslateError(ERROR_CODES.BAD_RESPONSE, "响应没有内容")
+    }
+    return response
+  })
@@ -0,0 +1,47 @@
+/**
+ * 翻译服务商适配器的类型定义
+ */
+
+export interface TokenUsage {
+  inputTokens: number
+  outputTokens: number
+}
+
+export interface CompletionOptions {
+  systemPrompt: string
+  userContent: string
+  // 是否要求模型以JSON格式输出
+  json?: boolean
+  // 用于取消请求的AbortSignal
+  signal?: AbortSignal
+  // 服务商返回用量时回调，用于统计token消耗
+  onUsage?: (usage: TokenUsage) => void
+}
+
+export interface StreamOptions extends CompletionOptions {
+  // 增量回调，content为目前为止的完整输出，reasoning表示模型处于思考阶段
+  onDelta: (delta: { content: string; reasoning: boolean }) => void
+}
+
+/**
+ * 大模型类服务商：按提示词生成文本
+ */
+export interface LLMProvider {
+  kind: "llm"
+  complete: (apiConfig, options: CompletionOptions) => Promise<string>
+  stream: (apiConfig, options: StreamOptions) => Promise<string>
+}
+
+/**
+ * 机器翻译类服务商：直接提交文本和目标语言
+ */
+export interface MTProvider {
+  kind: "mt"
+  translate: (
+    apiConfig,
+    texts: string[],
+    options: { targetLang: string; signal?: AbortSignal }
+  ) => Promise<string[]>
+}
+
+export type TranslationProvider = LLMProvider | MTProvider
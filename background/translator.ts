@@ -0,0 +1,683 @@
+import {
+  DEFAULT_CHUNK_CONCURRENCY,
+  getChunkBudget,
+  joinChunks,
+  splitIntoChunks
+} from "~utils/chunking"
+import type { ChunkProgress, TextChunk } from "~utils/chunking"
+import { parseDictionaryEntry, type DictionaryEntry } from "~utils/dictionary"
+import { ERROR_CODES, toTranslateError, TranslateError } from "~utils/errors"
+import { matchGlossary } from "~utils/glossary"
+import { DEFAULT_PRIMARY_LANGUAGE, resolveLanguages } from "~utils/language"
+import {
+  DEFAULT_PROVIDER,
+  getMissingField,
+  getProviderDefaults
+} from "~utils/providers"
+
+import {
+  buildCacheKey,
+  getCached,
+  joinInflight,
+  setCached,
+  withCache
+} from "./cache"
+import { getGlossary } from "./glossary"
+import { getPromptTemplate } from "./prompt-templates"
+import {
+  buildBatchSystemPrompt,
+  buildDictionaryPrompt,
+  buildSystemPrompt
+} from "./prompts"
+import { getProvider } from "./providers"
+import type { TokenUsage } from "./providers/types"
+import { recordUsage } from "./usage"
+
+/**
+ * 翻译服务
+ * 根据用户选择的服务商分派请求，消息处理器和端口处理器都通过这里翻译
+ */
+
+/**
+ * 补全服务商的默认配置，并校验必填项
+ * @param apiConfig - 用户的API配置
+ */
+export const resolveConfig = (apiConfig) => {
+  const missing = getMissingField(apiConfig)
+  if (missing) {
+    throw new TranslateError(ERROR_CODES.CONFIG, `缺少${missing}配置`)
+  }
+  return { ...getProviderDefaults(apiConfig.provider), ...apiConfig }
+}
+
+// 一次请求的用量：token数，机器翻译类服务商为字符数
+type RequestUsage = Partial<TokenUsage> & { characters?: number }
+
+/**
+ * 记录一次请求的用量，记录失败不影响翻译
+ * @param config - 补全后的API配置
+ * @param site - 发起翻译的网站域名
+ * @param usage - token数，机器翻译类服务商为字符数
+ */
+const reportUsage = (config, site: string, usage: RequestUsage) => {
+  recordUsage({
+    provider: config.provider || DEFAULT_PROVIDER,
+    model: config.model || "",
+    site,
+    ...usage
+  }).catch((err) => console.warn("用量记录失败:", err))
+}
+
+/**
+ * 统计提交给机器翻译的字符数
+ */
+const countCharacters = (texts: string[]) =>
+  texts.reduce((total, text) => total + text.length, 0)
+
+/**
+ * 从模型输出中取出译文，输出不是预期的JSON时直接使用原始内容
+ * @param content - 模型输出
+ */
+const parseTranslation = (content) => {
+  const trimmed = content.trim()
+  console.log("API返回的内容:", trimmed)
+
+  try {
+    const jsonResponse = JSON.parse(trimmed)
+    // 检查是否包含translation字段
+    if (jsonResponse && jsonResponse.translation) {
+      return String(jsonResponse.translation)
+    }
+  } catch (jsonError) {
+    console.warn("JSON解析失败，使用原始内容:", jsonError)
+  }
+  return trimmed
+}
+
+/**
+ * 根据配置和翻译方向生成缓存键
+ * 提示词（翻译风格、命中的术语、页面信息）不同时译文也可能不同
+ * @param variant - 系统提示词等影响译文的因素，机器翻译类服务商为空
+ */
+const cacheKeyFor = (text, config, { sourceLang, targetLang }, variant = "") =>
+  buildCacheKey({
+    text,
+    sourceLang,
+    targetLang,
+    provider: config.provider,
+    model: config.model,
+    variant
+  })
+
+/**
+ * 生成单段翻译的系统提示词
+ * 缓存键使用不含输出格式要求的提示词，使流式和非流式翻译共用缓存
+ * @param text - 待翻译文本
+ * @param languages - 翻译方向
+ * @param options.templateId - 提示词模板ID
+ * @param options.context - 原文的上下文
+ * @param options.json - 是否要求以JSON格式输出
+ * @param options.markdown - 原文是否为保留格式的Markdown
+ * @returns {{ systemPrompt: string, variant: string }}
+ */
+const prepareSystemPrompt = async (
+  text,
+  languages,
+  { templateId, context, json, markdown = false }
+) => {
+  const options = {
+    ...languages,
+    template: await getPromptTemplate(templateId),
+    glossary: matchGlossary(text, await getGlossary(), languages),
+    context,
+    markdown
+  }
+  const variant = buildSystemPrompt({ ...options, json: false })
+  return {
+    systemPrompt: json ? buildSystemPrompt({ ...options, json }) : variant,
+    variant
+  }
+}
+
+// 这些错误重试也不会成功，分段翻译时不再重试失败的段落
+const FATAL_CODES: string[] = [
+  ERROR_CODES.AUTH,
+  ERROR_CODES.QUOTA,
+  ERROR_CODES.CONFIG,
+  ERROR_CODES.CANCELLED
+]
+
+/**
+ * 分段翻译长文本
+ * 各段有限并发地翻译，全部结束后把失败的段落再重试一轮，最后按原顺序拼接。
+ * 每段单独缓存，因此用户重试时已经成功的段落直接命中缓存，只会重新请求失败的段落
+ * @param text - 完整原文，用于统一各段的翻译方向
+ * @param chunks - 分段列表
+ * @param config - 补全后的API配置
+ * @param options - 同 translateText
+ * @param options.onProgress - 每段结束后回调进度和已按顺序完成的部分译文
+ * @returns 完整译文
+ */
+const translateChunks = async (
+  text: string,
+  chunks: TextChunk[],
+  config,
+  {
+    targetLang = null,
+    bypassCache = false,
+    signal = undefined,
+    templateId = undefined,
+    context = "",
+    markdown = false,
+    site = "",
+    onUsage = undefined,
+    onProgress = undefined
+  }: {
+    targetLang?: string | null
+    bypassCache?: boolean
+    signal?: AbortSignal
+    templateId?: string
+    context?: string
+    markdown?: boolean
+    site?: string
+    onUsage?: (usage: RequestUsage) => void
+    onProgress?: (progress: ChunkProgress, partial: string) => void
+  }
+) => {
+  // 按完整原文决定目标语言，避免夹杂其他语言的段落被译成不同的语言
+  const target = resolveLanguages(text, config, targetLang).targetLang
+  const results: string[] = new Array(chunks.length)
+  const errors = new Map<number, TranslateError>()
+  let done = 0
+
+  console.log(`长文本分为 ${chunks.length} 段翻译，目标语言: ${target}`)
+
+  const report = () => {
+    // 只拼接从头开始连续完成的段落，保证显示的部分译文顺序正确
+    let ready = 0
+    while (ready < results.length && results[ready] !== undefined) ready++
+    onProgress?.(
+      { done, failed: errors.size, total: chunks.length },
+      joinChunks(chunks, results.slice(0, ready))
+    )
+  }
+
+  const run = async (indexes: number[], concurrency: number) => {
+    let next = 0
+    const worker = async () => {
+      while (next < indexes.length && !signal?.aborted) {
+        const index = indexes[next++]
+        try {
+          results[index] = await translateText(chunks[index].text, config, {
+            targetLang: target,
+            bypassCache,
+            signal,
+            templateId,
+            context,
+            markdown,
+            site,
+            onUsage
+          })
+          errors.delete(index)
+          done++
+        } catch (error) {
+          errors.set(index, toTranslateError(error))
+        }
+        report()
+      }
+    }
+    await Promise.all(
+      Array.from({ length: Math.min(concurrency, indexes.length) }, worker)
+    )
+  }
+
+  await run(
+    chunks.map((_, index) => index),
+    DEFAULT_CHUNK_CONCURRENCY
+  )
+  // 失败的段落逐个重试一轮，降低再次被限流的可能
+  const retryIndexes = Array.from(errors.entries())
+    .filter(([, error]) => !FATAL_CODES.includes(error.code))
+    .map(([index]) => index)
+  if (retryIndexes.length > 0) {
+    console.warn(`${retryIndexes.length} 段翻译失败，重试这些段落`)
+    await run(retryIndexes, 1)
+  }
+
+  if (signal?.aborted) throw new TranslateError(ERROR_CODES.CANCELLED)
+  if (errors.size > 0) {
+    const [error] = errors.values()
+    throw new TranslateError(
+      error.code,
+      `${errors.size}/${chunks.length} 段翻译失败：${error.message}（重试时只会重新翻译失败的段落）`,
+      error.status
+    )
+  }
+  return joinChunks(chunks, results)
+}
+
+/**
+ * 翻译单段文本，超出输出上限的长文本自动分段翻译
+ * @param text - 待翻译文本
+ * @param apiConfig - 用户的API配置
+ * @param options.targetLang - 手动指定的目标语言，为空时按主要/次要语言规则决定
+ * @param options.bypassCache - 跳过缓存重新翻译
+ * @param options.signal - 用于取消请求的AbortSignal
+ * @param options.templateId - 提示词模板ID，为空时使用设置中的默认风格
+ * @param options.context - 原文的上下文，供模板中的 {{context}} 使用
+ * @param options.markdown - 原文是否为保留格式的Markdown，要求译文保留格式和占位符
+ * @param options.site - 发起翻译的网站域名，用于统计用量
+ * @param options.onUsage - 每次请求服务商后回调本次用量，命中缓存时不会调用
+ */
+export const translateText = async (
+  text,
+  apiConfig,
+  {
+    targetLang = null,
+    bypassCache = false,
+    signal = undefined,
+    templateId = undefined,
+    context = "",
+    markdown = false,
+    site = "",
+    onUsage = undefined
+  }: {
+    targetLang?: string | null
+    bypassCache?: boolean
+    signal?: AbortSignal
+    templateId?: string
+    context?: string
+    markdown?: boolean
+    site?: string
+    onUsage?: (usage: RequestUsage) => void
+  } = {}
+) => {
+  const config = resolveConfig(apiConfig)
+  const chunks = splitIntoChunks(text, getChunkBudget(config.maxTokens))
+  if (chunks.length > 1) {
+    return translateChunks(text, chunks, config, {
+      targetLang,
+      bypassCache,
+      signal,
+      templateId,
+      context,
+      markdown,
+      site,
+      onUsage
+    })
+  }
+
+  const provider = getProvider(config.provider)
+  const languages = resolveLanguages(text, config, targetLang)
+
+  console.log(`服务商: ${config.provider || "deepseek"}，模型: ${config.model}`)
+  console.log(`翻译文本: ${text}`)
+  console.log(`翻译方向: ${languages.sourceLang} -> ${languages.targetLang}`)
+
+  // 机器翻译类服务商无法使用提示词，术语只在页面上做事后检查
+  const { systemPrompt, variant } =
+    provider.kind === "llm"
+      ? await prepareSystemPrompt(text, languages, {
+          templateId: templateId || config.promptTemplate,
+          context,
+          json: true,
+          markdown
+        })
+      : { systemPrompt: "", variant: "" }
+
+  return withCache(
+    cacheKeyFor(text, config, languages, variant),
+    async () => {
+      if (provider.kind === "mt") {
+        const [result] = await provider.translate(config, [text], {
+          targetLang: languages.targetLang,
+          signal
+        })
+        reportUsage(config, site, { characters: text.length })
+        onUsage?.({ characters: text.length })
+        return result
+      }
+
+      const content = await provider.complete(config, {
+        systemPrompt,
+        userContent: text,
+        json: true,
+        signal,
+        onUsage: (usage) => {
+          reportUsage(config, site, usage)
+          onUsage?.(usage)
+        }
+      })
+      return parseTranslation(content)
+    },
+    // 一个页面取消请求不能连带取消合并到同一请求上的其他页面
+    { bypass: bypassCache, shared: !signal && !onUsage }
+  )
+}
+
+/**
+ * 模型对比中翻译一次，并统计耗时和用量
+ * 总是跳过缓存，使各模型的耗时和token数可以直接比较；译文仍会写入缓存
+ * @param text - 待翻译文本
+ * @param apiConfig - 换成候选档案和模型后的API配置
+ * @param options - 同 translateText
+ * @returns 译文、耗时（毫秒）以及累计的用量，分段翻译时为各段之和
+ */
+export const compareTranslation = async (
+  text,
+  apiConfig,
+  options: Omit<Parameters<typeof translateText>[2], "bypassCache" | "onUsage">
+) => {
+  const usage = { inputTokens: 0, outputTokens: 0, characters: 0 }
+  const startedAt = Date.now()
+  const result = await translateText(text, apiConfig, {
+    ...options,
+    bypassCache: true,
+    onUsage: (item) => {
+      usage.inputTokens += item.inputTokens || 0
+      usage.outputTokens += item.outputTokens || 0
+      usage.characters += item.characters || 0
+    }
+  })
+  return { result, latency: Date.now() - startedAt, usage }
+}
+
+/**
+ * 按词典格式查询单词或短语
+ * 词典条目以JSON字符串的形式缓存
+ * @param text - 单词或短语
+ * @param apiConfig - 用户的API配置
+ * @param options.targetLang - 释义使用的语言，为空时按主要/次要语言规则决定
+ * @param options.bypassCache - 跳过缓存重新查询
+ * @param options.signal - 用于取消请求的AbortSignal
+ * @param options.site - 发起查询的网站域名，用于统计用量
+ * @param options.context - 单词的上下文，用于把最符合语境的释义排在最前
+ * @returns 词典条目；机器翻译类服务商或模型没有按格式输出时返回null，由调用方改为普通翻译
+ */
+export const lookupWord = async (
+  text,
+  apiConfig,
+  {
+    targetLang = null,
+    bypassCache = false,
+    signal = undefined,
+    site = "",
+    context = ""
+  } = {}
+): Promise<DictionaryEntry | null> => {
+  const config = resolveConfig(apiConfig)
+  const provider = getProvider(config.provider)
+  if (provider.kind !== "llm") return null
+
+  const word = text.trim()
+  const languages = resolveLanguages(word, config, targetLang)
+  const systemPrompt = buildDictionaryPrompt(
+    languages.sourceLang,
+    languages.targetLang,
+    context
+  )
+
+  try {
+    const cached = await withCache(
+      cacheKeyFor(word, config, languages, `dictionary:${systemPrompt}`),
+      async () => {
+        const content = await provider.complete(config, {
+          systemPrompt,
+          userContent: word,
+          json: true,
+          signal,
+          onUsage: (usage) => reportUsage(config, site, usage)
+        })
+        const entry = parseDictionaryEntry(content, word)
+        // 抛出错误使格式不对的结果不进入缓存
+        if (!entry) {
+          throw new TranslateError(ERROR_CODES.BAD_RESPONSE, "词典格式不正确")
+        }
+        return JSON.stringify(entry)
+      },
+      { bypass: bypassCache, shared: !signal }
+    )
+    return JSON.parse(cached)
+  } catch (error) {
+    if (
+      error instanceof TranslateError &&
+      error.code === ERROR_CODES.BAD_RESPONSE
+    ) {
+      console.warn("查词结果格式不正确，改为普通翻译:", error)
+      return null
+    }
+    throw error
+  }
+}
+
+/**
+ * 一次请求翻译整批段落
+ * 如果模型返回的条数对不上，则退回到逐段翻译
+ */
+const requestBatch = async (texts, config, provider, targetLang, site) => {
+  if (provider.kind === "mt") {
+    const results = await provider.translate(config, texts, { targetLang })
+    reportUsage(config, site, { characters: countCharacters(texts) })
+    return results
+  }
+
+  const glossary = matchGlossary(texts.join("\n"), await getGlossary(), {
+    targetLang
+  })
+  const content = await provider.complete(config, {
+    systemPrompt: buildBatchSystemPrompt(targetLang, glossary),
+    userContent: JSON.stringify(texts),
+    json: true,
+    onUsage: (usage) => reportUsage(config, site, usage)
+  })
+
+  try {
+    const { translations } = JSON.parse(content.trim())
+    if (Array.isArray(translations) && translations.length === texts.length) {
+      return translations.map((item) => String(item))
+    }
+    console.warn("批量翻译返回的条数与输入不一致，改为逐段翻译")
+  } catch (e) {
+    console.warn("批量翻译结果解析失败，改为逐段翻译:", e)
+  }
+
+  const results = []
+  for (const text of texts) {
+    results.push(await translateText(text, config, { targetLang, site }))
+  }
+  return results
+}
+
+/**
+ * 批量翻译多段文本（用于全文翻译）
+ * 已缓存的段落直接使用缓存，其余段落去重后一次请求翻译，返回的数组与输入一一对应
+ * @param texts - 待翻译的段落列表
+ * @param apiConfig - 用户的API配置
+ * @param options.targetLang - 目标语言，默认为主要语言
+ * @param options.site - 发起翻译的网站域名，用于统计用量
+ */
+export const translateTexts = async (
+  texts,
+  apiConfig,
+  { targetLang = null, site = "" } = {}
+) => {
+  const config = resolveConfig(apiConfig)
+  const provider = getProvider(config.provider)
+  const target =
+    targetLang || config.primaryLanguage || DEFAULT_PRIMARY_LANGUAGE
+
+  const glossary = provider.kind === "llm" ? await getGlossary() : []
+  const keys = texts.map((text) => {
+    const languages = resolveLanguages(text, config, target)
+    // 全文翻译的提示词不随段落变化，用命中的术语区分即可
+    const variant = matchGlossary(text, glossary, languages)
+      .map((entry) => `${entry.term}=${entry.translation}`)
+      .join(";")
+    return cacheKeyFor(text, config, languages, variant && `batch:${variant}`)
+  })
+  const results = await Promise.all(keys.map((key) => getCached(key)))
+
+  // 同一批中重复的段落只翻译一次
+  const pending = new Map()
+  results.forEach((result, index) => {
+    if (result === undefined && !pending.has(keys[index])) {
+      pending.set(keys[index], texts[index])
+    }
+  })
+
+  console.log(
+    `批量翻译 ${texts.length} 段文本，${pending.size} 段需要请求，目标语言: ${target}`
+  )
+
+  if (pending.size > 0) {
+    const missingKeys = Array.from(pending.keys())
+    const translations = await requestBatch(
+      Array.from(pending.values()),
+      config,
+      provider,
+      target,
+      site
+    )
+    const translated = new Map()
+    missingKeys.forEach((key, index) => {
+      translated.set(key, translations[index])
+      setCached(key, translations[index])
+    })
+    keys.forEach((key, index) => {
+      if (results[index] === undefined) results[index] = translated.get(key)
+    })
+  }
+
+  return results
+}
+
+/**
+ * 以流式方式翻译单段文本
+ * 机器翻译类服务商不支持流式输出，翻译完成后一次性回调；
+ * 命中缓存或有相同的请求正在进行时，同样一次性回调完整译文；
+ * 长文本分段翻译，每完成一段回调按顺序拼接好的部分译文和进度
+ * @param text - 待翻译文本
+ * @param apiConfig - 用户的API配置
+ * @param options.targetLang - 手动指定的目标语言
+ * @param options.bypassCache - 跳过缓存重新翻译
+ * @param options.signal - 用于中止请求的AbortSignal
+ * @param options.templateId - 提示词模板ID，为空时使用设置中的默认风格
+ * @param options.context - 原文的上下文
+ * @param options.markdown - 原文是否为保留格式的Markdown
+ * @param options.onDelta - 增量回调 ({ content, reasoning }) => void
+ * @param options.onProgress - 分段翻译时的进度回调 (progress) => void
+ * @param options.site - 发起翻译的网站域名，用于统计用量
+ * @returns 完整译文
+ */
+export const streamTranslateText = async (
+  text,
+  apiConfig,
+  {
+    targetLang = null,
+    bypassCache = false,
+    signal,
+    templateId = undefined,
+    context = "",
+    markdown = false,
+    onDelta,
+    onProgress = undefined,
+    site = ""
+  }
+) => {
+  const config = resolveConfig(apiConfig)
+  const chunks = splitIntoChunks(text, getChunkBudget(config.maxTokens))
+  if (chunks.length > 1) {
+    return translateChunks(text, chunks, config, {
+      targetLang,
+      bypassCache,
+      signal,
+      templateId,
+      context,
+      markdown,
+      site,
+      onProgress: (progress, partial) => {
+        onProgress?.(progress)
+        if (partial) onDelta({ content: partial, reasoning: false })
+      }
+    })
+  }
+
+  const provider = getProvider(config.provider)
+  const languages = resolveLanguages(text, config, targetLang)
+  const { systemPrompt, variant } =
+    provider.kind === "llm"
+      ? await prepareSystemPrompt(text, languages, {
+          templateId: templateId || config.promptTemplate,
+          context,
+          json: false,
+          markdown
+        })
+      : { systemPrompt: "", variant: "" }
+  const cacheKey = cacheKeyFor(text, config, languages, variant)
+
+  const reused =
+    (!bypassCache && (await getCached(cacheKey))) || joinInflight(cacheKey)
+  if (reused) {
+    const result = await reused
+    onDelta({ content: result, reasoning: false })
+    return result
+  }
+
+  if (provider.kind === "mt") {
+    const [result] = await provider.translate(config, [text], {
+      targetLang: languages.targetLang,
+      signal
+    })
+    reportUsage(config, site, { characters: text.length })
+    onDelta({ content: result, reasoning: false })
+    await setCached(cacheKey, result)
+    return result
+  }
+
+  const content = await provider.stream(config, {
+    systemPrompt,
+    userContent: text,
+    signal,
+    onDelta,
+    onUsage: (usage) => reportUsage(config, site, usage)
+  })
+  const result = content.trim()
+  await setCached(cacheKey, result)
+  return result
+}
+
+/**
+ * 测试API配置能否正常使用：不读写缓存、不重试，用最短的文本发一次请求
+ * @param apiConfig - 待测试的API配置（通常是还没保存的档案）
+ * @returns {{ latency: number, sample: string }} 耗时（毫秒）和返回的译文
+ */
+export const testConnection = async (apiConfig) => {
+  const config = { ...resolveConfig(apiConfig), maxRetries: 0 }
+  const provider = getProvider(config.provider)
+  const text = "Hello"
+  const start = Date.now()
+
+  let sample
+  if (provider.kind === "mt") {
+    const [result] = await provider.translate(config, [text], {
+      targetLang: "zh"
+    })
+    sample = result
+  } else {
+    const content = await provider.complete(
+      { ...config, maxTokens: 32 },
+      {
+        systemPrompt: buildSystemPrompt({
+          template: await getPromptTemplate(),
+          sourceLang: "en",
+          targetLang: "zh"
+        }),
+        userContent: text,
+        json: true
+      }
+    )
+    sample = parseTranslation(content)
+  }
+
+  return { latency: Date.now() - start, sample }
+}
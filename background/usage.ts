@@ -0,0 +1,134 @@
+import { Storage } from "@plasmohq/storage"
+
+import {
+  DEFAULT_USAGE_SETTINGS,
+  getDayKey,
+  isOverBudget,
+  USAGE_SETTINGS_KEY
+} from "~utils/usage"
+import type { UsageRecord, UsageSettings } from "~utils/usage"
+
+import { createWriteQueue } from "./write-queue"
+
+/**
+ * token用量统计
+ * 每次请求的用量按 天 / 服务商 / 模型 / 网站 合并为一条记录，保存在 chrome.storage.local 中；
+ * 当月费用超出预算时在扩展图标上显示提醒
+ */
+
+const USAGE_KEY = "usage"
+// 只保留最近一段时间的记录
+const MAX_DAYS = 90
+
+const storage = new Storage({ area: "local" })
+// 价格和预算与其他设置一样保存在sync区域
+const settingsStorage = new Storage()
+
+const withLock = createWriteQueue()
+
+const readAll = async (): Promise<UsageRecord[]> =>
+  (await storage.get<UsageRecord[]>(USAGE_KEY)) || []
+
+const getSettings = async (): Promise<UsageSettings> => ({
+  ...DEFAULT_USAGE_SETTINGS,
+  ...(await settingsStorage.get<UsageSettings>(USAGE_SETTINGS_KEY))
+})
+
+/**
+ * 从消息的发送方取出网站域名，扩展页面发起的请求返回空字符串
+ * @param sender - chrome.runtime.MessageSender
+ */
+export const getSenderSite = (sender?: chrome.runtime.MessageSender) => {
+  const url = sender?.tab?.url || sender?.url || ""
+  try {
+    const { protocol, hostname } = new URL(url)
+    return protocol === "http:" || protocol === "https:" ? hostname : ""
+  } catch (e) {
+    return ""
+  }
+}
+
+/**
+ * 根据当月费用和预算更新扩展图标上的提醒
+ */
+export const updateBudgetBadge = async (records?: UsageRecord[]) => {
+  const over = isOverBudget(records || (await readAll()), await getSettings())
+  await chrome.action.setBadgeText({ text: over ? "!" : "" })
+  if (over) {
+    await chrome.action.setBadgeBackgroundColor({ color: "#f44336" })
+  }
+  await chrome.action.setTitle({
+    title: over ? "本月用量已超出预算" : ""
+  })
+}
+
+/**
+ * 记录一次请求的用量，合并到当天相同服务商、模型和网站的记录中
+ * @param usage - 服务商、模型、网站以及本次的token数或字符数
+ */
+export const recordUsage = ({
+  provider,
+  model = "",
+  site = "",
+  inputTokens = 0,
+  outputTokens = 0,
+  characters = 0
+}: Partial<UsageRecord>) =>
+  withLock(async () => {
+    const day = getDayKey()
+    const records = await readAll()
+    let record = records.find(
+      (item) =>
+        item.day === day &&
+        item.provider === provider &&
+        item.model === model &&
+        item.site === site
+    )
+    if (!record) {
+      record = {
+        day,
+        provider,
+        model,
+        site,
+        requests: 0,
+        inputTokens: 0,
+        outputTokens: 0,
+        characters: 0
+      }
+      records.push(record)
+    }
+    record.requests += 1
+    record.inputTokens += inputTokens
+    record.outputTokens += outputTokens
+    record.characters += characters
+
+    const oldest = getDayKey(Date.now() - MAX_DAYS * 24 * 60 * 60 * 1000)
+    const kept = records.filter((item) => item.day >= oldest)
+    await storage.set(USAGE_KEY, kept)
+    await updateBudgetBadge(kept)
+  })
+
+/**
+ * 获取全部用量记录
+ */
+export const listUsage = () => readAll()
+
+/**
+ * 清空用量记录
+ */
+export const clearUsage = () =>
+  withLock(async () => {
+    await storage.set(USAGE_KEY, [])
+    await updateBudgetBadge([])
+  })
+
+/**
+ * 价格或预算修改后重新检查是否超出预算
+ */
+export const watchUsageSettings = () => {
+  settingsStorage.watch({
+    [USAGE_SETTINGS_KEY]: () => {
+      updateBudgetBadge().catch((err) => console.warn("更新预算提醒失败:", err))
+    }
+  })
+}
@@ -0,0 +1,69 @@
+import { Storage } from "@plasmohq/storage"
+
+import type { DictionaryEntry } from "~utils/dictionary"
+
+import { createWriteQueue } from "./write-queue"
+
+/**
+ * 生词本
+ * 查词结果可以从词典卡片加入生词本，保存在 chrome.storage.local 中，经由background串行写入
+ */
+
+const VOCABULARY_KEY = "vocabulary"
+
+const storage = new Storage({ area: "local" })
+
+export interface VocabularyEntry extends DictionaryEntry {
+  id: string
+  sourceLang: string
+  targetLang: string
+  // 查词时所在的页面
+  url: string
+  createdAt: number
+}
+
+const withLock = createWriteQueue()
+
+const readAll = async (): Promise<VocabularyEntry[]> =>
+  (await storage.get<VocabularyEntry[]>(VOCABULARY_KEY)) || []
+
+/**
+ * 加入生词本，同一语言对中已有的单词会被更新并移到最前
+ * @param entry - 词典条目以及语言、页面信息
+ */
+export const addVocabulary = (entry) =>
+  withLock(async () => {
+    const entries = await readAll()
+    const isSame = (item: VocabularyEntry) =>
+      item.word.toLowerCase() === entry.word.toLowerCase() &&
+      item.sourceLang === entry.sourceLang &&
+      item.targetLang === entry.targetLang
+
+    const record: VocabularyEntry = {
+      ...entry,
+      id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+      createdAt: Date.now()
+    }
+    await storage.set(VOCABULARY_KEY, [
+      record,
+      ...entries.filter((item) => !isSame(item))
+    ])
+    return record
+  })
+
+/**
+ * 获取全部生词，按加入时间倒序
+ */
+export const listVocabulary = () => readAll()
+
+/**
+ * 删除一个生词
+ */
+export const deleteVocabulary = (id) =>
+  withLock(async () => {
+    const entries = await readAll()
+    await storage.set(
+      VOCABULARY_KEY,
+      entries.filter((item) => item.id !== id)
+    )
+  })
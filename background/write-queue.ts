@@ -0,0 +1,14 @@
+/**
+ * 创建写操作队列
+ * 同一个存储键的读-改-写操作按顺序执行，避免多个标签页同时写入时互相覆盖
+ * @returns 把任务加入队列的函数，返回任务的结果
+ */
+export const createWriteQueue = () => {
+  let queue: Promise<unknown> = Promise.resolve()
+
+  return <T>(task: () => Promise<T>): Promise<T> => {
+    const result = queue.then(task, task)
+    queue = result.catch(() => {})
+    return result
+  }
+}
@@ -0,0 +1,82 @@
+import { Button, Dialog, Form, List, Toast } from "antd-mobile"
+import React, { useEffect, useState } from "react"
+
+import { sendToBackground } from "@plasmohq/messaging"
+
+/**
+ * 调用background的翻译缓存接口
+ * @param {string} action - stats / clear
+ */
+async function callCache(action) {
+  const resp = await sendToBackground({ name: "cache", body: { action } })
+  if (!resp.success) {
+    throw new Error(resp.error)
+  }
+  return resp.result
+}
+
+/**
+ * 翻译缓存统计，以及清空缓存的按钮
+ */
+export function CacheStats() {
+  const [stats, setStats] = useState(null)
+
+  async function loadStats() {
+    try {
+      setStats(await callCache("stats"))
+    } catch (err) {
+      Toast.show({ icon: "fail", content: err.message })
+    }
+  }
+
+  useEffect(() => {
+    loadStats()
+  }, [])
+
+  async function clear() {
+    const confirmed = await Dialog.confirm({ content: "确定清空翻译缓存吗？" })
+    if (!confirmed) return
+    await callCache("clear")
+    Toast.show({ icon: "success", content: "已清空" })
+    loadStats()
+  }
+
+  return (
+    <div>
+      <Form.Header>翻译缓存</Form.Header>
+      <List>
+        <List.Item
+          extra={stats ? `${stats.entries} / ${stats.maxEntries}` : "-"}>
+          缓存条数
+        </List.Item>
+        <List.Item
+          extra={stats ? `${(stats.chars / 1024).toFixed(1)} K字符` : "-"}>
+          缓存大小
+        </List.Item>
+        <List.Item
+          extra={
+            stats
+              ? `${(stats.hitRate * 100).toFixed(1)}%（${stats.hits} / ${
+                  stats.hits + stats.misses
+                }）`
+              : "-"
+          }>
+          命中率
+        </List.Item>
+        <List.Item extra={stats ? stats.deduped : "-"}>
+          合并的重复请求
+        </List.Item>
+      </List>
+      <div style={{ padding: "12px" }}>
+        <Button
+          block
+          size="small"
+          color="danger"
+          fill="outline"
+          onClick={clear}>
+          清空翻译缓存
+        </Button>
+      </div>
+    </div>
+  )
+}
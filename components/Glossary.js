@@ -0,0 +1,246 @@
+import {
+  Button,
+  Dialog,
+  Empty,
+  Form,
+  Input,
+  List,
+  Popup,
+  Selector,
+  Space,
+  SwipeAction,
+  Switch,
+  Toast
+} from "antd-mobile"
+import React, { useRef, useState } from "react"
+
+import { Storage } from "@plasmohq/storage"
+import { useStorage } from "@plasmohq/storage/hook"
+
+import { downloadFile } from "~utils/download"
+import {
+  createGlossaryId,
+  GLOSSARY_KEY,
+  glossaryToCsv,
+  parseGlossaryCsv
+} from "~utils/glossary"
+import { getLanguageName, LANGUAGES } from "~utils/language"
+
+import styles from "./glossary.module.css"
+
+// 术语表可能较大，存放在local区域
+const storage = new Storage({ area: "local" })
+
+// 语言选项，第一项表示任意语言
+const LANGUAGE_OPTIONS = [
+  { label: "任意", value: "" },
+  ...LANGUAGES.map((item) => ({ label: item.name, value: item.code }))
+]
+
+// Selector的值为数组，表单中按字符串存储
+const singleSelectProps = {
+  getValueProps: (value) => ({ value: [value || ""] }),
+  normalize: (value) => value[0] ?? ""
+}
+
+const EMPTY_ENTRY = {
+  term: "",
+  translation: "",
+  sourceLang: "",
+  targetLang: "",
+  caseSensitive: false
+}
+
+/**
+ * 显示术语适用的语言对
+ */
+const formatLanguagePair = (entry) =>
+  `${entry.sourceLang ? getLanguageName(entry.sourceLang) : "任意"}→${
+    entry.targetLang ? getLanguageName(entry.targetLang) : "任意"
+  }`
+
+/**
+ * 术语表管理
+ * 支持新增、编辑、删除术语，以及CSV导入导出
+ */
+export function Glossary() {
+  const [entries, setEntries] = useStorage(
+    { key: GLOSSARY_KEY, instance: storage },
+    (storedValue) => storedValue || []
+  )
+  const [editing, setEditing] = useState(null) // 正在编辑的术语，新增时id为空
+  const fileRef = useRef(null)
+
+  function onSave(values) {
+    const entry = {
+      ...EMPTY_ENTRY,
+      ...values,
+      term: values.term.trim(),
+      translation: values.translation.trim()
+    }
+
+    if (editing.id) {
+      setEntries(
+        entries.map((item) =>
+          item.id === editing.id ? { ...entry, id: editing.id } : item
+        )
+      )
+    } else {
+      setEntries([{ ...entry, id: createGlossaryId() }, ...entries])
+    }
+    setEditing(null)
+  }
+
+  function removeEntry(entry) {
+    setEntries(entries.filter((item) => item.id !== entry.id))
+  }
+
+  function exportCsv() {
+    if (entries.length === 0) {
+      Toast.show({ content: "术语表为空" })
+      return
+    }
+    downloadFile(glossaryToCsv(entries), "glossary.csv", "text/csv")
+  }
+
+  /**
+   * 导入CSV，术语和语言对都相同的条目以导入的为准
+   */
+  async function importCsv(e) {
+    const file = e.target.files[0]
+    e.target.value = ""
+    if (!file) return
+
+    const imported = parseGlossaryCsv(await file.text())
+    if (imported.length === 0) {
+      Toast.show({ icon: "fail", content: "没有识别到术语" })
+      return
+    }
+
+    const keyOf = (entry) =>
+      `${entry.term}\n${entry.sourceLang}\n${entry.targetLang}`
+    const importedKeys = new Set(imported.map(keyOf))
+    setEntries([
+      ...imported,
+      ...entries.filter((item) => !importedKeys.has(keyOf(item)))
+    ])
+    Toast.show({ icon: "success", content: `已导入${imported.length}条术语` })
+  }
+
+  async function clearAll() {
+    const confirmed = await Dialog.confirm({ content: "确定清空术语表吗？" })
+    if (confirmed) setEntries([])
+  }
+
+  return (
+    <div className={styles.glossary}>
+      <div className={styles.toolbar}>
+        <Button
+          size="small"
+          color="primary"
+          onClick={() => setEditing(EMPTY_ENTRY)}>
+          添加术语
+        </Button>
+        <Space>
+          <Button size="mini" onClick={() => fileRef.current.click()}>
+            导入CSV
+          </Button>
+          <Button size="mini" onClick={exportCsv}>
+            导出CSV
+          </Button>
+        </Space>
+        <input
+          ref={fileRef}
+          type="file"
+          accept=".csv,text/csv"
+          style={{ display: "none" }}
+          onChange={importCsv}
+        />
+      </div>
+
+      {entries.length === 0 ? (
+        <Empty description="暂无术语，翻译时将按指定译法处理添加的术语" />
+      ) : (
+        <List>
+          {entries.map((entry) => (
+            <SwipeAction
+              key={entry.id}
+              rightActions={[
+                {
+                  key: "delete",
+                  text: "删除",
+                  color: "danger",
+                  onClick: () => removeEntry(entry)
+                }
+              ]}>
+              <List.Item
+                onClick={() => setEditing(entry)}
+                description={`${formatLanguagePair(entry)}${
+                  entry.caseSensitive ? " · 区分大小写" : ""
+                }`}>
+                {entry.term} → {entry.translation}
+              </List.Item>
+            </SwipeAction>
+          ))}
+        </List>
+      )}
+
+      {entries.length > 0 && (
+        <Button
+          block
+          size="small"
+          color="danger"
+          fill="none"
+          onClick={clearAll}>
+          清空术语表
+        </Button>
+      )}
+
+      <Popup
+        visible={!!editing}
+        onMaskClick={() => setEditing(null)}
+        destroyOnClose>
+        {/* 每次打开都重新挂载表单，以当前术语作为初始值 */}
+        <Form
+          layout="horizontal"
+          initialValues={editing}
+          onFinish={onSave}
+          footer={
+            <Button block type="submit" color="primary" size="small">
+              保存
+            </Button>
+          }>
+          <Form.Header>{editing?.id ? "编辑术语" : "添加术语"}</Form.Header>
+          <Form.Item
+            name="term"
+            label="术语"
+            rules={[
+              { required: true, whitespace: true, message: "请输入术语" }
+            ]}>
+            <Input placeholder="原文中的写法" />
+          </Form.Item>
+          <Form.Item
+            name="translation"
+            label="译法"
+            rules={[
+              { required: true, whitespace: true, message: "请输入译法" }
+            ]}>
+            <Input placeholder="指定的翻译" />
+          </Form.Item>
+          <Form.Item name="sourceLang" label="原文语言" {...singleSelectProps}>
+            <Selector columns={4} options={LANGUAGE_OPTIONS} />
+          </Form.Item>
+          <Form.Item name="targetLang" label="目标语言" {...singleSelectProps}>
+            <Selector columns={4} options={LANGUAGE_OPTIONS} />
+          </Form.Item>
+          <Form.Item
+            name="caseSensitive"
+            label="区分大小写"
+            valuePropName="checked">
+            <Switch />
+          </Form.Item>
+        </Form>
+      </Popup>
+    </div>
+  )
+}
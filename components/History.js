@@ -0,0 +1,219 @@
+import {
+  Button,
+  Dialog,
+  Empty,
+  List,
+  SearchBar,
+  Space,
+  Switch,
+  Toast
+} from "antd-mobile"
+import React, { useEffect, useState } from "react"
+
+import { sendToBackground } from "@plasmohq/messaging"
+
+import { downloadHistory, EXPORT_FORMATS } from "~utils/history-export"
+import { getLanguageName } from "~utils/language"
+
+import styles from "./history.module.css"
+
+const PAGE_SIZE = 10
+
+/**
+ * 调用background的历史记录接口
+ * @param {string} action - 操作名称
+ * @param {Object} params - 操作参数
+ */
+async function callHistory(action, params = {}) {
+  const resp = await sendToBackground({
+    name: "history",
+    body: { action, ...params }
+  })
+  if (!resp.success) {
+    throw new Error(resp.error)
+  }
+  return resp.result
+}
+
+/**
+ * 翻译历史记录面板
+ * 支持全文搜索、收藏、删除、分页，以及导出为JSON/CSV/Anki
+ */
+export function History() {
+  const [query, setQuery] = useState("") // 搜索关键字
+  const [starredOnly, setStarredOnly] = useState(false) // 只看收藏
+  const [page, setPage] = useState(1)
+  const [items, setItems] = useState([])
+  const [total, setTotal] = useState(0)
+
+  const totalPages = Math.max(1, Math.ceil(total / PAGE_SIZE))
+
+  /**
+   * 加载当前页的记录
+   */
+  async function loadPage() {
+    try {
+      const result = await callHistory("list", {
+        query,
+        starredOnly,
+        page,
+        pageSize: PAGE_SIZE
+      })
+      setItems(result.items)
+      setTotal(result.total)
+    } catch (err) {
+      Toast.show({ icon: "fail", content: err.message })
+    }
+  }
+
+  useEffect(() => {
+    loadPage()
+  }, [query, starredOnly, page])
+
+  // 删除记录后当前页可能超出范围
+  useEffect(() => {
+    if (page > totalPages) setPage(totalPages)
+  }, [page, totalPages])
+
+  function onSearch(value) {
+    setQuery(value)
+    setPage(1)
+  }
+
+  async function toggleStar(item) {
+    await callHistory("star", { id: item.id, starred: !item.starred })
+    loadPage()
+  }
+
+  async function removeItem(item) {
+    await callHistory("delete", { id: item.id })
+    loadPage()
+  }
+
+  async function clearAll() {
+    const confirmed = await Dialog.confirm({
+      content: "确定清空历史记录吗？收藏的记录会保留"
+    })
+    if (!confirmed) return
+    await callHistory("clear")
+    setPage(1)
+    loadPage()
+  }
+
+  /**
+   * 按当前筛选条件导出全部记录
+   */
+  async function exportAs(format) {
+    try {
+      const entries = await callHistory("export", { query, starredOnly })
+      if (entries.length === 0) {
+        Toast.show({ content: "没有可导出的记录" })
+        return
+      }
+      downloadHistory(entries, format)
+    } catch (err) {
+      Toast.show({ icon: "fail", content: err.message })
+    }
+  }
+
+  return (
+    <div className={styles.history}>
+      <div className={styles.toolbar}>
+        <SearchBar
+          placeholder="搜索原文、译文或网址"
+          onSearch={onSearch}
+          onClear={() => onSearch("")}
+        />
+        <div className={styles.filters}>
+          <Space align="center">
+            <span>只看收藏</span>
+            <Switch
+              checked={starredOnly}
+              onChange={(checked) => {
+                setStarredOnly(checked)
+                setPage(1)
+              }}
+            />
+          </Space>
+          <Space>
+            {EXPORT_FORMATS.map((format) => (
+              <Button
+                key={format.value}
+                size="mini"
+                onClick={() => exportAs(format.value)}>
+                导出{format.label}
+              </Button>
+            ))}
+          </Space>
+        </div>
+      </div>
+
+      {items.length === 0 ? (
+        <Empty description={query ? "没有匹配的记录" : "暂无翻译记录"} />
+      ) : (
+        <List>
+          {items.map((item) => (
+            <List.Item
+              key={item.id}
+              description={
+                <div className={styles.meta}>
+                  {getLanguageName(item.sourceLang)}→
+                  {getLanguageName(item.targetLang)} · {item.model} ·{" "}
+                  {new Date(item.createdAt).toLocaleString()}
+                  {item.url && (
+                    <a
+                      className={styles.link}
+                      href={item.url}
+                      target="_blank"
+                      title={item.url}>
+                      {item.title || item.url}
+                    </a>
+                  )}
+                </div>
+              }
+              extra={
+                <Space direction="vertical" align="end">
+                  <span
+                    className={styles.star}
+                    onClick={() => toggleStar(item)}
+                    title={item.starred ? "取消收藏" : "收藏"}>
+                    {item.starred ? "★" : "☆"}
+                  </span>
+                  <span
+                    className={styles.delete}
+                    onClick={() => removeItem(item)}>
+                    删除
+                  </span>
+                </Space>
+              }>
+              <div className={styles.source}>{item.sourceText}</div>
+              <div className={styles.translation}>{item.translatedText}</div>
+            </List.Item>
+          ))}
+        </List>
+      )}
+
+      <div className={styles.pagination}>
+        <Button
+          size="mini"
+          disabled={page <= 1}
+          onClick={() => setPage(page - 1)}>
+          上一页
+        </Button>
+        <span>
+          {page} / {totalPages}（共{total}条）
+        </span>
+        <Button
+          size="mini"
+          disabled={page >= totalPages}
+          onClick={() => setPage(page + 1)}>
+          下一页
+        </Button>
+      </div>
+
+      <Button block size="small" color="danger" fill="none" onClick={clearAll}>
+        清空历史记录
+      </Button>
+    </div>
+  )
+}
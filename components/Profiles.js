@@ -0,0 +1,403 @@
+import {
+  Button,
+  Dialog,
+  Form,
+  Input,
+  List,
+  Popup,
+  Radio,
+  Selector,
+  Space,
+  Stepper,
+  SwipeAction,
+  Switch,
+  Toast
+} from "antd-mobile"
+import React, { useState } from "react"
+
+import { sendToBackground } from "@plasmohq/messaging"
+import { useStorage } from "@plasmohq/storage/hook"
+
+import {
+  createProfile,
+  createProfileId,
+  DEFAULT_MAX_TOKENS,
+  DEFAULT_TEMPERATURE,
+  PROFILES_KEY
+} from "~utils/profiles"
+import {
+  DEFAULT_PROVIDER,
+  getProviderDefaults,
+  getProviderSchema,
+  PROVIDER_SCHEMAS
+} from "~utils/providers"
+import { normalizeHostPattern } from "~utils/site-rules"
+
+/**
+ * 读写API配置档案，迁移完成前为undefined
+ * @returns {[Object, Function]} 档案数据和保存函数
+ */
+export function useProfiles() {
+  return useStorage(PROFILES_KEY)
+}
+
+/**
+ * 根据服务商的字段描述渲染对应的表单项
+ * @param {Object} field - utils/providers 中的字段描述
+ */
+function renderProviderField(field) {
+  const rules = field.required
+    ? [{ required: true, message: `请输入${field.label}` }]
+    : []
+
+  let control
+  switch (field.type) {
+    case "switch":
+      control = <Switch />
+      break
+    case "radio":
+      control = (
+        <Radio.Group>
+          <Space direction="vertical">
+            {field.options.map((option) => (
+              <Radio key={option.value} value={option.value}>
+                {option.label}
+              </Radio>
+            ))}
+          </Space>
+        </Radio.Group>
+      )
+      break
+    case "password":
+      control = <Input type="password" placeholder={field.placeholder} />
+      break
+    default:
+      control = <Input placeholder={field.placeholder} />
+  }
+
+  return (
+    <Form.Item
+      key={field.name}
+      name={field.name}
+      label={field.label}
+      initialValue={field.initialValue}
+      rules={rules}
+      description={field.description}
+      valuePropName={field.type === "switch" ? "checked" : "value"}>
+      {control}
+    </Form.Item>
+  )
+}
+
+/**
+ * 档案编辑表单，可以在保存前测试连接
+ */
+function ProfileEditor({ profile, onSave }) {
+  const [form] = Form.useForm()
+  const [testing, setTesting] = useState(false)
+  const [testResult, setTestResult] = useState(null) // { success, text }
+  // 当前选择的服务商，决定渲染哪些配置项
+  const provider = Form.useWatch("provider", form) || profile.provider
+  const providerSchema = getProviderSchema(provider)
+
+  /**
+   * 切换服务商时，把地址、模型等配置项重置为该服务商的默认值
+   */
+  function onValuesChange(changedValues) {
+    if (changedValues.provider) {
+      form.setFieldsValue(getProviderDefaults(changedValues.provider))
+    }
+    setTestResult(null)
+  }
+
+  async function testConnection() {
+    try {
+      await form.validateFields()
+    } catch (err) {
+      return
+    }
+
+    setTesting(true)
+    setTestResult(null)
+    try {
+      const resp = await sendToBackground({
+        name: "test-connection",
+        body: { apiConfig: { ...profile, ...form.getFieldsValue() } }
+      })
+      setTestResult(
+        resp.success
+          ? {
+              success: true,
+              text: `连接成功，耗时${resp.result.latency}ms，返回：${resp.result.sample}`
+            }
+          : { success: false, text: resp.error }
+      )
+    } catch (err) {
+      setTestResult({ success: false, text: err.message })
+    } finally {
+      setTesting(false)
+    }
+  }
+
+  return (
+    <Form
+      form={form}
+      layout="horizontal"
+      initialValues={profile}
+      onValuesChange={onValuesChange}
+      onFinish={(values) => onSave({ ...profile, ...values })}
+      footer={
+        <div style={{ display: "flex", gap: "8px" }}>
+          <Button block size="small" loading={testing} onClick={testConnection}>
+            测试连接
+          </Button>
+          <Button block type="submit" color="primary" size="small">
+            保存
+          </Button>
+        </div>
+      }>
+      <Form.Header>{profile.id ? "编辑API配置" : "添加API配置"}</Form.Header>
+      <Form.Item
+        name="name"
+        label="名称"
+        rules={[{ required: true, whitespace: true, message: "请输入名称" }]}>
+        <Input placeholder="例如：公司账号" />
+      </Form.Item>
+      <Form.Item
+        name="provider"
+        label="服务商"
+        initialValue={DEFAULT_PROVIDER}
+        description={providerSchema.description}>
+        <Radio.Group>
+          <Space direction="vertical">
+            {PROVIDER_SCHEMAS.map((item) => (
+              <Radio key={item.id} value={item.id}>
+                {item.label}
+              </Radio>
+            ))}
+          </Space>
+        </Radio.Group>
+      </Form.Item>
+
+      {providerSchema.fields.map(renderProviderField)}
+
+      {providerSchema.kind === "llm" && (
+        <>
+          <Form.Item
+            name="temperature"
+            label="temperature"
+            initialValue={DEFAULT_TEMPERATURE}
+            description="越低译文越稳定，翻译建议0~0.5">
+            <Stepper min={0} max={2} step={0.1} digits={1} />
+          </Form.Item>
+          <Form.Item
+            name="maxTokens"
+            label="max_tokens"
+            initialValue={DEFAULT_MAX_TOKENS}
+            description="单次输出的最大长度">
+            <Stepper min={256} max={32768} step={256} />
+          </Form.Item>
+        </>
+      )}
+
+      {testResult && (
+        <Form.Item>
+          <div
+            style={{
+              color: testResult.success ? "#4caf50" : "#f44336",
+              fontSize: "12px",
+              wordBreak: "break-all"
+            }}>
+            {testResult.text}
+          </div>
+        </Form.Item>
+      )}
+    </Form>
+  )
+}
+
+/**
+ * 网站规则：在指定网站上使用指定的档案
+ */
+function SiteOverrides({ store, setStore }) {
+  const [form] = Form.useForm()
+  const profileOptions = store.items.map((item) => ({
+    label: item.name,
+    value: item.id
+  }))
+  const profileName = (id) =>
+    store.items.find((item) => item.id === id)?.name || "（已删除）"
+
+  function addOverride({ host, profileId }) {
+    const normalized = normalizeHostPattern(host)
+    setStore({
+      ...store,
+      siteOverrides: [
+        ...store.siteOverrides.filter((rule) => rule.host !== normalized),
+        { host: normalized, profileId: profileId[0] }
+      ]
+    })
+    form.resetFields()
+  }
+
+  function removeOverride(host) {
+    setStore({
+      ...store,
+      siteOverrides: store.siteOverrides.filter((rule) => rule.host !== host)
+    })
+  }
+
+  return (
+    <div>
+      <Form.Header>网站规则</Form.Header>
+      {store.siteOverrides.length > 0 && (
+        <List>
+          {store.siteOverrides.map((rule) => (
+            <SwipeAction
+              key={rule.host}
+              rightActions={[
+                {
+                  key: "delete",
+                  text: "删除",
+                  color: "danger",
+                  onClick: () => removeOverride(rule.host)
+                }
+              ]}>
+              <List.Item extra={profileName(rule.profileId)}>
+                {rule.host}
+              </List.Item>
+            </SwipeAction>
+          ))}
+        </List>
+      )}
+      <Form
+        form={form}
+        layout="horizontal"
+        onFinish={addOverride}
+        footer={
+          <Button block type="submit" size="small">
+            添加规则
+          </Button>
+        }>
+        <Form.Item
+          name="host"
+          label="网站"
+          description="填写域名，*.example.com 同时匹配所有子域名"
+          rules={[{ required: true, whitespace: true, message: "请输入域名" }]}>
+          <Input placeholder="例如 github.com" />
+        </Form.Item>
+        <Form.Item
+          name="profileId"
+          label="使用配置"
+          rules={[{ required: true, message: "请选择API配置" }]}>
+          <Selector columns={2} options={profileOptions} />
+        </Form.Item>
+      </Form>
+    </div>
+  )
+}
+
+/**
+ * API配置档案管理：多个命名的档案，一个当前档案，以及按网站指定的档案
+ */
+export function Profiles() {
+  const [store, setStore] = useProfiles()
+  const [editing, setEditing] = useState(null) // 正在编辑的档案，新增时id为空
+
+  if (!store) return null
+
+  function onSave(profile) {
+    if (profile.id) {
+      setStore({
+        ...store,
+        items: store.items.map((item) =>
+          item.id === profile.id ? profile : item
+        )
+      })
+    } else {
+      setStore({
+        ...store,
+        items: [...store.items, { ...profile, id: createProfileId() }]
+      })
+    }
+    setEditing(null)
+    Toast.show({ icon: "success", content: "保存成功" })
+  }
+
+  function activate(profile) {
+    setStore({ ...store, activeId: profile.id })
+  }
+
+  async function removeProfile(profile) {
+    if (store.items.length === 1) {
+      Toast.show({ content: "至少需要保留一个API配置" })
+      return
+    }
+    const confirmed = await Dialog.confirm({
+      content: `确定删除「${profile.name}」吗？使用它的网站规则也会一并删除`
+    })
+    if (!confirmed) return
+
+    const items = store.items.filter((item) => item.id !== profile.id)
+    setStore({
+      activeId: store.activeId === profile.id ? items[0].id : store.activeId,
+      items,
+      siteOverrides: store.siteOverrides.filter(
+        (rule) => rule.profileId !== profile.id
+      )
+    })
+  }
+
+  return (
+    <div>
+      <Form.Header>API配置</Form.Header>
+      <List>
+        {store.items.map((profile) => (
+          <SwipeAction
+            key={profile.id}
+            rightActions={[
+              {
+                key: "activate",
+                text: "设为当前",
+                color: "primary",
+                onClick: () => activate(profile)
+              },
+              {
+                key: "delete",
+                text: "删除",
+                color: "danger",
+                onClick: () => removeProfile(profile)
+              }
+            ]}>
+            <List.Item
+              onClick={() => setEditing(profile)}
+              description={`${getProviderSchema(profile.provider).label}${
+                profile.model ? ` · ${profile.model}` : ""
+              }`}
+              extra={profile.id === store.activeId ? "当前" : null}>
+              {profile.name}
+            </List.Item>
+          </SwipeAction>
+        ))}
+      </List>
+      <div style={{ padding: "12px" }}>
+        <Button
+          block
+          size="small"
+          onClick={() => setEditing({ ...createProfile(""), id: "" })}>
+          添加API配置
+        </Button>
+      </div>
+
+      <SiteOverrides store={store} setStore={setStore} />
+
+      <Popup
+        visible={!!editing}
+        onMaskClick={() => setEditing(null)}
+        bodyStyle={{ maxHeight: "90vh", overflowY: "auto" }}
+        destroyOnClose>
+        {editing && <ProfileEditor profile={editing} onSave={onSave} />}
+      </Popup>
+    </div>
+  )
+}
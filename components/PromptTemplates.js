@@ -0,0 +1,209 @@
+import {
+  Button,
+  Dialog,
+  Form,
+  Input,
+  List,
+  Popup,
+  SwipeAction,
+  TextArea
+} from "antd-mobile"
+import React, { useState } from "react"
+
+import { Storage } from "@plasmohq/storage"
+import { useStorage } from "@plasmohq/storage/hook"
+
+import {
+  BUILTIN_TEMPLATES,
+  PLACEHOLDERS,
+  PROMPT_TEMPLATES_KEY,
+  renderTemplate,
+  validateTemplate
+} from "~utils/prompt-templates"
+
+// 提示词模板存放在local区域
+const storage = new Storage({ area: "local" })
+
+// 预览时使用的示例数据
+const PREVIEW_OPTIONS = {
+  sourceLang: "en",
+  targetLang: "zh",
+  glossary: [{ term: "Plasmo", translation: "Plasmo" }],
+  context: "页面标题：示例页面\n网站：example.com"
+}
+
+/**
+ * 读写提示词模板列表，未保存过时使用内置模板
+ * @returns {[Object[], Function]} 模板列表和保存函数
+ */
+export function usePromptTemplates() {
+  const [templates, setTemplates] = useStorage(
+    { key: PROMPT_TEMPLATES_KEY, instance: storage },
+    (storedValue) => (storedValue?.length ? storedValue : BUILTIN_TEMPLATES)
+  )
+  return [templates, setTemplates]
+}
+
+/**
+ * 模板编辑表单，实时校验并预览生成的提示词
+ */
+function TemplateEditor({ template, onSave }) {
+  const [content, setContent] = useState(template.content)
+  const { errors, warnings } = validateTemplate(content)
+
+  return (
+    <Form
+      layout="vertical"
+      initialValues={template}
+      onFinish={(values) => onSave({ ...template, ...values })}
+      footer={
+        <Button
+          block
+          type="submit"
+          color="primary"
+          size="small"
+          disabled={errors.length > 0}>
+          保存
+        </Button>
+      }>
+      <Form.Header>{template.id ? "编辑翻译风格" : "添加翻译风格"}</Form.Header>
+      <Form.Item
+        name="name"
+        label="名称"
+        rules={[{ required: true, whitespace: true, message: "请输入名称" }]}>
+        <Input placeholder="例如：正式" />
+      </Form.Item>
+      <Form.Item
+        name="content"
+        label="提示词"
+        description={`可用占位符：${PLACEHOLDERS.map(
+          (item) => `{{${item.name}}} ${item.description}`
+        ).join("；")}`}>
+        <TextArea rows={6} onChange={setContent} />
+      </Form.Item>
+      {(errors.length > 0 || warnings.length > 0) && (
+        <Form.Item label="检查结果">
+          {errors.map((message) => (
+            <div key={message} style={{ color: "#f44336", fontSize: "12px" }}>
+              {message}
+            </div>
+          ))}
+          {warnings.map((message) => (
+            <div key={message} style={{ color: "#ff9800", fontSize: "12px" }}>
+              {message}
+            </div>
+          ))}
+        </Form.Item>
+      )}
+      {errors.length === 0 && (
+        <Form.Item label="预览（英文→中文，含示例术语和页面信息）">
+          <div
+            style={{
+              whiteSpace: "pre-wrap",
+              fontSize: "12px",
+              color: "#666",
+              backgroundColor: "#f5f5f5",
+              padding: "6px",
+              borderRadius: "3px"
+            }}>
+            {renderTemplate(content, PREVIEW_OPTIONS)}
+          </div>
+        </Form.Item>
+      )}
+    </Form>
+  )
+}
+
+/**
+ * 翻译风格（提示词模板）管理
+ * 内置模板可以修改和恢复默认，自定义模板可以删除
+ */
+export function PromptTemplates() {
+  const [templates, setTemplates] = usePromptTemplates()
+  const [editing, setEditing] = useState(null) // 正在编辑的模板，新增时id为空
+
+  function onSave(template) {
+    if (template.id) {
+      setTemplates(
+        templates.map((item) => (item.id === template.id ? template : item))
+      )
+    } else {
+      setTemplates([
+        ...templates,
+        { ...template, id: `custom-${Date.now().toString(36)}` }
+      ])
+    }
+    setEditing(null)
+  }
+
+  function removeTemplate(template) {
+    setTemplates(templates.filter((item) => item.id !== template.id))
+  }
+
+  async function resetBuiltins() {
+    const confirmed = await Dialog.confirm({
+      content: "确定把内置风格恢复为默认内容吗？自定义风格会保留"
+    })
+    if (!confirmed) return
+    setTemplates([
+      ...BUILTIN_TEMPLATES,
+      ...templates.filter((item) => !item.builtin)
+    ])
+  }
+
+  return (
+    <div>
+      <Form.Header>翻译风格</Form.Header>
+      <List>
+        {templates.map((template) => (
+          <SwipeAction
+            key={template.id}
+            rightActions={
+              template.builtin
+                ? []
+                : [
+                    {
+                      key: "delete",
+                      text: "删除",
+                      color: "danger",
+                      onClick: () => removeTemplate(template)
+                    }
+                  ]
+            }>
+            <List.Item
+              onClick={() => setEditing(template)}
+              description={
+                validateTemplate(template.content).errors.length > 0
+                  ? "模板有错误，翻译时将使用标准风格"
+                  : null
+              }
+              extra={template.builtin ? "内置" : "自定义"}>
+              {template.name}
+            </List.Item>
+          </SwipeAction>
+        ))}
+      </List>
+      <div style={{ display: "flex", gap: "8px", padding: "12px" }}>
+        <Button
+          block
+          size="small"
+          onClick={() =>
+            setEditing({ name: "", content: BUILTIN_TEMPLATES[0].content })
+          }>
+          添加风格
+        </Button>
+        <Button block size="small" fill="outline" onClick={resetBuiltins}>
+          恢复内置风格
+        </Button>
+      </div>
+
+      <Popup
+        visible={!!editing}
+        onMaskClick={() => setEditing(null)}
+        bodyStyle={{ maxHeight: "90vh", overflowY: "auto" }}
+        destroyOnClose>
+        {editing && <TemplateEditor template={editing} onSave={onSave} />}
+      </Popup>
+    </div>
+  )
+}
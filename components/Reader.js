@@ -0,0 +1,480 @@
+import { Button, Empty, ProgressBar, Selector, Toast } from "antd-mobile"
+import React, { useEffect, useRef, useState } from "react"
+
+import { sendToBackground } from "@plasmohq/messaging"
+
+import { useApiConfig } from "~hooks/use-api-config"
+import {
+  DOCUMENT_ACCEPT,
+  downloadTranslation,
+  EXPORT_MODES,
+  getDocumentKind,
+  parseTextDocument
+} from "~utils/documents"
+import {
+  DEFAULT_TARGET_LANGUAGES,
+  detectLanguage,
+  getLanguageName,
+  getTargetLanguage
+} from "~utils/language"
+import {
+  getPdfPageParagraphs,
+  loadPdf,
+  PDF_SCALE,
+  renderPdfPage
+} from "~utils/pdf"
+
+import styles from "./reader.module.css"
+
+// 每批最多包含的段落数和字符数
+const BATCH_SIZE = 8
+const BATCH_CHARS = 2000
+// 同时进行中的批次数量
+const MAX_CONCURRENT = 2
+// 提取PDF文字时每隔多少页刷新一次界面
+const EXTRACT_REFRESH_PAGES = 10
+
+/**
+ * PDF地址中的文件名
+ */
+const getFileName = (url) =>
+  decodeURIComponent(new URL(url).pathname.split("/").pop() || "document.pdf")
+
+/**
+ * 把待翻译的段落按数量和字数切分成批次
+ */
+const splitIntoBatches = (items) => {
+  const batches = []
+  let current = []
+  let chars = 0
+  for (const item of items) {
+    if (
+      current.length > 0 &&
+      (current.length >= BATCH_SIZE || chars + item.text.length > BATCH_CHARS)
+    ) {
+      batches.push(current)
+      current = []
+      chars = 0
+    }
+    current.push(item)
+    chars += item.text.length
+  }
+  if (current.length > 0) batches.push(current)
+  return batches
+}
+
+/**
+ * PDF的一页，滚动到附近时才渲染画布和文字层
+ */
+function PdfPage({ pdf, pageNumber }) {
+  const containerRef = useRef(null)
+  const canvasRef = useRef(null)
+  const textRef = useRef(null)
+  const [size, setSize] = useState(null)
+
+  useEffect(() => {
+    let page = null
+    let cancelled = false
+    const observer = new IntersectionObserver(
+      (entries) => {
+        if (!entries.some((entry) => entry.isIntersecting)) return
+        observer.disconnect()
+        renderPdfPage(page, canvasRef.current, textRef.current).catch((err) =>
+          console.warn("渲染PDF页面失败:", err)
+        )
+      },
+      { rootMargin: "600px 0px" }
+    )
+
+    pdf.getPage(pageNumber).then((result) => {
+      if (cancelled) return
+      page = result
+      const viewport = page.getViewport({ scale: PDF_SCALE })
+      setSize({ width: viewport.width, height: viewport.height })
+      observer.observe(containerRef.current)
+    })
+
+    return () => {
+      cancelled = true
+      observer.disconnect()
+    }
+  }, [pdf, pageNumber])
+
+  return (
+    <div
+      ref={containerRef}
+      className={styles.pdfPage}
+      style={size ? { width: size.width, height: size.height } : undefined}>
+      <canvas ref={canvasRef} />
+      <div ref={textRef} className="textLayer" />
+    </div>
+  )
+}
+
+/**
+ * 一个段落的译文，还没有翻译时显示淡色的原文
+ */
+function SegmentTranslation({ segment, translation, failed }) {
+  if (segment.skip) {
+    return <pre className={styles.code}>{segment.text}</pre>
+  }
+  if (translation) {
+    return <p className={styles.translation}>{translation}</p>
+  }
+  return (
+    <p className={failed ? styles.failed : styles.pending}>
+      {failed ? `翻译失败：${segment.text}` : segment.text}
+    </p>
+  )
+}
+
+/**
+ * 文档翻译阅读器
+ * 打开PDF或本地文本文件，选中文字时由划词翻译处理；
+ * 翻译全文时分批发送给background，译文与原文按页（文本文件按段落）并排显示，可导出
+ */
+export function Reader() {
+  const [doc, setDoc] = useState(null) // 当前文档，见 LoadedDocument
+  const [pdf, setPdf] = useState(null) // pdf.js 打开的PDF，文本文件为空
+  const [loading, setLoading] = useState("") // 打开文档时的提示
+  const [targetLang, setTargetLang] = useState(null) // 手动选择的目标语言
+  const [translations, setTranslations] = useState({}) // 页码 -> 每段的译文
+  const [failed, setFailed] = useState(new Set()) // 翻译失败的段落，"页码:序号"
+  const [progress, setProgress] = useState(null) // 全文翻译进度
+  const [isTranslating, setIsTranslating] = useState(false)
+
+  const fileInputRef = useRef(null)
+  const sessionRef = useRef(0) // 打开新文档或切换语言后递增，丢弃过期的翻译结果
+  const runRef = useRef(0) // 每次全文翻译的编号，停止或开始新一轮后旧的批次不再继续
+
+  const apiConfig = useApiConfig()
+
+  // 未手动选择时，按文档开头的语言决定目标语言
+  const sampleText = (doc?.pages || [])
+    .flatMap((page) => page.segments)
+    .slice(0, 20)
+    .map((segment) => segment.text)
+    .join("\n")
+  const lang =
+    targetLang || getTargetLanguage(detectLanguage(sampleText).lang, apiConfig)
+  const languageOptions = [
+    ...new Set([
+      lang,
+      ...(apiConfig?.targetLanguages || DEFAULT_TARGET_LANGUAGES)
+    ])
+  ].map((code) => ({ label: getLanguageName(code), value: code }))
+
+  /**
+   * 清空译文和进度，打开新文档或切换目标语言时调用
+   */
+  function resetTranslation() {
+    sessionRef.current++
+    runRef.current++
+    setTranslations({})
+    setFailed(new Set())
+    setProgress(null)
+    setIsTranslating(false)
+  }
+
+  /**
+   * 打开PDF并逐页提取文字
+   * @param {string} name - 文件名
+   * @param {ArrayBuffer} data - 文件内容
+   */
+  async function openPdf(name, data) {
+    setLoading("正在打开PDF...")
+    const loaded = await loadPdf(data)
+    resetTranslation()
+    const session = sessionRef.current
+    const pages = Array.from({ length: loaded.numPages }, (_, index) => ({
+      number: index + 1,
+      segments: []
+    }))
+    pdf?.destroy()
+    setPdf(loaded)
+    setTargetLang(null)
+    setDoc({ name, kind: "pdf", pages: [...pages] })
+
+    for (let number = 1; number <= loaded.numPages; number++) {
+      if (session !== sessionRef.current) return
+      setLoading(`正在提取文字 ${number}/${loaded.numPages}`)
+      const paragraphs = await getPdfPageParagraphs(loaded, number)
+      pages[number - 1] = {
+        number,
+        segments: paragraphs.map((text) => ({ text }))
+      }
+      if (number % EXTRACT_REFRESH_PAGES === 0 || number === loaded.numPages) {
+        setDoc({ name, kind: "pdf", pages: [...pages] })
+      }
+    }
+    setLoading("")
+  }
+
+  /**
+   * 打开用户选择的文件
+   * @param {File} file - 文件
+   */
+  async function openFile(file) {
+    const kind = getDocumentKind(file.name)
+    if (!kind) {
+      Toast.show({ icon: "fail", content: "不支持的文件类型" })
+      return
+    }
+    try {
+      if (kind === "pdf") {
+        await openPdf(file.name, await file.arrayBuffer())
+      } else {
+        resetTranslation()
+        pdf?.destroy()
+        setPdf(null)
+        setTargetLang(null)
+        setDoc(parseTextDocument(file.name, await file.text()))
+      }
+    } catch (err) {
+      setLoading("")
+      Toast.show({ icon: "fail", content: `打开失败: ${err.message}` })
+    }
+  }
+
+  // 从网页或右键菜单打开时，地址中带有PDF的地址
+  useEffect(() => {
+    const url = new URLSearchParams(location.search).get("url")
+    if (!url) return
+    ;(async () => {
+      try {
+        setLoading("正在下载PDF...")
+        const resp = await fetch(url)
+        if (!resp.ok) throw new Error(`HTTP ${resp.status}`)
+        await openPdf(getFileName(url), await resp.arrayBuffer())
+      } catch (err) {
+        setLoading("")
+        Toast.show({ icon: "fail", content: `打开失败: ${err.message}` })
+      }
+    })()
+  }, [])
+
+  useEffect(() => {
+    document.title = doc ? `${doc.name} - 文档翻译` : "文档翻译"
+  }, [doc?.name])
+
+  /**
+   * 把一批段落发送给background翻译
+   */
+  async function translateBatch(texts) {
+    const resp = await sendToBackground({
+      name: "translate",
+      body: { texts, apiConfig, targetLang: lang }
+    })
+    if (resp.error) {
+      throw new Error(resp.error)
+    }
+    return resp.results || []
+  }
+
+  /**
+   * 翻译全文中还没有译文的段落，失败的段落再次点击时重试
+   */
+  async function translateAll() {
+    const pending = []
+    doc.pages.forEach((page) =>
+      page.segments.forEach((segment, index) => {
+        if (!segment.skip && !translations[page.number]?.[index]) {
+          pending.push({ page: page.number, index, text: segment.text })
+        }
+      })
+    )
+    if (pending.length === 0) return
+
+    const run = ++runRef.current
+    const batches = splitIntoBatches(pending)
+    let next = 0
+    setIsTranslating(true)
+    setFailed(new Set())
+    setProgress({ done: 0, failed: 0, total: pending.length })
+
+    const runBatches = async () => {
+      while (next < batches.length && run === runRef.current) {
+        const batch = batches[next++]
+        let results = []
+        try {
+          results = await translateBatch(batch.map((item) => item.text))
+        } catch (err) {
+          console.error("文档翻译批次失败:", err)
+        }
+        // 已经停止或开始了新一轮，结果丢弃，新一轮会重新请求（命中缓存）
+        if (run !== runRef.current) return
+
+        const succeeded = batch.filter((_, index) => results[index])
+        setTranslations((current) => {
+          const updated = { ...current }
+          batch.forEach((item, index) => {
+            if (!results[index]) return
+            updated[item.page] = [...(updated[item.page] || [])]
+            updated[item.page][item.index] = results[index]
+          })
+          return updated
+        })
+        setFailed((current) => {
+          const updated = new Set(current)
+          batch.forEach((item, index) => {
+            if (!results[index]) updated.add(`${item.page}:${item.index}`)
+          })
+          return updated
+        })
+        setProgress((current) => ({
+          ...current,
+          done: current.done + succeeded.length,
+          failed: current.failed + batch.length - succeeded.length
+        }))
+      }
+    }
+
+    await Promise.all(Array.from({ length: MAX_CONCURRENT }, runBatches))
+    if (run === runRef.current) setIsTranslating(false)
+  }
+
+  /**
+   * 停止全文翻译，已经发出的批次的结果不再使用
+   */
+  function stopTranslate() {
+    runRef.current++
+    setIsTranslating(false)
+  }
+
+  function changeTargetLang(value) {
+    if (!value[0] || value[0] === lang) return
+    resetTranslation()
+    setTargetLang(value[0])
+  }
+
+  const hasTranslation = Object.keys(translations).length > 0
+
+  return (
+    <div className={styles.reader}>
+      <div className={styles.toolbar}>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept={DOCUMENT_ACCEPT}
+          hidden
+          onChange={(e) => {
+            const file = e.target.files[0]
+            e.target.value = ""
+            if (file) openFile(file)
+          }}
+        />
+        <Button size="small" onClick={() => fileInputRef.current.click()}>
+          打开文件
+        </Button>
+        {doc && (
+          <>
+            <span className={styles.name} title={doc.name}>
+              {doc.name}
+            </span>
+            <Selector
+              value={[lang]}
+              options={languageOptions}
+              onChange={changeTargetLang}
+            />
+            {isTranslating ? (
+              <Button size="small" color="danger" onClick={stopTranslate}>
+                停止
+              </Button>
+            ) : (
+              <Button
+                size="small"
+                color="primary"
+                disabled={!!loading}
+                onClick={translateAll}>
+                {failed.size > 0 ? `重试失败的${failed.size}段` : "翻译全文"}
+              </Button>
+            )}
+            {EXPORT_MODES.map((item) => (
+              <Button
+                key={item.value}
+                size="small"
+                disabled={!hasTranslation}
+                onClick={() =>
+                  downloadTranslation(doc, translations, item.value)
+                }>
+                {item.label}
+              </Button>
+            ))}
+          </>
+        )}
+      </div>
+      {progress && (
+        <ProgressBar
+          className={styles.progress}
+          percent={((progress.done + progress.failed) / progress.total) * 100}
+          text={`${progress.done}/${progress.total}${
+            progress.failed > 0 ? `，${progress.failed}段失败` : ""
+          }`}
+        />
+      )}
+      {loading && <div className={styles.loading}>{loading}</div>}
+
+      {!doc ? (
+        <Empty
+          className={styles.empty}
+          description="打开PDF、TXT、Markdown或SRT文件：选中文字即可划词翻译，也可以翻译全文后与原文对照阅读并导出"
+        />
+      ) : (
+        doc.pages.map((page) => (
+          <section key={page.number} className={styles.page}>
+            {doc.kind === "pdf" ? (
+              <div className={styles.row}>
+                <PdfPage pdf={pdf} pageNumber={page.number} />
+                <div className={styles.column}>
+                  <div className={styles.pageNumber}>第{page.number}页</div>
+                  {page.segments.length === 0 && !loading && (
+                    <p className={styles.pending}>
+                      本页没有可提取的文字，可能是扫描件
+                    </p>
+                  )}
+                  {page.segments.map((segment, index) => (
+                    <SegmentTranslation
+                      key={index}
+                      segment={segment}
+                      translation={translations[page.number]?.[index]}
+                      failed={failed.has(`${page.number}:${index}`)}
+                    />
+                  ))}
+                </div>
+              </div>
+            ) : (
+              page.segments.map((segment, index) => (
+                <div key={index} className={styles.row}>
+                  <div className={styles.column}>
+                    {segment.cue && (
+                      <div className={styles.pageNumber}>
+                        {segment.cue.timing}
+                      </div>
+                    )}
+                    {segment.skip ? (
+                      <pre className={styles.code}>{segment.text}</pre>
+                    ) : (
+                      <p className={styles.original}>{segment.text}</p>
+                    )}
+                  </div>
+                  <div className={styles.column}>
+                    {/* 左侧已经是原文，没有译文时右侧留空 */}
+                    {!segment.skip &&
+                      (translations[page.number]?.[index] ||
+                        failed.has(`${page.number}:${index}`)) && (
+                        <SegmentTranslation
+                          segment={segment}
+                          translation={translations[page.number]?.[index]}
+                          failed={failed.has(`${page.number}:${index}`)}
+                        />
+                      )}
+                  </div>
+                </div>
+              ))
+            )}
+          </section>
+        ))
+      )}
+    </div>
+  )
+}
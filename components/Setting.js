@@ -1,14 +1,79 @@
-import { Button, Form, Input, Radio, Space, Toast, Switch } from "antd-mobile"
+import { Button, Form, Selector, Stepper, Toast, Switch } from "antd-mobile"
 import React, { useEffect } from "react"
 
 import { useStorage } from "@plasmohq/storage/hook"
 
+import { useVoices } from "~hooks/use-speech"
+import {
+  DEFAULT_HOVER_DISPLAY,
+  DEFAULT_HOVER_MODIFIER,
+  HOVER_DISPLAYS,
+  HOVER_MODIFIERS
+} from "~utils/hover-translate"
+import {
+  DEFAULT_PRIMARY_LANGUAGE,
+  DEFAULT_SECONDARY_LANGUAGE,
+  DEFAULT_TARGET_LANGUAGES,
+  LANGUAGES
+} from "~utils/language"
+import { DEFAULT_OCR_LANGUAGES, OCR_LANGUAGES } from "~utils/ocr"
+import { CONTEXT_LEVELS, DEFAULT_CONTEXT_LEVEL } from "~utils/page-context"
+import { getActiveProfile } from "~utils/profiles"
+import { DEFAULT_TEMPLATE_ID } from "~utils/prompt-templates"
+import {
+  DEFAULT_MAX_RETRIES,
+  DEFAULT_REQUEST_TIMEOUT,
+  getProviderSchema
+} from "~utils/providers"
+import { DEFAULT_SPEECH_RATE, getVoiceLanguage } from "~utils/speech"
+import {
+  DEFAULT_FONT_SIZE,
+  DEFAULT_POPUP_WIDTH,
+  DEFAULT_THEME,
+  THEME_OPTIONS
+} from "~utils/theme"
+
+import { CacheStats } from "./CacheStats"
+import { useProfiles } from "./Profiles"
+import { PromptTemplates, usePromptTemplates } from "./PromptTemplates"
 import styles from "./setting.module.css"
 
+// 语言选项，供Selector使用
+const LANGUAGE_OPTIONS = LANGUAGES.map((item) => ({
+  label: item.name,
+  value: item.code
+}))
+
+// Selector的值为数组，单选的语言字段在表单中按字符串存储
+const singleSelectProps = {
+  getValueProps: (value) => ({ value: value ? [value] : [] }),
+  normalize: (value) => value[0]
+}
+
 export function Setting() {
   const [form] = Form.useForm()
+  const [profiles, setProfiles] = useProfiles()
+  // 当前档案的服务商，决定是否显示翻译风格
+  const providerSchema = getProviderSchema(getActiveProfile(profiles)?.provider)
   // 使用 useStorage 获取和更新存储值
   const [data, setData] = useStorage("data", (storedValue) => storedValue || {})
+  const [templates] = usePromptTemplates()
+  const voices = useVoices()
+  // 只列出常用语言的语音，避免选项过多
+  const primaryLanguage = Form.useWatch("primaryLanguage", form)
+  const secondaryLanguage = Form.useWatch("secondaryLanguage", form)
+  const targetLanguages = Form.useWatch("targetLanguages", form)
+  const voiceLanguages = [
+    primaryLanguage || DEFAULT_PRIMARY_LANGUAGE,
+    secondaryLanguage || DEFAULT_SECONDARY_LANGUAGE,
+    ...(targetLanguages || DEFAULT_TARGET_LANGUAGES)
+  ]
+  const voiceOptions = voices
+    .filter((voice) => voiceLanguages.includes(getVoiceLanguage(voice)))
+    .map((voice) => ({
+      label: `${voice.name}（${voice.lang}）`,
+      value: voice.voiceURI
+    }))
 
   // 在data加载完成后设置表单值
   useEffect(() => {
@@ -19,7 +84,8 @@ export function Setting() {
 
   function onSubmit() {
     const values = form.getFieldsValue()
-    setData(values)
+    // 与已保存的配置合并，保留表单之外的配置项
+    setData({ ...data, ...values })
     Toast.show({
       icon: "success",
       content: "保存成功"
@@ -52,32 +118,226 @@ export function Setting() {
         </Form.Item>
         
         <Form.Item
-          name="apiUrl"
-          label="API地址"
-          initialValue="https://api.deepseek.com/v1/chat/completions"
-          rules={[{ required: true, message: "请输入DeepSeek API地址" }]}>
-          <Input placeholder="请输入DeepSeek API地址" />
+          label="API配置"
+          description="服务商、密钥和模型在选项页中管理，也可以为特定网站指定配置">
+          <Selector
+            columns={2}
+            value={profiles ? [profiles.activeId] : []}
+            options={(profiles?.items || []).map((item) => ({
+              label: item.name,
+              value: item.id
+            }))}
+            onChange={(value) =>
+              value[0] && setProfiles({ ...profiles, activeId: value[0] })
+            }
+          />
+          <Button
+            size="mini"
+            fill="none"
+            color="primary"
+            onClick={() => chrome.runtime.openOptionsPage()}>
+            管理API配置
+          </Button>
         </Form.Item>
+
+        <Form.Header>语言设置</Form.Header>
         <Form.Item
-          name="apiKey"
-          label="API密钥"
-          rules={[{ required: true, message: "请输入DeepSeek API密钥" }]}>
-          <Input placeholder="请输入DeepSeek API密钥" />
+          name="primaryLanguage"
+          label="主要语言"
+          initialValue={DEFAULT_PRIMARY_LANGUAGE}
+          description="其他语言的文本都会译为主要语言"
+          {...singleSelectProps}>
+          <Selector columns={4} options={LANGUAGE_OPTIONS} />
         </Form.Item>
+        <Form.Item
+          name="secondaryLanguage"
+          label="次要语言"
+          initialValue={DEFAULT_SECONDARY_LANGUAGE}
+          description="主要语言的文本会译为次要语言"
+          {...singleSelectProps}>
+          <Selector columns={4} options={LANGUAGE_OPTIONS} />
+        </Form.Item>
+        <Form.Item
+          name="targetLanguages"
+          label="常用目标语言"
+          initialValue={DEFAULT_TARGET_LANGUAGES}
+          description="在翻译结果弹窗中可快速切换">
+          <Selector columns={4} multiple options={LANGUAGE_OPTIONS} />
+        </Form.Item>
+
+        {providerSchema.kind === "llm" && (
+          <Form.Item
+            name="promptTemplate"
+            label="默认翻译风格"
+            initialValue={DEFAULT_TEMPLATE_ID}
+            description="可在翻译结果弹窗中临时切换，风格内容在下方编辑"
+            {...singleSelectProps}>
+            <Selector
+              columns={3}
+              options={templates.map((item) => ({
+                label: item.name,
+                value: item.id
+              }))}
+            />
+          </Form.Item>
+        )}
 
+        <Form.Header>输入框翻译</Form.Header>
+        <Form.Item
+          name="inputTranslate"
+          label="指令翻译"
+          initialValue={true}
+          valuePropName="checked"
+          description="在输入框末尾输入 //en、//ja 等语言代码后按空格或回车，内容会被翻译为该语言并原地替换，可撤销">
+          <Switch />
+        </Form.Item>
         <Form.Item
-          name="model"
-          label="模型"
-          initialValue="deepseek-chat"
-          rules={[{ required: true, message: "请选择模型" }]}>
-          <Radio.Group>
-            <Space direction="vertical">
-              <Radio value="deepseek-chat">DeepSeek-V3</Radio>
-              <Radio value="deepseek-reasoner">DeepSeek-R1</Radio>
-            </Space>
-          </Radio.Group>
+          name="inputTargetLanguage"
+          label="快捷键目标语言"
+          initialValue={DEFAULT_SECONDARY_LANGUAGE}
+          description="按 Alt+I 把当前输入框的内容翻译为该语言"
+          {...singleSelectProps}>
+          <Selector columns={4} options={LANGUAGE_OPTIONS} />
+        </Form.Item>
+
+        <Form.Header>界面设置</Form.Header>
+        <Form.Item
+          name="theme"
+          label="主题"
+          initialValue={DEFAULT_THEME}
+          description="跟随网页时按网页背景色自动选择浅色或深色"
+          {...singleSelectProps}>
+          <Selector columns={4} options={THEME_OPTIONS} />
+        </Form.Item>
+        <Form.Item
+          name="fontSize"
+          label="字号（px）"
+          initialValue={DEFAULT_FONT_SIZE}>
+          <Stepper min={12} max={20} />
+        </Form.Item>
+        <Form.Item
+          name="popupWidth"
+          label="弹窗宽度（px）"
+          initialValue={DEFAULT_POPUP_WIDTH}>
+          <Stepper min={250} max={800} step={50} />
+        </Form.Item>
+
+        <Form.Header>朗读</Form.Header>
+        <Form.Item
+          name="speechRate"
+          label="语速"
+          initialValue={DEFAULT_SPEECH_RATE}
+          description="1为正常语速">
+          <Stepper min={0.5} max={2} step={0.1} digits={1} />
+        </Form.Item>
+        {voiceOptions.length > 0 && (
+          <Form.Item
+            name="speechVoices"
+            label="偏好语音"
+            initialValue={[]}
+            description="朗读时按文本语言选择语音：优先使用这里选中的该语言语音，未选择时自动匹配">
+            <Selector columns={1} multiple options={voiceOptions} />
+          </Form.Item>
+        )}
+
+        <Form.Header>其他设置</Form.Header>
+        <Form.Item
+          name="showFloatingButton"
+          label="显示翻译按钮"
+          initialValue={true}
+          valuePropName="checked"
+          description="选中文本后自动显示翻译按钮。关闭后可用 Alt+S 或右键菜单翻译选中文本，Alt+C 复制结果，Esc 关闭弹窗；快捷键可在 chrome://extensions/shortcuts 中修改">
+          <Switch />
+        </Form.Item>
+        <Form.Item
+          name="hoverModifier"
+          label="悬停翻译"
+          initialValue={DEFAULT_HOVER_MODIFIER}
+          description="按住修饰键并把鼠标停在段落上，无需选中文本即可翻译整段"
+          {...singleSelectProps}>
+          <Selector options={HOVER_MODIFIERS} />
+        </Form.Item>
+        <Form.Item
+          name="hoverDisplay"
+          label="悬停译文显示"
+          initialValue={DEFAULT_HOVER_DISPLAY}
+          description="段落下方的译文与全文翻译的样式相同，刷新页面后消失"
+          {...singleSelectProps}>
+          <Selector options={HOVER_DISPLAYS} />
+        </Form.Item>
+        <Form.Item
+          name="ocrLanguages"
+          label="图片识别语言"
+          initialValue={DEFAULT_OCR_LANGUAGES}
+          description="右键点击图片选择“识别并翻译图片中的文字”，在本地识别，不上传图片；只选实际需要的语言识别更快">
+          <Selector multiple options={OCR_LANGUAGES} />
+        </Form.Item>
+        <Form.Item
+          name="subtitleTranslate"
+          label="视频字幕翻译"
+          initialValue={true}
+          valuePropName="checked"
+          description="播放网页中的视频并打开字幕时，提前翻译即将出现的字幕，在视频上显示双语字幕，可切换原文或译文">
+          <Switch />
+        </Form.Item>
+        <Form.Item
+          name="stream"
+          label="流式输出"
+          initialValue={true}
+          valuePropName="checked"
+          description="边翻译边显示，可随时停止">
+          <Switch />
+        </Form.Item>
+        <Form.Item
+          name="timeout"
+          label="请求超时（秒）"
+          initialValue={DEFAULT_REQUEST_TIMEOUT}
+          description="流式输出时只限制等待响应的时间">
+          <Stepper min={5} max={300} step={5} />
+        </Form.Item>
+        <Form.Item
+          name="maxRetries"
+          label="失败重试次数"
+          initialValue={DEFAULT_MAX_RETRIES}
+          description="遇到限流或服务端错误时自动重试，间隔逐次加倍">
+          <Stepper min={0} max={5} />
+        </Form.Item>
+        <Form.Item
+          name="contextLevel"
+          label="翻译上下文"
+          initialValue={DEFAULT_CONTEXT_LEVEL}
+          description="随原文一起发送页面标题、所在章节和段落，帮助判断多义词和代词的含义；段落最多约800字，会增加token用量，这些内容也会发送给翻译服务商"
+          {...singleSelectProps}>
+          <Selector options={CONTEXT_LEVELS} />
+        </Form.Item>
+        <Form.Item
+          name="richFormat"
+          label="保留格式"
+          initialValue={true}
+          valuePropName="checked"
+          description="选中的内容包含链接、代码、列表或加粗等格式时，译文保留相同的结构，代码和网址不翻译，可复制为Markdown或HTML">
+          <Switch />
+        </Form.Item>
+        <Form.Item
+          name="dictionary"
+          label="查词模式"
+          initialValue={true}
+          valuePropName="checked"
+          description="选中单词或短语时显示音标、词性、释义和例句，可加入生词本（仅大模型服务商）">
+          <Switch />
+        </Form.Item>
+        <Form.Item
+          name="saveHistory"
+          label="保存翻译历史"
+          initialValue={true}
+          valuePropName="checked"
+          description="划词翻译的结果会保存在本地，可在历史记录中搜索和导出">
+          <Switch />
         </Form.Item>
       </Form>
+
+      <PromptTemplates />
+      <CacheStats />
     </div>
   )
 }
@@ -0,0 +1,314 @@
+import {
+  Button,
+  Empty,
+  Form,
+  Input,
+  List,
+  Selector,
+  SwipeAction,
+  Switch
+} from "antd-mobile"
+import React, { useEffect, useState } from "react"
+
+import { useStorage } from "@plasmohq/storage/hook"
+
+import {
+  DEFAULT_PRIMARY_LANGUAGE,
+  getLanguageName,
+  LANGUAGES
+} from "~utils/language"
+import {
+  DEFAULT_SITE_MODE,
+  EMPTY_SITE_RULES,
+  getSitePolicy,
+  normalizeHostPattern,
+  removeSiteRule,
+  SITE_MODES,
+  SITE_RULES_KEY,
+  upsertSiteRule
+} from "~utils/site-rules"
+
+import { useProfiles } from "./Profiles"
+
+const LANGUAGE_OPTIONS = LANGUAGES.map((item) => ({
+  label: item.name,
+  value: item.code
+}))
+
+/**
+ * 当前标签页的域名，浏览器内置页面等没有域名时为空
+ */
+function useCurrentHostname() {
+  const [hostname, setHostname] = useState("")
+
+  useEffect(() => {
+    chrome.tabs.query({ active: true, currentWindow: true }, ([tab]) => {
+      try {
+        const url = new URL(tab?.url || "")
+        if (url.protocol === "http:" || url.protocol === "https:") {
+          setHostname(url.hostname)
+        }
+      } catch (err) {
+        // 没有权限读取地址的页面
+      }
+    })
+  }, [])
+
+  return hostname
+}
+
+/**
+ * 描述一条规则的效果
+ */
+const describeRule = (rule, profileName) =>
+  [
+    rule.enabled ? "启用" : "禁用",
+    rule.enabled && rule.autoTranslate
+      ? `自动翻译为${getLanguageName(rule.autoTranslate)}`
+      : "",
+    profileName ? `使用「${profileName}」` : ""
+  ]
+    .filter(Boolean)
+    .join("，")
+
+/**
+ * 当前网站的规则：启用/禁用翻译、自动全文翻译、使用的API配置
+ * 规则可以只作用于当前域名，也可以作用于整个域名及其子域名
+ */
+function CurrentSite({ hostname, store, setStore, profiles, setProfiles }) {
+  const baseHost = hostname.replace(/^www\./, "")
+  const scopeOptions = [
+    { label: hostname, value: hostname },
+    { label: `*.${baseHost}`, value: `*.${baseHost}` }
+  ]
+  const policy = getSitePolicy(store, hostname)
+  // 默认编辑当前生效的规则，没有规则时作用于当前域名
+  const [scope, setScope] = useState(
+    scopeOptions.some((item) => item.value === policy.rule?.host)
+      ? policy.rule.host
+      : hostname
+  )
+
+  const rule = store.rules.find((item) => item.host === scope)
+  const override = profiles?.siteOverrides.find((item) => item.host === scope)
+  const enabled = rule ? rule.enabled : policy.enabled
+
+  function updateRule(changes) {
+    setStore(
+      upsertSiteRule(store, {
+        host: scope,
+        enabled,
+        ...rule,
+        ...changes
+      })
+    )
+  }
+
+  function updateProfile(profileId) {
+    const siteOverrides = profiles.siteOverrides.filter(
+      (item) => item.host !== scope
+    )
+    setProfiles({
+      ...profiles,
+      siteOverrides: profileId
+        ? [...siteOverrides, { host: scope, profileId }]
+        : siteOverrides
+    })
+  }
+
+  function resetScope() {
+    setStore(removeSiteRule(store, scope))
+    if (override) updateProfile("")
+  }
+
+  return (
+    <div>
+      <Form.Header>当前网站</Form.Header>
+      <List>
+        <List.Item description="选择 *. 开头的范围时同时作用于所有子域名">
+          <div style={{ marginBottom: "6px" }}>规则范围</div>
+          <Selector
+            columns={2}
+            value={[scope]}
+            options={scopeOptions}
+            onChange={(value) => value[0] && setScope(value[0])}
+          />
+        </List.Item>
+        <List.Item
+          extra={
+            <Switch
+              checked={enabled}
+              onChange={(checked) => updateRule({ enabled: checked })}
+            />
+          }>
+          在此网站启用翻译
+        </List.Item>
+        {enabled && (
+          <List.Item
+            description="打开页面时自动翻译全文"
+            extra={
+              <Switch
+                checked={!!rule?.autoTranslate}
+                onChange={(checked) =>
+                  updateRule({
+                    autoTranslate: checked ? DEFAULT_PRIMARY_LANGUAGE : ""
+                  })
+                }
+              />
+            }>
+            自动翻译
+          </List.Item>
+        )}
+        {enabled && rule?.autoTranslate && (
+          <List.Item>
+            <Selector
+              columns={4}
+              value={[rule.autoTranslate]}
+              options={LANGUAGE_OPTIONS}
+              onChange={(value) =>
+                value[0] && updateRule({ autoTranslate: value[0] })
+              }
+            />
+          </List.Item>
+        )}
+        {profiles && (
+          <List.Item description="未指定时使用当前选中的API配置">
+            <div style={{ marginBottom: "6px" }}>使用API配置</div>
+            <Selector
+              columns={2}
+              value={[override?.profileId || ""]}
+              options={[
+                { label: "跟随默认", value: "" },
+                ...profiles.items.map((item) => ({
+                  label: item.name,
+                  value: item.id
+                }))
+              ]}
+              onChange={(value) => value.length && updateProfile(value[0])}
+            />
+          </List.Item>
+        )}
+      </List>
+      {(rule || override) && (
+        <div style={{ padding: "12px" }}>
+          <Button block size="small" onClick={resetScope}>
+            删除此范围的规则
+          </Button>
+        </div>
+      )}
+    </div>
+  )
+}
+
+/**
+ * 网站规则管理
+ * 在popup中为当前网站设置规则，并查看、删除所有网站的规则
+ */
+export function SiteRules() {
+  const [store, setStore] = useStorage(
+    SITE_RULES_KEY,
+    (storedValue) => storedValue || EMPTY_SITE_RULES
+  )
+  const [profiles, setProfiles] = useProfiles()
+  const hostname = useCurrentHostname()
+  const [form] = Form.useForm()
+
+  const profileName = (host) => {
+    const profileId = profiles?.siteOverrides.find(
+      (item) => item.host === host
+    )?.profileId
+    return profiles?.items.find((item) => item.id === profileId)?.name
+  }
+
+  function addRule({ host, enabled }) {
+    setStore(
+      upsertSiteRule(store, {
+        host: normalizeHostPattern(host),
+        enabled: enabled[0] === "enabled"
+      })
+    )
+    form.resetFields()
+  }
+
+  return (
+    <div>
+      {hostname && (
+        <CurrentSite
+          key={hostname}
+          hostname={hostname}
+          store={store}
+          setStore={setStore}
+          profiles={profiles}
+          setProfiles={setProfiles}
+        />
+      )}
+
+      <Form.Header>所有网站</Form.Header>
+      <List>
+        <List.Item description="仅在指定网站启用时，只有下方设置为启用的网站才会显示翻译按钮">
+          <Selector
+            columns={2}
+            value={[store.mode || DEFAULT_SITE_MODE]}
+            options={SITE_MODES}
+            onChange={(value) =>
+              value[0] && setStore({ ...store, mode: value[0] })
+            }
+          />
+        </List.Item>
+      </List>
+      {store.rules.length === 0 ? (
+        <Empty description="还没有网站规则" />
+      ) : (
+        <List>
+          {store.rules.map((rule) => (
+            <SwipeAction
+              key={rule.host}
+              rightActions={[
+                {
+                  key: "delete",
+                  text: "删除",
+                  color: "danger",
+                  onClick: () => setStore(removeSiteRule(store, rule.host))
+                }
+              ]}>
+              <List.Item
+                description={describeRule(rule, profileName(rule.host))}>
+                {rule.host}
+              </List.Item>
+            </SwipeAction>
+          ))}
+        </List>
+      )}
+      <Form
+        form={form}
+        layout="horizontal"
+        onFinish={addRule}
+        footer={
+          <Button block type="submit" size="small">
+            添加规则
+          </Button>
+        }>
+        <Form.Item
+          name="host"
+          label="网站"
+          description="填写域名，*.example.com 同时匹配所有子域名"
+          rules={[{ required: true, whitespace: true, message: "请输入域名" }]}>
+          <Input placeholder="例如 *.internal.example.com" />
+        </Form.Item>
+        <Form.Item
+          name="enabled"
+          label="翻译"
+          initialValue={["disabled"]}
+          rules={[{ required: true, message: "请选择" }]}>
+          <Selector
+            columns={2}
+            options={[
+              { label: "禁用", value: "disabled" },
+              { label: "启用", value: "enabled" }
+            ]}
+          />
+        </Form.Item>
+      </Form>
+    </div>
+  )
+}
@@ -0,0 +1,376 @@
+import {
+  Button,
+  Dialog,
+  Empty,
+  Form,
+  Input,
+  List,
+  NoticeBar,
+  Popup,
+  Selector,
+  Stepper,
+  SwipeAction,
+  Toast
+} from "antd-mobile"
+import React, { useEffect, useState } from "react"
+
+import { sendToBackground } from "@plasmohq/messaging"
+import { useStorage } from "@plasmohq/storage/hook"
+
+import { getProviderSchema } from "~utils/providers"
+import {
+  DEFAULT_USAGE_SETTINGS,
+  formatCost,
+  formatTokens,
+  getDayKey,
+  getMonthKey,
+  groupUsage,
+  sumUsage,
+  USAGE_SETTINGS_KEY
+} from "~utils/usage"
+
+import styles from "./usage.module.css"
+
+// 图表显示最近多少天
+const CHART_DAYS = 30
+
+const CURRENCY_OPTIONS = ["¥", "$", "€"].map((value) => ({
+  label: value,
+  value
+}))
+
+/**
+ * 调用background的用量统计接口
+ * @param {string} action - list / clear
+ */
+async function callUsage(action) {
+  const resp = await sendToBackground({ name: "usage", body: { action } })
+  if (!resp.success) {
+    throw new Error(resp.error)
+  }
+  return resp.result
+}
+
+/**
+ * 记录对应的模型名称，机器翻译类服务商没有模型时显示服务商名称
+ */
+const getModelLabel = (record) =>
+  record.model || getProviderSchema(record.provider).label
+
+/**
+ * 最近几天每天的用量柱状图
+ * 设置了价格时按费用绘制，否则按token数（机器翻译为字符数）绘制
+ */
+function DailyChart({ records, settings }) {
+  const byDay = new Map(
+    groupUsage(records, (record) => record.day, settings.pricing).map(
+      (item) => [item.key, item]
+    )
+  )
+  const days = Array.from({ length: CHART_DAYS }, (_, index) =>
+    getDayKey(Date.now() - (CHART_DAYS - 1 - index) * 24 * 60 * 60 * 1000)
+  )
+  const useCost = settings.pricing.length > 0
+  const getValue = (day) => {
+    const item = byDay.get(day)
+    if (!item) return 0
+    return useCost
+      ? item.cost
+      : item.inputTokens + item.outputTokens + item.characters
+  }
+  const max = Math.max(...days.map(getValue))
+  const format = (value) =>
+    useCost ? formatCost(value, settings.currency) : formatTokens(value)
+
+  return (
+    <div className={styles.chart}>
+      <div className={styles.chartTitle}>
+        最近{CHART_DAYS}天{useCost ? "费用" : "用量"}，最高 {format(max)}
+      </div>
+      <div className={styles.bars}>
+        {days.map((day) => {
+          const value = getValue(day)
+          return (
+            <div
+              key={day}
+              className={styles.bar}
+              title={`${day}：${format(value)}`}
+              style={{ height: max > 0 ? `${(value / max) * 100}%` : 0 }}
+            />
+          )
+        })}
+      </div>
+      <div className={styles.axis}>
+        <span>{days[0].slice(5)}</span>
+        <span>{days[days.length - 1].slice(5)}</span>
+      </div>
+    </div>
+  )
+}
+
+/**
+ * 分组汇总列表，例如按模型、按网站
+ */
+function UsageGroups({ title, groups, currency }) {
+  if (groups.length === 0) return null
+  return (
+    <List header={title}>
+      {groups.map((item) => (
+        <List.Item
+          key={item.key}
+          description={`${item.requests}次请求 · 输入${formatTokens(
+            item.inputTokens
+          )} · 输出${formatTokens(item.outputTokens)}${
+            item.characters ? ` · ${formatTokens(item.characters)}字符` : ""
+          }`}
+          extra={formatCost(item.cost, currency)}>
+          {item.key}
+        </List.Item>
+      ))}
+    </List>
+  )
+}
+
+/**
+ * 模型价格编辑表单
+ */
+function PricingEditor({ pricing, onSave }) {
+  return (
+    <Form
+      layout="horizontal"
+      initialValues={pricing}
+      onFinish={onSave}
+      footer={
+        <Button block type="submit" color="primary" size="small">
+          保存
+        </Button>
+      }>
+      <Form.Header>模型价格（每百万token）</Form.Header>
+      <Form.Item
+        name="model"
+        label="模型"
+        rules={[{ required: true, whitespace: true, message: "请输入模型名" }]}>
+        <Input placeholder="与API配置中的模型一致" />
+      </Form.Item>
+      <Form.Item name="input" label="输入价格" initialValue={0}>
+        <Stepper min={0} step={0.1} digits={2} />
+      </Form.Item>
+      <Form.Item name="output" label="输出价格" initialValue={0}>
+        <Stepper min={0} step={0.1} digits={2} />
+      </Form.Item>
+    </Form>
+  )
+}
+
+/**
+ * 用量统计面板
+ * 显示本月的请求数、token数和估算费用，按天、模型、网站汇总，
+ * 并设置各模型的价格和每月预算
+ */
+export function Usage() {
+  const [records, setRecords] = useState([])
+  const [editing, setEditing] = useState(null) // 正在编辑的价格，新增时model为空
+  const [settings, setSettings] = useStorage(USAGE_SETTINGS_KEY, (stored) => ({
+    ...DEFAULT_USAGE_SETTINGS,
+    ...stored
+  }))
+
+  async function load() {
+    try {
+      setRecords(await callUsage("list"))
+    } catch (err) {
+      Toast.show({ icon: "fail", content: err.message })
+    }
+  }
+
+  useEffect(() => {
+    load()
+  }, [])
+
+  async function clear() {
+    const confirmed = await Dialog.confirm({ content: "确定清空用量记录吗？" })
+    if (!confirmed) return
+    await callUsage("clear")
+    load()
+  }
+
+  function savePricing(values) {
+    const model = values.model.trim()
+    setSettings({
+      ...settings,
+      pricing: [
+        ...settings.pricing.filter(
+          (item) => item.model !== model && item.model !== editing.model
+        ),
+        { model, input: values.input || 0, output: values.output || 0 }
+      ]
+    })
+    setEditing(null)
+  }
+
+  function removePricing(model) {
+    setSettings({
+      ...settings,
+      pricing: settings.pricing.filter((item) => item.model !== model)
+    })
+  }
+
+  const { currency, pricing, monthlyBudget } = settings
+  const monthRecords = records.filter((record) =>
+    record.day.startsWith(getMonthKey())
+  )
+  const month = sumUsage(monthRecords, pricing)
+  const overBudget = monthlyBudget > 0 && month.cost > monthlyBudget
+  // 用过但还没有设置价格的模型
+  const unpricedModels = [
+    ...new Set(
+      records
+        .filter((record) => record.model)
+        .map((record) => record.model)
+        .filter((model) => !pricing.some((item) => item.model === model))
+    )
+  ]
+
+  return (
+    <div className={styles.usage}>
+      {overBudget && (
+        <NoticeBar
+          color="alert"
+          content={`本月费用 ${formatCost(
+            month.cost,
+            currency
+          )} 已超出预算 ${formatCost(monthlyBudget, currency)}`}
+        />
+      )}
+
+      <Form.Header>本月用量</Form.Header>
+      <div className={styles.totals}>
+        <div>
+          <div className={styles.value}>{month.requests}</div>
+          <div className={styles.label}>请求</div>
+        </div>
+        <div>
+          <div className={styles.value}>{formatTokens(month.inputTokens)}</div>
+          <div className={styles.label}>输入token</div>
+        </div>
+        <div>
+          <div className={styles.value}>{formatTokens(month.outputTokens)}</div>
+          <div className={styles.label}>输出token</div>
+        </div>
+        <div>
+          <div className={styles.value}>{formatCost(month.cost, currency)}</div>
+          <div className={styles.label}>
+            {monthlyBudget > 0
+              ? `预算 ${formatCost(monthlyBudget, currency)}`
+              : "估算费用"}
+          </div>
+        </div>
+      </div>
+
+      {records.length === 0 ? (
+        <Empty description="暂无用量记录，命中缓存的翻译不计入用量" />
+      ) : (
+        <>
+          <DailyChart records={records} settings={settings} />
+          <UsageGroups
+            title="本月按模型"
+            groups={groupUsage(monthRecords, getModelLabel, pricing)}
+            currency={currency}
+          />
+          <UsageGroups
+            title="本月按网站"
+            groups={groupUsage(
+              monthRecords,
+              (record) => record.site || "扩展页面",
+              pricing
+            )}
+            currency={currency}
+          />
+        </>
+      )}
+
+      <Form.Header>价格与预算</Form.Header>
+      <List>
+        <List.Item
+          extra={
+            <Selector
+              value={[currency]}
+              options={CURRENCY_OPTIONS}
+              onChange={(value) =>
+                value[0] && setSettings({ ...settings, currency: value[0] })
+              }
+            />
+          }>
+          货币
+        </List.Item>
+        <List.Item
+          description="当月费用超出预算时，扩展图标上会显示“!”，为0时不提醒"
+          extra={
+            <Stepper
+              min={0}
+              step={10}
+              value={monthlyBudget}
+              onChange={(value) =>
+                setSettings({ ...settings, monthlyBudget: value || 0 })
+              }
+            />
+          }>
+          每月预算
+        </List.Item>
+        {pricing.map((item) => (
+          <SwipeAction
+            key={item.model}
+            rightActions={[
+              {
+                key: "delete",
+                text: "删除",
+                color: "danger",
+                onClick: () => removePricing(item.model)
+              }
+            ]}>
+            <List.Item
+              onClick={() => setEditing(item)}
+              description={`输入 ${formatCost(item.input, currency)} · 输出 ${formatCost(
+                item.output,
+                currency
+              )} / 百万token`}>
+              {item.model}
+            </List.Item>
+          </SwipeAction>
+        ))}
+        {unpricedModels.map((model) => (
+          <List.Item
+            key={model}
+            description="未设置价格，费用按0计算"
+            onClick={() => setEditing({ model, input: 0, output: 0 })}>
+            {model}
+          </List.Item>
+        ))}
+      </List>
+      <div className={styles.actions}>
+        <Button
+          block
+          size="small"
+          onClick={() => setEditing({ model: "", input: 0, output: 0 })}>
+          添加模型价格
+        </Button>
+        <Button
+          block
+          size="small"
+          color="danger"
+          fill="outline"
+          disabled={records.length === 0}
+          onClick={clear}>
+          清空用量记录
+        </Button>
+      </div>
+
+      <Popup
+        visible={!!editing}
+        onMaskClick={() => setEditing(null)}
+        destroyOnClose>
+        {editing && <PricingEditor pricing={editing} onSave={savePricing} />}
+      </Popup>
+    </div>
+  )
+}
@@ -0,0 +1,101 @@
+import { Button, Empty, List, SwipeAction, Toast } from "antd-mobile"
+import React, { useEffect, useState } from "react"
+
+import { sendToBackground } from "@plasmohq/messaging"
+
+import { summarizeEntry, vocabularyToCsv } from "~utils/dictionary"
+import { downloadFile } from "~utils/download"
+
+import styles from "./vocabulary.module.css"
+
+/**
+ * 调用background的生词本接口
+ * @param {string} action - list / delete
+ * @param {Object} params - 操作参数
+ */
+async function callVocabulary(action, params = {}) {
+  const resp = await sendToBackground({
+    name: "vocabulary",
+    body: { action, ...params }
+  })
+  if (!resp.success) {
+    throw new Error(resp.error)
+  }
+  return resp.result
+}
+
+/**
+ * 生词本面板：查看从词典卡片加入的单词，左滑删除，可导出为CSV
+ */
+export function Vocabulary() {
+  const [entries, setEntries] = useState([])
+
+  async function load() {
+    try {
+      setEntries(await callVocabulary("list"))
+    } catch (err) {
+      Toast.show({ icon: "fail", content: err.message })
+    }
+  }
+
+  useEffect(() => {
+    load()
+  }, [])
+
+  async function removeEntry(entry) {
+    await callVocabulary("delete", { id: entry.id })
+    load()
+  }
+
+  function exportCsv() {
+    downloadFile(vocabularyToCsv(entries), "vocabulary.csv", "text/csv")
+  }
+
+  return (
+    <div className={styles.vocabulary}>
+      {entries.length === 0 ? (
+        <Empty description="暂无生词，查词时点击“加入生词本”" />
+      ) : (
+        <List header={`共${entries.length}个单词`}>
+          {entries.map((entry) => (
+            <SwipeAction
+              key={entry.id}
+              rightActions={[
+                {
+                  key: "delete",
+                  text: "删除",
+                  color: "danger",
+                  onClick: () => removeEntry(entry)
+                }
+              ]}>
+              <List.Item
+                description={
+                  entry.examples[0] && (
+                    <div className={styles.example}>
+                      {entry.examples[0].source}
+                    </div>
+                  )
+                }>
+                <span className={styles.word}>{entry.word}</span>
+                {entry.phonetic && (
+                  <span className={styles.phonetic}>{entry.phonetic}</span>
+                )}
+                <div className={styles.meaning}>{summarizeEntry(entry)}</div>
+              </List.Item>
+            </SwipeAction>
+          ))}
+        </List>
+      )}
+
+      <div style={{ padding: "12px" }}>
+        <Button
+          block
+          size="small"
+          disabled={entries.length === 0}
+          onClick={exportCsv}>
+          导出CSV
+        </Button>
+      </div>
+    </div>
+  )
+}
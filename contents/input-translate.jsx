@@ -0,0 +1,285 @@
+import cssText from "data-text:./translate.css"
+import React, { useEffect, useRef, useState } from "react"
+
+import { sendToBackground } from "@plasmohq/messaging"
+import { useMessage } from "@plasmohq/messaging/hook"
+
+import { useApiConfig } from "~hooks/use-api-config"
+import { useTheme } from "~hooks/use-theme"
+import {
+  getEditableElement,
+  getEditableText,
+  getFocusedEditable,
+  isCaretAtEnd,
+  parseTrigger,
+  replaceEditableText
+} from "~utils/editable"
+import { DEFAULT_SECONDARY_LANGUAGE, getLanguageName } from "~utils/language"
+import { capturePageContext } from "~utils/page-context"
+import { getMissingField } from "~utils/providers"
+import { DEFAULT_FONT_SIZE } from "~utils/theme"
+
+/**
+ * 输入框翻译内容脚本
+ * 在输入框末尾输入 "//语言代码" 后按空格或回车，或按快捷键，把输入框的内容翻译后原地替换
+ */
+export const config = {
+  matches: ["<all_urls>"]
+}
+
+export const getStyle = () => {
+  const style = document.createElement("style")
+  style.textContent = cssText
+  return style
+}
+
+// 提示条自动消失的时间（毫秒）
+const TOAST_DURATION = 5000
+
+/**
+ * 提示条显示在输入框下方，超出视口时改为上方
+ * @param {HTMLElement} element - 输入框
+ */
+const getToastPosition = (element) => {
+  const rect = element.getBoundingClientRect()
+  const y =
+    rect.bottom + 40 > window.innerHeight ? rect.top - 36 : rect.bottom + 4
+  return { x: Math.max(0, rect.left), y: Math.max(0, y) }
+}
+
+/**
+ * 翻译状态提示条，翻译完成后提供撤销按钮
+ */
+const Toast = ({ status, onUndo, onClose }) => (
+  <div
+    style={{
+      position: "fixed",
+      left: `${status.position.x}px`,
+      top: `${status.position.y}px`,
+      zIndex: 10000,
+      display: "flex",
+      alignItems: "center",
+      gap: "10px",
+      padding: "5px 10px",
+      borderRadius: "4px",
+      border: "1px solid var(--translate-border)",
+      backgroundColor: "var(--translate-bg)",
+      boxShadow: "0 2px 10px var(--translate-shadow)",
+      fontSize: "var(--translate-font-size-small)",
+      color:
+        status.type === "error"
+          ? "var(--translate-danger)"
+          : "var(--translate-text-secondary)"
+    }}
+    // 避免点击提示条时输入框失去焦点
+    onMouseDown={(e) => e.preventDefault()}>
+    <span>{status.message}</span>
+    {status.type === "done" && (
+      <span
+        onClick={onUndo}
+        style={{ cursor: "pointer", color: "var(--translate-primary)" }}>
+        撤销
+      </span>
+    )}
+    {status.type !== "loading" && (
+      <span
+        onClick={onClose}
+        style={{ cursor: "pointer", color: "var(--translate-text-muted)" }}>
+        ✕
+      </span>
+    )}
+  </div>
+)
+
+export default function InputTranslate() {
+  // 当前提示：{ type: "loading" | "done" | "error", message, position }
+  const [status, setStatus] = useState(null)
+
+  const busyRef = useRef(false) // 同一时间只翻译一个输入框
+  const lastChangeRef = useRef(null) // 最近一次替换，用于撤销 { element, original, translated }
+  const timerRef = useRef(null)
+
+  const apiConfig = useApiConfig()
+  const theme = useTheme(apiConfig?.theme)
+  const apiConfigRef = useRef(apiConfig)
+  apiConfigRef.current = apiConfig
+  // 配置加载完成、确认当前网站启用后才监听输入
+  const isInputTranslateEnabled =
+    !!apiConfig &&
+    apiConfig.enabled !== false &&
+    apiConfig.inputTranslate !== false
+
+  /**
+   * 显示提示，完成和出错的提示在一段时间后自动消失
+   */
+  const showStatus = (nextStatus) => {
+    clearTimeout(timerRef.current)
+    setStatus(nextStatus)
+    if (nextStatus && nextStatus.type !== "loading") {
+      timerRef.current = setTimeout(() => setStatus(null), TOAST_DURATION)
+    }
+  }
+
+  /**
+   * 翻译输入框的内容并原地替换
+   * @param {HTMLElement} element - 输入框
+   * @param {string} text - 待翻译的文本
+   * @param {string} targetLang - 目标语言
+   */
+  const translateEditable = async (element, text, targetLang) => {
+    const position = getToastPosition(element)
+    const missing = getMissingField(apiConfigRef.current)
+    if (missing) {
+      busyRef.current = false
+      showStatus({ type: "error", message: `请先配置${missing}`, position })
+      return
+    }
+
+    busyRef.current = true
+    showStatus({
+      type: "loading",
+      message: `正在翻译为${getLanguageName(targetLang)}...`,
+      position
+    })
+
+    try {
+      const resp = await sendToBackground({
+        name: "translate",
+        body: {
+          text,
+          apiConfig: apiConfigRef.current,
+          targetLang,
+          // 输入框中是用户自己的文字，只发送页面信息
+          context: capturePageContext({
+            level: apiConfigRef.current?.contextLevel
+          })
+        }
+      })
+      if (resp.error) throw new Error(resp.error)
+
+      // 翻译期间用户继续输入了内容，不再覆盖
+      if (getEditableText(element).trim() !== text.trim()) {
+        showStatus({
+          type: "error",
+          message: "输入框内容已改变，未替换译文",
+          position
+        })
+        return
+      }
+
+      replaceEditableText(element, resp.result)
+      lastChangeRef.current = {
+        element,
+        original: text,
+        translated: resp.result
+      }
+      showStatus({
+        type: "done",
+        message: `已翻译为${getLanguageName(targetLang)}`,
+        position
+      })
+    } catch (err) {
+      showStatus({
+        type: "error",
+        message: `翻译失败: ${err.message}`,
+        position
+      })
+    } finally {
+      busyRef.current = false
+    }
+  }
+
+  /**
+   * 恢复翻译前的内容，输入框已被再次修改时不处理
+   */
+  const undo = () => {
+    const change = lastChangeRef.current
+    lastChangeRef.current = null
+    showStatus(null)
+    if (!change || !change.element.isConnected) return
+
+    if (getEditableText(change.element).trim() === change.translated.trim()) {
+      replaceEditableText(change.element, change.original)
+    }
+  }
+
+  // 内容以 "//语言代码" 结尾时，按空格或回车确认后才翻译
+  // 只在输入过程中匹配会把 "//this"、"//ensure" 等普通输入的开头误当成指令
+  useEffect(() => {
+    if (!isInputTranslateEnabled) return
+
+    const handleKeyDown = (e) => {
+      if (e.key !== " " && e.key !== "Enter") return
+      // 输入法组字过程中的按键用于选词
+      if (e.isComposing || e.ctrlKey || e.altKey || e.metaKey) return
+      if (busyRef.current) return
+
+      // 事件可能来自shadow root内部的输入框
+      const element = getEditableElement(e.composedPath()[0])
+      if (!element || !isCaretAtEnd(element)) return
+
+      const trigger = parseTrigger(getEditableText(element))
+      if (!trigger || !trigger.text.trim()) return
+
+      // 确认键不输入到内容中，回车也不会提交表单或发送消息
+      e.preventDefault()
+      e.stopPropagation()
+
+      // 先去掉指令，翻译完成后再替换为译文
+      // 等编辑器处理完本次按键后再修改内容，放到下一个任务中执行
+      busyRef.current = true
+      setTimeout(() => {
+        replaceEditableText(element, trigger.text)
+        translateEditable(element, trigger.text, trigger.targetLang)
+      })
+    }
+
+    document.addEventListener("keydown", handleKeyDown, { capture: true })
+    return () => {
+      document.removeEventListener("keydown", handleKeyDown, { capture: true })
+      clearTimeout(timerRef.current)
+    }
+  }, [isInputTranslateEnabled])
+
+  /**
+   * 快捷键：翻译当前获得焦点的输入框，目标语言为设置中的输入框翻译语言
+   */
+  useMessage(async (req, res) => {
+    if (req.name !== "translate-input") return
+
+    if (apiConfig?.enabled === false) {
+      res.send({ success: false, error: "翻译功能已关闭" })
+      return
+    }
+    if (apiConfig?.inputTranslate === false) {
+      res.send({ success: false, error: "输入框翻译已关闭" })
+      return
+    }
+    const element = getFocusedEditable()
+    const text = element ? getEditableText(element) : ""
+    if (!text.trim() || busyRef.current) {
+      res.send({ success: false, error: "没有可翻译的输入内容" })
+      return
+    }
+
+    res.send({ success: true })
+    await translateEditable(
+      element,
+      text,
+      apiConfig?.inputTargetLanguage || DEFAULT_SECONDARY_LANGUAGE
+    )
+  })
+
+  if (!status) return null
+
+  return (
+    <div
+      className="translate-root"
+      data-theme={theme}
+      style={{
+        "--translate-font-size": `${apiConfig?.fontSize || DEFAULT_FONT_SIZE}px`
+      }}>
+      <Toast status={status} onUndo={undo} onClose={() => showStatus(null)} />
+    </div>
+  )
+}
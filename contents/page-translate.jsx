@@ -0,0 +1,226 @@
+import cssText from "data-text:./translate.css"
+import React, { useEffect, useRef, useState } from "react"
+
+import { sendToBackground } from "@plasmohq/messaging"
+import { useMessage } from "@plasmohq/messaging/hook"
+
+import { useApiConfig } from "~hooks/use-api-config"
+import { useTheme } from "~hooks/use-theme"
+import { DEFAULT_PRIMARY_LANGUAGE } from "~utils/language"
+import { createPageTranslator, DISPLAY_MODES } from "~utils/page-translator"
+import { getMissingField } from "~utils/providers"
+import { DEFAULT_FONT_SIZE } from "~utils/theme"
+
+/**
+ * 全文翻译内容脚本，在所有URL上生效
+ * 由popup中的“翻译当前页面”按钮或快捷键触发，网站规则设置了自动翻译时打开页面即开始
+ */
+export const config = {
+  matches: ["<all_urls>"]
+}
+
+/**
+ * 与划词翻译共用主题样式，工具条使用相同的CSS变量
+ */
+export const getStyle = () => {
+  const style = document.createElement("style")
+  style.textContent = cssText
+  return style
+}
+
+/**
+ * 全文翻译工具条
+ * 翻译开始后固定在页面右下角，显示进度并提供原文/译文/双语切换
+ */
+export default function PageTranslate() {
+  const [isActive, setIsActive] = useState(false) // 是否处于全文翻译状态
+  const [mode, setMode] = useState("both") // 显示模式
+  const [progress, setProgress] = useState({ total: 0, done: 0, failed: 0 })
+
+  const translatorRef = useRef(null)
+  const apiConfigRef = useRef(null)
+  const autoStartedRef = useRef(false) // 自动翻译每个页面只触发一次
+
+  // 从Storage获取API配置
+  const apiConfig = useApiConfig()
+  // 界面主题（light / dark），与结果弹窗一致
+  const theme = useTheme(apiConfig?.theme)
+
+  // 翻译器在整个生命周期中只创建一次，通过ref读取最新配置
+  useEffect(() => {
+    apiConfigRef.current = apiConfig
+  }, [apiConfig])
+
+  // 全文翻译译为网站规则指定的语言，没有指定时译为主要语言
+  const getTargetLang = () =>
+    apiConfigRef.current?.autoTranslate ||
+    apiConfigRef.current?.primaryLanguage ||
+    DEFAULT_PRIMARY_LANGUAGE
+
+  /**
+   * 把一批段落发送给background翻译
+   */
+  const translateBatch = async (texts) => {
+    const resp = await sendToBackground({
+      name: "translate",
+      body: {
+        texts,
+        apiConfig: apiConfigRef.current,
+        targetLang: getTargetLang()
+      }
+    })
+
+    if (resp.error) {
+      throw new Error(resp.error)
+    }
+    return resp.results || []
+  }
+
+  const getTranslator = () => {
+    if (!translatorRef.current) {
+      translatorRef.current = createPageTranslator({
+        translateBatch,
+        onProgress: setProgress
+      })
+    }
+    return translatorRef.current
+  }
+
+  /**
+   * 开始全文翻译
+   */
+  const startTranslate = () => {
+    const translator = getTranslator()
+    translator.start(getTargetLang())
+    translator.setMode(mode)
+    setIsActive(true)
+  }
+
+  /**
+   * 恢复页面原貌，移除所有译文
+   */
+  const restorePage = () => {
+    getTranslator().restore()
+    setIsActive(false)
+    setProgress({ total: 0, done: 0, failed: 0 })
+  }
+
+  /**
+   * 切换显示模式
+   */
+  const changeMode = (value) => {
+    setMode(value)
+    getTranslator().setMode(value)
+  }
+
+  // 网站规则设置了自动翻译时，配置加载完成后开始全文翻译
+  useEffect(() => {
+    if (autoStartedRef.current || !apiConfig?.autoTranslate) return
+    if (apiConfig.enabled === false || getMissingField(apiConfig)) return
+    autoStartedRef.current = true
+    startTranslate()
+  }, [apiConfig])
+
+  // 离开页面时停止翻译
+  useEffect(() => {
+    return () => translatorRef.current?.restore()
+  }, [])
+
+  // 接收popup和快捷键发来的全文翻译指令，再次触发时恢复原文
+  useMessage(async (req, res) => {
+    if (req.name !== "translate-page") return
+
+    if (apiConfigRef.current?.enabled === false) {
+      res.send({ success: false, error: "翻译功能已关闭" })
+      return
+    }
+    const missing = getMissingField(apiConfigRef.current)
+    if (missing) {
+      res.send({ success: false, error: `请先配置${missing}` })
+      return
+    }
+
+    if (isActive) {
+      restorePage()
+    } else {
+      startTranslate()
+    }
+    res.send({ success: true, active: !isActive })
+  })
+
+  if (!isActive) return null
+
+  const { total, done, failed } = progress
+
+  return (
+    <div
+      className="translate-root"
+      data-theme={theme}
+      style={{
+        "--translate-font-size": `${apiConfig?.fontSize || DEFAULT_FONT_SIZE}px`
+      }}>
+      <div
+        style={{
+          position: "fixed",
+          right: "20px",
+          bottom: "20px",
+          zIndex: 10000,
+          display: "flex",
+          alignItems: "center",
+          gap: "8px",
+          padding: "6px 10px",
+          backgroundColor: "var(--translate-bg)",
+          border: "1px solid var(--translate-border)",
+          borderRadius: "4px",
+          boxShadow: "0 2px 10px var(--translate-shadow)",
+          fontFamily: "Arial, sans-serif",
+          fontSize: "var(--translate-font-size-small)",
+          color: "var(--translate-text)"
+        }}>
+        <span style={{ color: "var(--translate-text-secondary)" }}>
+          {total === 0 ? "没有需要翻译的段落" : `已翻译 ${done}/${total}`}
+        </span>
+        {failed > 0 && (
+          <span
+            onClick={() => getTranslator().retryFailed()}
+            style={{ color: "var(--translate-danger)", cursor: "pointer" }}>
+            {failed}段失败，重试
+          </span>
+        )}
+        {/* 显示模式切换 */}
+        <div
+          style={{
+            display: "flex",
+            border: "1px solid var(--translate-primary)",
+            borderRadius: "3px",
+            overflow: "hidden"
+          }}>
+          {DISPLAY_MODES.map((item) => (
+            <span
+              key={item.value}
+              onClick={() => changeMode(item.value)}
+              style={{
+                padding: "2px 6px",
+                cursor: "pointer",
+                backgroundColor:
+                  mode === item.value
+                    ? "var(--translate-primary)"
+                    : "var(--translate-bg)",
+                color:
+                  mode === item.value
+                    ? "var(--translate-on-primary)"
+                    : "var(--translate-primary)"
+              }}>
+              {item.label}
+            </span>
+          ))}
+        </div>
+        <span
+          onClick={restorePage}
+          style={{ color: "var(--translate-primary)", cursor: "pointer" }}>
+          显示原网页
+        </span>
+      </div>
+    </div>
+  )
+}
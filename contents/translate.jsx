@@ -1,8 +1,68 @@
+import cssText from "data-text:./translate.css"
 import React, { forwardRef, useEffect, useRef, useState } from "react"
 
 import { sendToBackground } from "@plasmohq/messaging"
+import { useMessage } from "@plasmohq/messaging/hook"
+import { Storage } from "@plasmohq/storage"
 import { useStorage } from "@plasmohq/storage/hook"
 
+import { useApiConfig } from "~hooks/use-api-config"
+import { useSpeech } from "~hooks/use-speech"
+import { useTheme } from "~hooks/use-theme"
+import { needsChunking } from "~utils/chunking"
+import { isWordLookup } from "~utils/dictionary"
+import { ERROR_CODES, TranslateError } from "~utils/errors"
+import { findGlossaryViolations, GLOSSARY_KEY } from "~utils/glossary"
+import {
+  DEFAULT_HOVER_DISPLAY,
+  DEFAULT_HOVER_MODIFIER,
+  HOVER_DELAY,
+  isModifierPressed
+} from "~utils/hover-translate"
+import {
+  DEFAULT_TARGET_LANGUAGES,
+  detectLanguage,
+  getLanguageName,
+  getTargetLanguage
+} from "~utils/language"
+import {
+  DEFAULT_OCR_LANGUAGES,
+  findImageAt,
+  getImageSource,
+  removeOcrOverlay,
+  showOcrOverlay
+} from "~utils/ocr"
+import { capturePageContext } from "~utils/page-context"
+import {
+  findParagraphAt,
+  getBlockStatus,
+  getBlockText,
+  showBlockTranslation
+} from "~utils/page-translator"
+import {
+  DEFAULT_COMPARE_COUNT,
+  getCompareCandidates,
+  PROFILES_KEY
+} from "~utils/profiles"
+import {
+  BUILTIN_TEMPLATES,
+  DEFAULT_TEMPLATE_ID,
+  PROMPT_TEMPLATES_KEY
+} from "~utils/prompt-templates"
+import { DEFAULT_PROVIDER, supportsPrompt } from "~utils/providers"
+import {
+  hasRichFormatting,
+  markdownToHtml,
+  markdownToText,
+  restorePlaceholders,
+  serializeRange
+} from "~utils/rich-text"
+import { DEFAULT_FONT_SIZE, DEFAULT_POPUP_WIDTH } from "~utils/theme"
+import { streamTranslate } from "~utils/translate-stream"
+
+// 术语表和提示词模板存放在local区域
+const localArea = new Storage({ area: "local" })
+
 /**
  * 定义内容脚本的配置，使插件在所有URL上生效
  */
@@ -11,30 +71,15 @@ export const config = {
 }
 
 /**
- * 设置组件样式，确保组件在页面上正确显示
- * 高z-index确保翻译内容显示在页面元素之上
+ * 注入到shadow root中的样式：隔离网页样式，并定义主题使用的CSS变量
+ * 界面挂载在Plasmo默认创建的shadow root中，网页的CSS不会作用到内部元素
  */
-// export const getStyle = () => {
-//   return {
-//     zIndex: 99999,  // 确保足够高的z-index值
-//     position: "relative"
-//   }
-// }
-
-/**
- * 设置插件锚点，将组件挂载到页面body上
- */
-export const getInlineAnchor = async () => {
-  return document.body
+export const getStyle = () => {
+  const style = document.createElement("style")
+  style.textContent = cssText
+  return style
 }
 
-/**
- * 检测文本是否包含中文字符
- * @param {string} text - 需要检测的文本
- * @returns {boolean} - 是否包含中文
- */
-const isChineseText = (text) => /[\u4e00-\u9fa5]/.test(text)
-
 /**
  * 自定义折叠文本组件
  * 当文本过长时，提供展开/收起功能以优化显示
@@ -44,8 +89,17 @@ const isChineseText = (text) => /[\u4e00-\u9fa5]/.test(text)
  * @param {number} props.maxRows - 折叠时显示的最大行数
  * @param {boolean} props.expanded - 是否展开
  * @param {Function} props.onToggle - 展开/收起状态变化时的回调
+ * @param {boolean} props.streaming - 是否正在流式输出，输出中在末尾显示光标
+ * @param {Object} props.highlight - 高亮的文本范围 {start, end}，用于标记正在朗读的句子
  */
-const CollapsibleText = ({ text, maxRows = 3, expanded = false, onToggle }) => {
+const CollapsibleText = ({
+  text,
+  maxRows = 3,
+  expanded = false,
+  onToggle,
+  streaming = false,
+  highlight = null
+}) => {
   const textRef = useRef(null)
   const [needsCollapse, setNeedsCollapse] = useState(false)
   const [isExpanded, setIsExpanded] = useState(expanded)
@@ -81,11 +135,28 @@ const CollapsibleText = ({ text, maxRows = 3, expanded = false, onToggle }) => {
           overflow: needsCollapse && !isExpanded ? "hidden" : "visible",
           maxHeight:
             needsCollapse && !isExpanded ? `${maxRows * 1.5}em` : "none",
-          fontSize: "14px",
+          fontSize: "var(--translate-font-size)",
           lineHeight: "1.5",
           wordBreak: "break-word"
         }}>
-        {text}
+        {highlight ? (
+          <>
+            {text.slice(0, highlight.start)}
+            <mark
+              style={{
+                backgroundColor: "var(--translate-mark)",
+                color: "inherit"
+              }}>
+              {text.slice(highlight.start, highlight.end)}
+            </mark>
+            {text.slice(highlight.end)}
+          </>
+        ) : (
+          text
+        )}
+        {streaming && (
+          <span style={{ color: "var(--translate-primary)" }}>▍</span>
+        )}
       </div>
       {needsCollapse && (
         <div
@@ -93,8 +164,8 @@ const CollapsibleText = ({ text, maxRows = 3, expanded = false, onToggle }) => {
           style={{
             marginTop: "4px",
             cursor: "pointer",
-            color: "#4285f4",
-            fontSize: "12px",
+            color: "var(--translate-primary)",
+            fontSize: "var(--translate-font-size-small)",
             textAlign: "center"
           }}>
           {isExpanded ? "收起" : "展开"}
@@ -104,9 +175,521 @@ const CollapsibleText = ({ text, maxRows = 3, expanded = false, onToggle }) => {
   )
 }
 
+/**
+ * 保留格式的译文，把Markdown渲染为对应的标题、列表、链接和代码
+ *
+ * @param {Object} props - 组件属性
+ * @param {string} props.markdown - Markdown格式的译文
+ * @param {boolean} props.streaming - 是否正在流式输出，输出中在末尾显示光标
+ */
+const RichText = ({ markdown, streaming = false }) => (
+  <div
+    className="translate-rich"
+    style={{
+      maxHeight: "300px",
+      overflowY: "auto",
+      fontSize: "var(--translate-font-size)",
+      lineHeight: "1.5",
+      wordBreak: "break-word"
+    }}>
+    {/* markdownToHtml会转义所有文本，只生成有限的几种标签 */}
+    <div dangerouslySetInnerHTML={{ __html: markdownToHtml(markdown) }} />
+    {streaming && <span style={{ color: "var(--translate-primary)" }}>▍</span>}
+  </div>
+)
+
+/**
+ * 朗读按钮，朗读中点击停止
+ *
+ * @param {Object} props - 组件属性
+ * @param {boolean} props.speaking - 是否正在朗读
+ * @param {Function} props.onClick - 点击时的回调
+ */
+const SpeakButton = ({ speaking, onClick }) => (
+  <span
+    onClick={onClick}
+    title={speaking ? "停止朗读" : "朗读"}
+    style={{
+      marginLeft: "6px",
+      cursor: "pointer",
+      fontWeight: "normal",
+      fontSize: "var(--translate-font-size-small)",
+      color: speaking
+        ? "var(--translate-primary)"
+        : "var(--translate-text-tertiary)"
+    }}>
+    {speaking ? "■ 停止" : "🔊 朗读"}
+  </span>
+)
+
+/**
+ * 停止流式翻译的按钮
+ *
+ * @param {Object} props - 组件属性
+ * @param {Function} props.onStop - 点击停止时的回调
+ */
+const StopButton = ({ onStop }) => (
+  <div
+    onClick={onStop}
+    style={{
+      cursor: "pointer",
+      color: "var(--translate-danger)",
+      fontSize: "var(--translate-font-size-small)",
+      marginTop: "8px",
+      textAlign: "right"
+    }}>
+    ■ 停止
+  </div>
+)
+
+/**
+ * 长文本分段翻译的进度
+ *
+ * @param {Object} props - 组件属性
+ * @param {{done: number, failed: number, total: number}} props.progress - 分段进度
+ */
+const ChunkProgressText = ({ progress }) => (
+  <p
+    style={{
+      margin: "5px 0 0",
+      fontSize: "var(--translate-font-size-small)",
+      color: "var(--translate-text-tertiary)"
+    }}>
+    分段翻译：已完成 {progress.done}/{progress.total} 段
+    {progress.failed > 0 && `，${progress.failed} 段失败，稍后自动重试`}
+  </p>
+)
+
+/**
+ * 图片文字识别的结果，识别有误时可以先修改再翻译
+ *
+ * @param {Object} props - 组件属性
+ * @param {Object} props.ocr - 识别状态 {status, error, regions, overlay, overlayError}
+ * @param {string} props.text - 识别出的文字
+ * @param {Function} props.onChange - 修改文字时的回调
+ * @param {Function} props.onTranslate - 翻译修改后的文字
+ * @param {Function} props.onOverlay - 逐段翻译并把译文显示在图片上
+ */
+const OcrEditor = ({ ocr, text, onChange, onTranslate, onOverlay }) => {
+  const hintStyle = {
+    margin: "5px 0",
+    fontSize: "var(--translate-font-size-small)",
+    color: "var(--translate-text-secondary)"
+  }
+  const actionStyle = {
+    cursor: "pointer",
+    color: "var(--translate-primary)"
+  }
+
+  return (
+    <div>
+      <strong>识别结果：</strong>
+      {ocr.status === "recognizing" ? (
+        <p style={hintStyle}>正在识别图片中的文字...首次识别需要加载识别模型</p>
+      ) : ocr.status === "failed" ? (
+        <p style={{ margin: "5px 0", color: "var(--translate-danger)" }}>
+          识别失败: {ocr.error}
+        </p>
+      ) : ocr.regions.length === 0 ? (
+        <p style={hintStyle}>没有识别到文字</p>
+      ) : (
+        <>
+          <textarea
+            value={text}
+            onChange={(e) => onChange(e.target.value)}
+            rows={Math.min(8, Math.max(3, text.split("\n").length))}
+            style={{
+              display: "block",
+              width: "100%",
+              boxSizing: "border-box",
+              marginTop: "5px",
+              padding: "5px",
+              border: "1px solid var(--translate-border-light)",
+              borderRadius: "3px",
+              backgroundColor: "var(--translate-surface)",
+              color: "var(--translate-text)",
+              fontSize: "var(--translate-font-size)",
+              fontFamily: "inherit",
+              resize: "vertical"
+            }}
+          />
+          {ocr.overlayError && (
+            <p style={{ ...hintStyle, color: "var(--translate-danger)" }}>
+              {ocr.overlayError}
+            </p>
+          )}
+          <div
+            style={{
+              fontSize: "var(--translate-font-size-small)",
+              marginTop: "8px",
+              display: "flex",
+              justifyContent: "flex-end",
+              alignItems: "center",
+              gap: "12px"
+            }}>
+            <span
+              onClick={ocr.overlay === "pending" ? undefined : onOverlay}
+              title="按识别出的段落逐段翻译，点击图片上的译文可移除"
+              style={
+                ocr.overlay === "done"
+                  ? { ...actionStyle, color: "var(--translate-success)" }
+                  : actionStyle
+              }>
+              {ocr.overlay === "pending"
+                ? "翻译中..."
+                : ocr.overlay === "done"
+                  ? "已显示在图片上 ✓"
+                  : "在图片上显示译文"}
+            </span>
+            <span
+              onClick={text.trim() ? onTranslate : undefined}
+              style={actionStyle}>
+              翻译
+            </span>
+          </div>
+        </>
+      )}
+    </div>
+  )
+}
+
+/**
+ * 提示译文中没有按术语表翻译的术语
+ *
+ * @param {Object} props - 组件属性
+ * @param {Object[]} props.violations - 未采用指定译法的术语
+ */
+const GlossaryWarning = ({ violations }) => (
+  <div
+    style={{
+      marginTop: "5px",
+      padding: "4px 6px",
+      borderRadius: "3px",
+      backgroundColor: "var(--translate-warning-bg)",
+      color: "var(--translate-warning-text)",
+      fontSize: "var(--translate-font-size-small)"
+    }}>
+    未按术语表翻译：
+    {violations.map((entry) => (
+      <span key={entry.id} style={{ marginRight: "6px" }}>
+        <mark
+          style={{
+            backgroundColor: "var(--translate-mark)",
+            color: "inherit",
+            padding: "0 2px"
+          }}>
+          {entry.term}
+        </mark>
+        →{entry.translation}
+      </span>
+    ))}
+  </div>
+)
+
+/**
+ * 查词结果的词典卡片
+ *
+ * @param {Object} props - 组件属性
+ * @param {Object} props.entry - 词典条目，见 utils/dictionary
+ */
+const DictionaryCard = ({ entry }) => (
+  <div style={{ lineHeight: "1.5", wordBreak: "break-word" }}>
+    <div>
+      <strong style={{ fontSize: "calc(var(--translate-font-size) + 2px)" }}>
+        {entry.word}
+      </strong>
+      {entry.phonetic && (
+        <span
+          style={{
+            marginLeft: "8px",
+            fontSize: "var(--translate-font-size-small)",
+            color: "var(--translate-text-tertiary)"
+          }}>
+          {entry.phonetic}
+        </span>
+      )}
+    </div>
+    {entry.definitions.map((item, index) => (
+      <div key={index} style={{ marginTop: "3px" }}>
+        {item.partOfSpeech && (
+          <span
+            style={{
+              marginRight: "6px",
+              fontStyle: "italic",
+              color: "var(--translate-primary)"
+            }}>
+            {item.partOfSpeech}
+          </span>
+        )}
+        {item.meaning}
+      </div>
+    ))}
+    {entry.examples.length > 0 && (
+      <div
+        style={{
+          marginTop: "6px",
+          fontSize: "var(--translate-font-size-small)"
+        }}>
+        {entry.examples.map((item, index) => (
+          <div key={index} style={{ marginTop: "3px" }}>
+            <div>{item.source}</div>
+            <div style={{ color: "var(--translate-text-secondary)" }}>
+              {item.translation}
+            </div>
+          </div>
+        ))}
+      </div>
+    )}
+    {entry.inflections.length > 0 && (
+      <div
+        style={{
+          marginTop: "6px",
+          fontSize: "var(--translate-font-size-small)",
+          color: "var(--translate-text-tertiary)"
+        }}>
+        词形变化：{entry.inflections.join("，")}
+      </div>
+    )}
+  </div>
+)
+
+// 结果弹窗中下拉选择框的样式
+const selectStyle = {
+  fontSize: "var(--translate-font-size-small)",
+  padding: "1px 2px",
+  border: "1px solid var(--translate-border)",
+  borderRadius: "3px",
+  backgroundColor: "var(--translate-bg)",
+  color: "var(--translate-text)",
+  cursor: "pointer"
+}
+
+/**
+ * 目标语言选择器
+ * 切换后立即以新的目标语言重新翻译
+ *
+ * @param {Object} props - 组件属性
+ * @param {string} props.value - 当前目标语言
+ * @param {string[]} props.languages - 可选的目标语言
+ * @param {Function} props.onChange - 选择变化时的回调
+ */
+const LanguagePicker = ({ value, languages, onChange }) => {
+  // 确保当前目标语言始终在选项中
+  const options = languages.includes(value) ? languages : [value, ...languages]
+
+  return (
+    <select
+      value={value}
+      onChange={(e) => onChange(e.target.value)}
+      style={selectStyle}>
+      {options.map((code) => (
+        <option key={code} value={code}>
+          {getLanguageName(code)}
+        </option>
+      ))}
+    </select>
+  )
+}
+
+/**
+ * 翻译风格（提示词模板）选择器
+ * 切换后立即以新的风格重新翻译
+ *
+ * @param {Object} props - 组件属性
+ * @param {string} props.value - 当前模板ID
+ * @param {Object[]} props.templates - 可选的模板
+ * @param {Function} props.onChange - 选择变化时的回调
+ */
+const TemplatePicker = ({ value, templates, onChange }) => (
+  <select
+    value={value}
+    onChange={(e) => onChange(e.target.value)}
+    title="翻译风格"
+    style={{ ...selectStyle, marginLeft: "4px" }}>
+    {templates.map((template) => (
+      <option key={template.id} value={template.id}>
+        {template.name}
+      </option>
+    ))}
+  </select>
+)
+
+/**
+ * 对比结果的耗时和用量
+ * @param {Object} item - 单个候选的对比结果
+ */
+const formatCompareStats = ({ latency, usage }) => {
+  const parts = [`${(latency / 1000).toFixed(1)}秒`]
+  if (usage.inputTokens || usage.outputTokens) {
+    parts.push(`输入${usage.inputTokens} / 输出${usage.outputTokens} tokens`)
+  } else if (usage.characters) {
+    parts.push(`${usage.characters}字符`)
+  }
+  return parts.join(" · ")
+}
+
+/**
+ * 模型对比：把同一段原文同时交给多个档案或模型翻译，并排显示译文、耗时和用量
+ *
+ * @param {Object} props - 组件属性
+ * @param {Object[]} props.candidates - 可选的候选，见 getCompareCandidates
+ * @param {Object} props.compare - 对比状态 {selected, results}，results 以候选的key为键
+ * @param {boolean} props.isRich - 译文是否为保留格式的Markdown
+ * @param {Function} props.onToggle - 勾选或取消候选
+ * @param {Function} props.onRun - 以勾选的候选重新对比
+ * @param {Function} props.onPick - 采用某个候选的译文并复制
+ * @param {Function} props.onExit - 返回普通的翻译结果
+ */
+const ComparePanel = ({
+  candidates,
+  compare,
+  isRich,
+  onToggle,
+  onRun,
+  onPick,
+  onExit
+}) => {
+  const smallStyle = {
+    fontSize: "var(--translate-font-size-small)",
+    color: "var(--translate-text-tertiary)"
+  }
+  const actionStyle = {
+    cursor: "pointer",
+    color: "var(--translate-primary)"
+  }
+  const shown = candidates.filter((item) => compare.results[item.key])
+  const canRun = compare.selected.length >= 2
+
+  return (
+    <div>
+      <div
+        style={{
+          display: "flex",
+          justifyContent: "space-between",
+          alignItems: "center"
+        }}>
+        <strong>模型对比：</strong>
+        <span
+          onClick={onExit}
+          style={{
+            ...actionStyle,
+            fontSize: "var(--translate-font-size-small)"
+          }}>
+          返回
+        </span>
+      </div>
+      {/* 候选列表，勾选后点击重新对比 */}
+      <div
+        style={{
+          display: "flex",
+          flexWrap: "wrap",
+          alignItems: "center",
+          gap: "6px",
+          margin: "5px 0",
+          fontSize: "var(--translate-font-size-small)"
+        }}>
+        {candidates.map((item) => {
+          const checked = compare.selected.includes(item.key)
+          return (
+            <span
+              key={item.key}
+              onClick={() => onToggle(item.key)}
+              style={{
+                padding: "1px 6px",
+                borderRadius: "3px",
+                cursor: "pointer",
+                border: `1px solid ${
+                  checked
+                    ? "var(--translate-primary)"
+                    : "var(--translate-border)"
+                }`,
+                color: checked
+                  ? "var(--translate-primary)"
+                  : "var(--translate-text-secondary)"
+              }}>
+              {item.label}
+            </span>
+          )
+        })}
+        <span
+          onClick={canRun ? onRun : undefined}
+          title={canRun ? "不使用缓存，同时请求勾选的模型" : "至少勾选两个"}
+          style={
+            canRun
+              ? actionStyle
+              : { cursor: "default", color: "var(--translate-text-muted)" }
+          }>
+          重新对比
+        </span>
+      </div>
+      {/* 各候选的译文并排显示 */}
+      <div
+        style={{
+          display: "grid",
+          gridTemplateColumns: `repeat(${Math.min(shown.length, 3)}, minmax(0, 1fr))`,
+          gap: "8px"
+        }}>
+        {shown.map((item) => {
+          const result = compare.results[item.key]
+          return (
+            <div
+              key={item.key}
+              style={{
+                display: "flex",
+                flexDirection: "column",
+                padding: "5px",
+                border: "1px solid var(--translate-border-light)",
+                borderRadius: "3px",
+                backgroundColor: "var(--translate-surface)"
+              }}>
+              <div style={{ fontWeight: "bold", marginBottom: "3px" }}>
+                {item.label}
+              </div>
+              {result.status === "loading" ? (
+                <p style={{ ...smallStyle, margin: "5px 0" }}>翻译中...</p>
+              ) : result.status === "failed" ? (
+                <p
+                  style={{ margin: "5px 0", color: "var(--translate-danger)" }}>
+                  {result.error}
+                </p>
+              ) : (
+                <>
+                  <div style={smallStyle}>{formatCompareStats(result)}</div>
+                  <div
+                    style={{
+                      flex: 1,
+                      maxHeight: "240px",
+                      overflowY: "auto",
+                      margin: "5px 0",
+                      whiteSpace: isRich ? undefined : "pre-wrap",
+                      wordBreak: "break-word"
+                    }}>
+                    {isRich ? <RichText markdown={result.text} /> : result.text}
+                  </div>
+                  <span
+                    onClick={() => onPick(item.key)}
+                    title="作为本次的译文并复制"
+                    style={{
+                      ...actionStyle,
+                      alignSelf: "flex-end",
+                      fontSize: "var(--translate-font-size-small)"
+                    }}>
+                    采用并复制
+                  </span>
+                </>
+              )}
+            </div>
+          )
+        })}
+      </div>
+    </div>
+  )
+}
+
 /**
  * 翻译结果弹窗组件
- * 显示原文和翻译结果，支持文本展开/收起，提供复制功能
+ * 显示原文和翻译结果，支持文本展开/收起，提供复制和朗读功能
+ * 流式输出时逐段显示译文，并提供停止按钮
  * 使用forwardRef以便父组件可以访问DOM元素
  */
 const ResultPopup = forwardRef(
@@ -115,134 +698,369 @@ const ResultPopup = forwardRef(
       onClose,
       selectedText,
       translatedText,
+      isRich,
+      dictionary,
+      wordSaved,
+      onSaveWord,
+      sourceLang,
+      targetLang,
+      targetLanguages,
+      onChangeTargetLang,
+      templates,
+      templateId,
+      onChangeTemplate,
       isLoading,
+      isStreaming,
+      isReasoning,
+      chunkProgress,
+      isStopped,
+      onStop,
+      onRetranslate,
+      onRetry,
+      glossaryViolations,
       error,
       copied,
       expandSource,
       expandTranslation,
       setExpandSource,
       setExpandTranslation,
-      copyTranslatedText
+      copyTranslatedText,
+      speech,
+      onSpeak,
+      ocr,
+      ocrText,
+      onChangeOcrText,
+      onTranslateOcr,
+      onOverlayOcr,
+      compareCandidates,
+      compare,
+      onCompare,
+      onToggleCompare,
+      onRunCompare,
+      onPickCompare,
+      onExitCompare
     },
     ref
   ) => {
-    const isChinese = isChineseText(selectedText)
-
     return (
       <div
         ref={ref}
         className="translate-popup"
         style={{
-          backgroundColor: "white",
-          border: "1px solid #ccc",
+          backgroundColor: "var(--translate-bg)",
+          border: "1px solid var(--translate-border)",
           borderRadius: "4px",
           padding: "10px",
-          boxShadow: "0 2px 10px rgba(0,0,0,0.1)",
+          boxShadow: "0 2px 10px var(--translate-shadow)",
           zIndex: 10000,
-          maxWidth: "350px",
+          // 对比模型时译文并排显示，放宽弹窗宽度
+          maxWidth: compare
+            ? "min(90vw, calc(var(--translate-popup-width) * 2))"
+            : "var(--translate-popup-width)",
           minWidth: "250px",
           fontFamily: "Arial, sans-serif",
-          color: "#333",
+          color: "var(--translate-text)",
           textRendering: "optimizeLegibility",
           WebkitFontSmoothing: "antialiased"
         }}
         onMouseDown={(e) => e.stopPropagation()}>
-        {/* 原文区域 */}
-        <div style={{ marginBottom: "8px" }}>
-          <div
-            style={{
-              display: "flex",
-              justifyContent: "space-between",
-              alignItems: "center",
-              marginBottom: "3px"
-            }}>
-            <strong>
-              原文{selectedText.length > 50 ? `(${selectedText.length}字)` : ""}
-              ：
-            </strong>
-            <span style={{ fontSize: "12px", color: "#666" }}>
-              检测为{isChinese ? "中文" : "非中文"}
-            </span>
-          </div>
-          <div
-            style={{
-              padding: "5px",
-              border: "1px solid #eee",
-              borderRadius: "3px",
-              backgroundColor: "#f9f9f9"
-            }}>
-            <CollapsibleText
-              text={selectedText}
-              maxRows={3}
-              expanded={expandSource}
-              onToggle={setExpandSource}
-            />
-          </div>
-        </div>
-        {/* 翻译结果区域 */}
-        <div>
-          <strong>翻译{isChinese ? "(→英文)" : "(→中文)"}：</strong>
-          {isLoading ? (
-            // 加载中状态
-            <div style={{ margin: "10px 0", textAlign: "center" }}>
-              <p style={{ margin: "5px 0", color: "#666" }}>翻译中...</p>
-              {selectedText.length > 300 && (
-                <p style={{ fontSize: "12px", color: "#888" }}>
-                  文本较长，可能需要一点时间
-                </p>
-              )}
-            </div>
-          ) : error ? (
-            // 错误状态
-            <p style={{ margin: "5px 0", color: "red" }}>{error}</p>
-          ) : (
-            // 翻译结果
-            <div>
+        {ocr ? (
+          // 图片文字识别：先显示可编辑的识别结果，确认后再翻译
+          <OcrEditor
+            ocr={ocr}
+            text={ocrText}
+            onChange={onChangeOcrText}
+            onTranslate={onTranslateOcr}
+            onOverlay={onOverlayOcr}
+          />
+        ) : (
+          <>
+            {/* 原文区域 */}
+            <div style={{ marginBottom: "8px" }}>
+              <div
+                style={{
+                  display: "flex",
+                  justifyContent: "space-between",
+                  alignItems: "center",
+                  marginBottom: "3px"
+                }}>
+                <strong>
+                  原文
+                  {selectedText.length > 50 ? `(${selectedText.length}字)` : ""}
+                  ：
+                  {speech.supported && (
+                    <SpeakButton
+                      speaking={speech.speakingId === "source"}
+                      onClick={() => onSpeak("source")}
+                    />
+                  )}
+                </strong>
+                <span
+                  style={{
+                    fontSize: "var(--translate-font-size-small)",
+                    color: "var(--translate-text-secondary)"
+                  }}>
+                  检测为{getLanguageName(sourceLang)}
+                </span>
+              </div>
               <div
                 style={{
                   padding: "5px",
-                  border: "1px solid #eee",
+                  border: "1px solid var(--translate-border-light)",
                   borderRadius: "3px",
-                  backgroundColor: "#f9f9f9",
-                  marginTop: "5px"
+                  backgroundColor: "var(--translate-surface)"
                 }}>
                 <CollapsibleText
-                  text={translatedText || "未获取到翻译结果"}
+                  text={selectedText}
                   maxRows={3}
-                  expanded={expandTranslation}
-                  onToggle={setExpandTranslation}
+                  expanded={expandSource}
+                  onToggle={setExpandSource}
+                  highlight={
+                    speech.speakingId === "source" ? speech.sentence : null
+                  }
                 />
               </div>
-              {/* 复制按钮 */}
-              {translatedText && (
+            </div>
+            {/* 翻译结果区域，对比模型时换成各模型的译文 */}
+            {compare ? (
+              <ComparePanel
+                candidates={compareCandidates}
+                compare={compare}
+                isRich={isRich}
+                onToggle={onToggleCompare}
+                onRun={onRunCompare}
+                onPick={onPickCompare}
+                onExit={onExitCompare}
+              />
+            ) : (
+              <div>
                 <div
-                  onClick={copyTranslatedText}
                   style={{
-                    cursor: "pointer",
-                    color: copied ? "#4CAF50" : "#4285f4",
-                    fontSize: "12px",
-                    marginTop: "8px",
-                    textAlign: "right",
                     display: "flex",
-                    justifyContent: "flex-end",
-                    alignItems: "center",
-                    gap: "5px"
+                    justifyContent: "space-between",
+                    alignItems: "center"
                   }}>
-                  {copied ? "已复制 ✓" : "复制结果"}
+                  <strong>
+                    翻译：
+                    {speech.supported &&
+                      !isLoading &&
+                      !isStreaming &&
+                      translatedText && (
+                        <SpeakButton
+                          speaking={speech.speakingId === "translation"}
+                          onClick={() => onSpeak("translation")}
+                        />
+                      )}
+                  </strong>
+                  <span
+                    style={{
+                      fontSize: "var(--translate-font-size-small)",
+                      color: "var(--translate-text-secondary)"
+                    }}>
+                    译为{" "}
+                    <LanguagePicker
+                      value={targetLang}
+                      languages={targetLanguages}
+                      onChange={onChangeTargetLang}
+                    />
+                    {templates && (
+                      <TemplatePicker
+                        value={templateId}
+                        templates={templates}
+                        onChange={onChangeTemplate}
+                      />
+                    )}
+                  </span>
                 </div>
-              )}
-            </div>
-          )}
-        </div>
+                {isLoading ? (
+                  // 加载中状态
+                  <div style={{ margin: "10px 0", textAlign: "center" }}>
+                    <p
+                      style={{
+                        margin: "5px 0",
+                        color: "var(--translate-text-secondary)"
+                      }}>
+                      {isReasoning ? "深度思考中..." : "翻译中..."}
+                    </p>
+                    {chunkProgress ? (
+                      <ChunkProgressText progress={chunkProgress} />
+                    ) : (
+                      selectedText.length > 300 && (
+                        <p
+                          style={{
+                            fontSize: "var(--translate-font-size-small)",
+                            color: "var(--translate-text-tertiary)"
+                          }}>
+                          文本较长，可能需要一点时间
+                        </p>
+                      )
+                    )}
+                    {isStreaming && <StopButton onStop={onStop} />}
+                  </div>
+                ) : error ? (
+                  // 错误状态
+                  <div>
+                    <p
+                      style={{
+                        margin: "5px 0",
+                        color: "var(--translate-danger)"
+                      }}>
+                      {error}
+                    </p>
+                    <div
+                      onClick={onRetry}
+                      style={{
+                        cursor: "pointer",
+                        color: "var(--translate-primary)",
+                        fontSize: "var(--translate-font-size-small)",
+                        marginTop: "8px",
+                        textAlign: "right"
+                      }}>
+                      重试
+                    </div>
+                  </div>
+                ) : (
+                  // 翻译结果
+                  <div>
+                    <div
+                      style={{
+                        padding: "5px",
+                        border: "1px solid var(--translate-border-light)",
+                        borderRadius: "3px",
+                        backgroundColor: "var(--translate-surface)",
+                        marginTop: "5px"
+                      }}>
+                      {dictionary ? (
+                        <DictionaryCard entry={dictionary} />
+                      ) : isRich ? (
+                        <RichText
+                          markdown={translatedText}
+                          streaming={isStreaming}
+                        />
+                      ) : (
+                        <CollapsibleText
+                          text={translatedText || "未获取到翻译结果"}
+                          maxRows={3}
+                          expanded={expandTranslation}
+                          onToggle={setExpandTranslation}
+                          streaming={isStreaming}
+                          highlight={
+                            speech.speakingId === "translation"
+                              ? speech.sentence
+                              : null
+                          }
+                        />
+                      )}
+                    </div>
+                    {glossaryViolations.length > 0 && (
+                      <GlossaryWarning violations={glossaryViolations} />
+                    )}
+                    {isStopped && (
+                      <p
+                        style={{
+                          margin: "5px 0 0",
+                          fontSize: "var(--translate-font-size-small)",
+                          color: "var(--translate-text-tertiary)"
+                        }}>
+                        翻译已停止，以上为部分结果
+                      </p>
+                    )}
+                    {isStreaming && chunkProgress && (
+                      <ChunkProgressText progress={chunkProgress} />
+                    )}
+                    {/* 流式输出中显示停止按钮，完成后显示重新翻译和复制按钮 */}
+                    {isStreaming && <StopButton onStop={onStop} />}
+                    {!isStreaming && translatedText && (
+                      <div
+                        style={{
+                          fontSize: "var(--translate-font-size-small)",
+                          marginTop: "8px",
+                          display: "flex",
+                          justifyContent: "flex-end",
+                          alignItems: "center",
+                          gap: "12px"
+                        }}>
+                        {dictionary && (
+                          <span
+                            onClick={wordSaved ? undefined : onSaveWord}
+                            style={{
+                              cursor: wordSaved ? "default" : "pointer",
+                              color: wordSaved
+                                ? "var(--translate-success)"
+                                : "var(--translate-primary)"
+                            }}>
+                            {wordSaved ? "已加入生词本 ✓" : "加入生词本"}
+                          </span>
+                        )}
+                        {onCompare && (
+                          <span
+                            onClick={onCompare}
+                            title="用多个档案或模型同时翻译，并排比较"
+                            style={{
+                              cursor: "pointer",
+                              color: "var(--translate-text-tertiary)"
+                            }}>
+                            对比模型
+                          </span>
+                        )}
+                        <span
+                          onClick={onRetranslate}
+                          title="不使用缓存，重新请求翻译"
+                          style={{
+                            cursor: "pointer",
+                            color: "var(--translate-text-tertiary)"
+                          }}>
+                          重新翻译
+                        </span>
+                        {isRich ? (
+                          // 保留格式的译文可以复制为Markdown或HTML（粘贴到编辑器中保留格式）
+                          ["markdown", "html"].map((format) => (
+                            <span
+                              key={format}
+                              onClick={() => copyTranslatedText(format)}
+                              style={{
+                                cursor: "pointer",
+                                color:
+                                  copied === format
+                                    ? "var(--translate-success)"
+                                    : "var(--translate-primary)"
+                              }}>
+                              {copied === format
+                                ? "已复制 ✓"
+                                : format === "html"
+                                  ? "复制HTML"
+                                  : "复制Markdown"}
+                            </span>
+                          ))
+                        ) : (
+                          <span
+                            onClick={() => copyTranslatedText()}
+                            style={{
+                              cursor: "pointer",
+                              color: copied
+                                ? "var(--translate-success)"
+                                : "var(--translate-primary)"
+                            }}>
+                            {copied ? "已复制 ✓" : "复制结果"}
+                          </span>
+                        )}
+                      </div>
+                    )}
+                  </div>
+                )}
+              </div>
+            )}
+          </>
+        )}
         {/* 关闭按钮 */}
         <button
+          className="translate-close"
           onClick={onClose}
           style={{
             position: "absolute",
             top: "5px",
             right: "5px",
             border: "none",
-            background: "none",
             cursor: "pointer",
             padding: "2px",
             display: "flex",
@@ -253,20 +1071,6 @@ const ResultPopup = forwardRef(
             borderRadius: "50%",
             transition: "background-color 0.2s",
             zIndex: 10001 // 确保关闭按钮在最上层
-          }}
-          onMouseEnter={(e) => {
-            e.currentTarget.style.backgroundColor = "#f0f0f0"
-            const paths = e.currentTarget.querySelectorAll("path")
-            paths.forEach((path) => {
-              path.setAttribute("fill", "#666666")
-            })
-          }}
-          onMouseLeave={(e) => {
-            e.currentTarget.style.backgroundColor = "transparent"
-            const paths = e.currentTarget.querySelectorAll("path")
-            paths.forEach((path) => {
-              path.setAttribute("fill", "#999999")
-            })
           }}>
           <svg
             viewBox="0 0 1024 1024"
@@ -276,15 +1080,15 @@ const ResultPopup = forwardRef(
             height="16">
             <path
               d="M512 860.40381a353.52381 353.52381 0 1 1 353.52381-353.52381 353.52381 353.52381 0 0 1-353.52381 353.52381z m0-658.285715a304.761905 304.761905 0 1 0 304.761905 304.761905 304.761905 304.761905 0 0 0-304.761905-304.761905z"
-              fill="#999999"
+              fill="currentColor"
             />
             <path
               d="M354.255238 630.186667l281.100191-281.112381 34.474666 34.499047-281.10019 281.088z"
-              fill="#999999"
+              fill="currentColor"
             />
             <path
               d="M354.255238 383.646476l34.474667-34.474666 281.112381 281.10019-34.499048 34.474667z"
-              fill="#999999"
+              fill="currentColor"
             />
           </svg>
         </button>
@@ -392,15 +1196,15 @@ const DraggableBox = ({ children, initialPosition, onPositionChange }) => {
       {/* 标题栏 - 可拖动区域 */}
       <div
         style={{
-          backgroundColor: "#f5f5f5",
+          backgroundColor: "var(--translate-header-bg)",
           padding: "5px 8px",
           paddingRight: "25px", // 为关闭按钮留出空间
           borderTopLeftRadius: "4px",
           borderTopRightRadius: "4px",
-          borderBottom: "1px solid #ddd",
-          fontSize: "13px",
+          borderBottom: "1px solid var(--translate-header-border)",
+          fontSize: "var(--translate-font-size-small)",
           fontWeight: "bold",
-          color: "#666",
+          color: "var(--translate-text-secondary)",
           cursor: isDragging ? "grabbing" : "grab",
           userSelect: "none",
           display: "flex",
@@ -410,8 +1214,8 @@ const DraggableBox = ({ children, initialPosition, onPositionChange }) => {
         <span style={{ marginRight: "10px" }}>DeepSeek 翻译</span>
         <span
           style={{
-            fontSize: "10px",
-            color: "#999"
+            fontSize: "var(--translate-font-size-mini)",
+            color: "var(--translate-text-muted)"
           }}>
           可拖动此处调整位置
         </span>
@@ -421,44 +1225,111 @@ const DraggableBox = ({ children, initialPosition, onPositionChange }) => {
   )
 }
 
+/**
+ * 选中文本下方的位置，用于放置翻译按钮和结果弹窗
+ * @param {Selection} selection - 当前选区
+ */
+const getSelectionPosition = (selection) => {
+  const rect = selection.getRangeAt(0).getBoundingClientRect()
+  return { x: rect.left, y: rect.bottom + 5 }
+}
+
+/**
+ * 无法获取选区位置时（输入框、iframe中的文本）弹窗显示在页面上方居中
+ */
+const getDefaultPosition = () => ({
+  x: Math.max(0, window.innerWidth / 2 - 175),
+  y: 80
+})
+
 /**
  * 主翻译组件
  * 监听页面选中文本，提供翻译按钮和翻译结果弹窗
  *
  * 优化建议：
  * 1. 性能优化: 使用React.memo包装子组件以避免不必要的重渲染
- * 2. 功能增强: 添加翻译历史记录功能，方便用户查看之前的翻译结果
- * 3. 交互优化: 支持键盘快捷键操作，如Esc关闭弹窗、Ctrl+C复制结果等
- * 4. 错误处理: 增强API错误处理，提供更友好的错误提示和重试机制
- * 5. 主题支持: 添加深色模式支持，根据系统或用户设置自动切换
- * 6. 可访问性: 改进组件的ARIA属性支持，使其对屏幕阅读器更友好
- * 7. 国际化: 将界面文本抽取为配置，支持多语言切换
- * 8. 存储优化: 减少状态数量，将相关状态合并为对象减少重渲染
+ * 2. 可访问性: 改进组件的ARIA属性支持，使其对屏幕阅读器更友好
+ * 3. 国际化: 将界面文本抽取为配置，支持多语言切换
+ * 4. 存储优化: 减少状态数量，将相关状态合并为对象减少重渲染
  */
 export default function TranslateContent() {
   // 状态管理
   const [isButtonVisible, setIsButtonVisible] = useState(false) // 翻译按钮可见性
   const [isResultVisible, setIsResultVisible] = useState(false) // 翻译结果可见性
   const [selectedText, setSelectedText] = useState("") // 选中的文本
+  const [targetLang, setTargetLang] = useState(null) // 本次翻译的目标语言
+  const [templateId, setTemplateId] = useState(null) // 本次翻译使用的提示词模板
   const [position, setPosition] = useState({ x: 0, y: 0 }) // 弹窗位置
   const [translatedText, setTranslatedText] = useState("") // 翻译结果
+  const [dictionary, setDictionary] = useState(null) // 查词结果，为空时按普通译文显示
+  const [wordSaved, setWordSaved] = useState(false) // 查词结果已加入生词本
   const [isLoading, setIsLoading] = useState(false) // 加载状态
+  const [isStreaming, setIsStreaming] = useState(false) // 流式输出进行中
+  const [isReasoning, setIsReasoning] = useState(false) // 模型思考中（DeepSeek-R1）
+  const [chunkProgress, setChunkProgress] = useState(null) // 长文本分段翻译的进度
+  const [isStopped, setIsStopped] = useState(false) // 用户手动停止了翻译
   const [error, setError] = useState(null) // 错误信息
   const [isTranslating, setIsTranslating] = useState(false) // 翻译进行中状态
-  const [copied, setCopied] = useState(false) // 复制状态
+  const [copied, setCopied] = useState(false) // 复制状态，保留格式时为复制的格式
+  const [isRich, setIsRich] = useState(false) // 本次按保留格式翻译
   const [expandSource, setExpandSource] = useState(false) // 原文展开状态
   const [expandTranslation, setExpandTranslation] = useState(false) // 翻译结果展开状态
+  const [ocr, setOcr] = useState(null) // 图片文字识别的状态，为空时按普通翻译显示
+  const [ocrText, setOcrText] = useState("") // 识别出的文字，可在弹窗中修改
+  const [compare, setCompare] = useState(null) // 模型对比的状态，为空时显示普通译文
 
   // 引用管理
   const buttonRef = useRef(null) // 按钮DOM引用
   const popupRef = useRef(null) // 弹窗DOM引用
   const isOutsideClickProcessing = useRef(false) // 防止重复处理点击事件
+  const streamRef = useRef(null) // 当前流式翻译，用于停止
+  const requestRef = useRef(null) // 当前非流式翻译的请求ID，用于取消
+  const selectionRangeRef = useRef(null) // 翻译按钮对应的选区，点击按钮时选区可能已经消失
+  const contextRef = useRef("") // 本次翻译的上下文，重新翻译和切换语言时沿用
+  const richRef = useRef(null) // 保留格式翻译时的Markdown和占位符，重新翻译和切换语言时沿用
+  const pointerRef = useRef(null) // 鼠标最后的位置（移动或右键点击），用于查找要识别的图片
+  const ocrTargetRef = useRef(null) // 正在识别的图片或画布
+  const ocrRequestRef = useRef(0) // 识别请求的序号，关闭弹窗或开始新的识别后忽略旧的结果
+  const compareRequestsRef = useRef([]) // 模型对比中仍在进行的请求ID，用于取消
 
   // 从Storage获取API配置
-  const [apiConfig] = useStorage("data")
+  const apiConfig = useApiConfig()
+  // 术语表，用于检查译文是否采用了指定译法
+  const [glossary] = useStorage(
+    { key: GLOSSARY_KEY, instance: localArea },
+    (storedValue) => storedValue || []
+  )
+  // API配置档案，用于列出可以对比的模型
+  const [profileStore] = useStorage(PROFILES_KEY)
+  const compareCandidates = getCompareCandidates(profileStore)
+  // 提示词模板，未保存过时使用内置模板
+  const [templates] = useStorage(
+    { key: PROMPT_TEMPLATES_KEY, instance: localArea },
+    (storedValue) => (storedValue?.length ? storedValue : BUILTIN_TEMPLATES)
+  )
 
   // 检查翻译功能是否启用
-  const isTranslateEnabled = apiConfig?.enabled !== false // 默认为启用状态
+  // 配置加载完成前不启用，避免在禁用翻译的网站上短暂添加事件监听
+  const isTranslateEnabled = !!apiConfig && apiConfig.enabled !== false
+  // 选中文本后是否自动显示翻译按钮，关闭后只能通过快捷键或右键菜单翻译
+  const showFloatingButton = apiConfig?.showFloatingButton !== false
+  // 界面主题（light / dark），以及字号和弹窗宽度
+  const theme = useTheme(apiConfig?.theme)
+  // 朗读原文和译文
+  const speech = useSpeech({
+    rate: apiConfig?.speechRate,
+    voices: apiConfig?.speechVoices
+  })
+
+  // 换了原文或关闭弹窗时停止朗读
+  useEffect(() => {
+    speech.stop()
+  }, [selectedText, isResultVisible])
+
+  // 重新翻译或切换目标语言后，正在朗读的旧译文不再有意义
+  useEffect(() => {
+    if (speech.speakingId === "translation") speech.stop()
+  }, [translatedText])
 
   /**
    * 处理文本选择事件
@@ -491,15 +1362,12 @@ export default function TranslateContent() {
     const text = selection.toString().trim()
 
     if (text && text.length > 0) {
-      const range = selection.getRangeAt(0)
-      const rect = range.getBoundingClientRect()
+      if (!showFloatingButton) return
 
       // 设置按钮位置在选中文本下方
-      setPosition({
-        x: rect.left,
-        y: rect.bottom + 5
-      })
+      setPosition(getSelectionPosition(selection))
       setSelectedText(text)
+      selectionRangeRef.current = selection.getRangeAt(0).cloneRange()
       setIsButtonVisible(true)
     } else if (text.length === 0) {
       // 如果没有选中文本且不在翻译过程中，隐藏按钮
@@ -549,6 +1417,18 @@ export default function TranslateContent() {
     }
   }
 
+  /**
+   * 按Esc关闭翻译结果弹窗和翻译按钮
+   */
+  const handleKeyDown = (e) => {
+    if (e.key !== "Escape") return
+    if (isResultVisible) {
+      closeResult()
+    } else if (isButtonVisible) {
+      setIsButtonVisible(false)
+    }
+  }
+
   // 添加和移除事件监听器
   useEffect(() => {
     console.log(
@@ -562,6 +1442,7 @@ export default function TranslateContent() {
       document.addEventListener("mousedown", handleClickOutside, {
         capture: true
       })
+      document.addEventListener("keydown", handleKeyDown)
 
       // 清理函数
       return () => {
@@ -569,6 +1450,7 @@ export default function TranslateContent() {
         document.removeEventListener("mousedown", handleClickOutside, {
           capture: true
         })
+        document.removeEventListener("keydown", handleKeyDown)
       }
     } else {
       // 如果翻译功能被禁用，确保清除所有状态
@@ -576,11 +1458,147 @@ export default function TranslateContent() {
       setIsResultVisible(false)
       setIsTranslating(false)
     }
-  }, [isTranslating, isResultVisible, isTranslateEnabled])
+  }, [
+    isTranslating,
+    isResultVisible,
+    isButtonVisible,
+    isTranslateEnabled,
+    showFloatingButton
+  ])
+
+  // 悬停监听只注册一次，通过ref调用最新的翻译函数，函数定义后赋值
+  const translateParagraphRef = useRef(null)
+
+  // 按住修饰键悬停在段落上时翻译整段，鼠标停稳后才发出请求
+  useEffect(() => {
+    const modifier = apiConfig?.hoverModifier || DEFAULT_HOVER_MODIFIER
+    if (!isTranslateEnabled || modifier === "off") return
+
+    let timer = null
+    let point = null // 鼠标最后的位置
+    let lastBlock = null // 这次按住修饰键期间已经翻译过的段落
+
+    const schedule = () => {
+      clearTimeout(timer)
+      timer = setTimeout(() => {
+        const block = point && findParagraphAt(point.x, point.y)
+        if (!block || block === lastBlock) return
+        lastBlock = block
+        translateParagraphRef.current?.(block)
+      }, HOVER_DELAY)
+    }
+
+    const handleMouseMove = (e) => {
+      point = { x: e.clientX, y: e.clientY }
+      if (isModifierPressed(e, modifier)) {
+        schedule()
+      } else {
+        clearTimeout(timer)
+      }
+    }
+    // 鼠标已经停在段落上时，按下修饰键同样会触发
+    const handleModifierDown = (e) => {
+      if (!e.repeat && isModifierPressed(e, modifier)) schedule()
+    }
+    // 松开修饰键后，再次按下可以重新翻译同一段
+    const handleModifierUp = () => {
+      clearTimeout(timer)
+      lastBlock = null
+    }
+
+    document.addEventListener("mousemove", handleMouseMove, { passive: true })
+    document.addEventListener("keydown", handleModifierDown)
+    document.addEventListener("keyup", handleModifierUp)
+    return () => {
+      clearTimeout(timer)
+      document.removeEventListener("mousemove", handleMouseMove)
+      document.removeEventListener("keydown", handleModifierDown)
+      document.removeEventListener("keyup", handleModifierUp)
+    }
+  }, [isTranslateEnabled, apiConfig?.hoverModifier])
+
+  // 记录鼠标的位置，右键菜单和快捷键的“识别并翻译图片中的文字”据此查找图片
+  useEffect(() => {
+    if (!isTranslateEnabled) return
+    const handlePointer = (e) => {
+      pointerRef.current = { x: e.clientX, y: e.clientY }
+    }
+    const options = { capture: true, passive: true }
+    document.addEventListener("contextmenu", handlePointer, options)
+    document.addEventListener("mousemove", handlePointer, options)
+    return () => {
+      document.removeEventListener("contextmenu", handlePointer, options)
+      document.removeEventListener("mousemove", handlePointer, options)
+    }
+  }, [isTranslateEnabled])
+
+  /**
+   * 处理background转发的快捷键和右键菜单指令
+   * translate-selection: 翻译选中的文本，body.text为右键菜单提供的选中文本
+   * translate-image: 识别鼠标处的图片或画布中的文字，右键菜单触发时body.srcUrl为图片地址
+   * copy-translation: 复制当前的翻译结果
+   */
+  useMessage(async (req, res) => {
+    if (req.name === "translate-selection") {
+      if (!isTranslateEnabled) {
+        res.send({ success: false, error: "翻译功能已关闭" })
+        return
+      }
+      const selection = window.getSelection()
+      const pageText = selection.toString().trim()
+      // 输入框和iframe中的选中文本无法从页面读取，使用右键菜单提供的文本
+      const text = pageText || req.body?.text?.trim()
+      if (!text) {
+        res.send({ success: false, error: "没有选中文本" })
+        return
+      }
+      res.send({ success: true })
+      await startTranslate(
+        text,
+        pageText ? getSelectionPosition(selection) : getDefaultPosition(),
+        pageText ? selection.getRangeAt(0) : null
+      )
+    } else if (req.name === "translate-image") {
+      if (!isTranslateEnabled) {
+        res.send({ success: false, error: "翻译功能已关闭" })
+        return
+      }
+      const point = pointerRef.current
+      const element = point && findImageAt(point.x, point.y, req.body?.srcUrl)
+      if (!element) {
+        res.send({ success: false, error: "鼠标位置没有图片" })
+        return
+      }
+      res.send({ success: true })
+      await recognizeImage(element, req.body?.srcUrl, {
+        x: point.x,
+        y: point.y + 10
+      })
+    } else if (req.name === "copy-translation") {
+      if (!isResultVisible || !translatedText) {
+        res.send({ success: false, error: "没有可复制的翻译结果" })
+        return
+      }
+      copyTranslatedText()
+      res.send({ success: true })
+    }
+  })
 
   // 如果翻译功能被禁用，不渲染任何内容
   if (!isTranslateEnabled) return null
 
+  // 检测选中文本的语言
+  const sourceLang = detectLanguage(selectedText).lang
+
+  // 翻译完成后检查术语是否按指定译法翻译
+  const glossaryViolations =
+    translatedText && !dictionary && !isStreaming && !isLoading
+      ? findGlossaryViolations(selectedText, translatedText, glossary, {
+          sourceLang,
+          targetLang
+        })
+      : []
+
   /**
    * 更新弹窗位置
    * 当用户拖动弹窗时调用
@@ -589,68 +1607,520 @@ export default function TranslateContent() {
     setPosition(newPosition)
   }
 
+  /**
+   * 把翻译结果写入历史记录，设置中关闭后不再记录
+   * @param {string} text - 原文
+   * @param {string} result - 译文
+   * @param {string} lang - 目标语言
+   */
+  const saveToHistory = (text, result, lang) => {
+    if (apiConfig?.saveHistory === false) return
+
+    sendToBackground({
+      name: "history",
+      body: {
+        action: "add",
+        entry: {
+          sourceText: text,
+          translatedText: result,
+          sourceLang: detectLanguage(text).lang,
+          targetLang: lang,
+          provider: apiConfig?.provider || DEFAULT_PROVIDER,
+          model: apiConfig?.model || "",
+          url: location.href,
+          title: document.title
+        }
+      }
+    }).catch((err) => console.warn("保存历史记录失败:", err))
+  }
+
+  /**
+   * 原文的上下文，供提示词模板中的 {{context}} 使用，在开始翻译时收集
+   */
+  const getPageContext = () => contextRef.current
+
+  /**
+   * 实际发送的原文：保留格式翻译时为带占位符的Markdown，否则为选中的纯文本
+   * @param {string} text - 选中的纯文本
+   */
+  const getRequestText = (text) => richRef.current?.text ?? text
+
+  /**
+   * 把译文中的占位符还原为代码和网址，普通翻译原样返回
+   * @param {string} result - 译文
+   */
+  const restoreResult = (result) =>
+    richRef.current
+      ? restorePlaceholders(result, richRef.current.tokens)
+      : result
+
+  /**
+   * 以流式方式发送翻译请求
+   * 通过端口逐段接收译文并实时渲染
+   */
+  const translateTextStream = (text, lang, { bypassCache, templateId }) => {
+    setIsStreaming(true)
+
+    streamRef.current = streamTranslate({
+      text: getRequestText(text),
+      apiConfig,
+      targetLang: lang,
+      bypassCache,
+      templateId,
+      context: getPageContext(),
+      markdown: !!richRef.current,
+      onReasoning: () => setIsReasoning(true),
+      onProgress: setChunkProgress,
+      onChunk: (partial) => {
+        setIsLoading(false)
+        setIsReasoning(false)
+        setTranslatedText(restoreResult(partial))
+      },
+      onDone: (translated) => {
+        streamRef.current = null
+        setIsStreaming(false)
+        setChunkProgress(null)
+        setIsLoading(false)
+        const result = translated && restoreResult(translated)
+        if (result) {
+          setTranslatedText(result)
+          saveToHistory(text, result, lang)
+        } else {
+          setError("翻译失败: 未能获取到翻译结果")
+        }
+      },
+      onError: (err) => {
+        streamRef.current = null
+        setIsStreaming(false)
+        setChunkProgress(null)
+        setIsLoading(false)
+        setError(`翻译失败: ${err.message}`)
+      }
+    })
+  }
+
+  /**
+   * 停止流式翻译，保留已经收到的部分译文
+   */
+  const stopTranslate = () => {
+    if (streamRef.current) {
+      streamRef.current.stop()
+      streamRef.current = null
+    }
+    setIsStreaming(false)
+    setIsReasoning(false)
+    setIsLoading(false)
+    setIsStopped(true)
+  }
+
   /**
    * 发送翻译请求
-   * 通过background脚本调用翻译API
+   * 通过background脚本调用翻译API，开启流式输出或需要分段翻译的长文本走端口
+   * @param {string} text - 待翻译文本
+   * @param {string} lang - 目标语言
+   * @param {Object} options
+   * @param {boolean} options.bypassCache - 跳过缓存重新翻译
+   * @param {string} options.templateId - 提示词模板，默认为当前选择的模板
    */
-  const translateText = async (text) => {
+  const translateText = async (
+    text,
+    lang,
+    { bypassCache = false, templateId: template = templateId } = {}
+  ) => {
     setIsLoading(true)
+    setIsStopped(false)
     setError(null)
     setCopied(false)
+    setDictionary(null)
+    setWordSaved(false)
+    setChunkProgress(null)
+
+    // 查词结果是结构化的词典条目，不走流式输出
+    const wordLookup =
+      !richRef.current &&
+      apiConfig?.dictionary !== false &&
+      supportsPrompt(apiConfig?.provider) &&
+      isWordLookup(text)
+
+    // 流式输出默认开启；长文本即使关闭了流式输出也走端口，以便显示分段进度
+    if (
+      (apiConfig?.stream !== false ||
+        needsChunking(getRequestText(text), apiConfig?.maxTokens)) &&
+      !wordLookup
+    ) {
+      translateTextStream(text, lang, { bypassCache, templateId: template })
+      return
+    }
+
+    const requestId = `${Date.now()}-${Math.random().toString(36).slice(2)}`
+    requestRef.current = requestId
 
     try {
       // 发送翻译请求到background脚本
       const resp = await sendToBackground({
         name: "translate",
         body: {
-          text: text,
-          apiConfig: apiConfig
+          text: getRequestText(text),
+          apiConfig: apiConfig,
+          targetLang: lang,
+          bypassCache,
+          requestId,
+          templateId: template,
+          context: getPageContext(),
+          markdown: !!richRef.current,
+          lookup: wordLookup
         }
       })
 
+      // 请求已被取消或被新的请求替代
+      if (requestRef.current !== requestId) return
+
       if (resp.error) {
-        throw new Error(resp.error)
+        throw new TranslateError(resp.code, resp.error)
       }
 
       if (resp.result) {
-        setTranslatedText(resp.result)
+        const result = restoreResult(resp.result)
+        setTranslatedText(result)
+        setDictionary(resp.dictionary || null)
+        saveToHistory(text, result, lang)
       } else {
         throw new Error("未能获取到翻译结果")
       }
     } catch (err) {
-      setError(`翻译失败: ${err.message}`)
+      if (err.code !== ERROR_CODES.CANCELLED) {
+        setError(`翻译失败: ${err.message}`)
+      }
     } finally {
-      setIsLoading(false)
+      if (requestRef.current === requestId) {
+        requestRef.current = null
+        setIsLoading(false)
+      }
     }
   }
 
   /**
-   * 处理翻译按钮点击
-   * 显示结果弹窗并发起翻译请求
+   * 取消仍在进行的非流式翻译，background随之中止请求
    */
-  const handleTranslate = async (e) => {
-    e.stopPropagation()
-    e.preventDefault()
+  const cancelRequest = () => {
+    if (!requestRef.current) return
+    sendToBackground({
+      name: "cancel",
+      body: { requestId: requestRef.current }
+    }).catch((err) => console.warn("取消翻译失败:", err))
+    requestRef.current = null
+  }
+
+  /**
+   * 翻译失败后以当前目标语言重试
+   */
+  const retryTranslate = async () => {
+    await translateText(selectedText, targetLang)
+  }
+
+  /**
+   * 显示结果弹窗并翻译指定文本
+   * 翻译按钮、快捷键和右键菜单共用
+   * @param {string} text - 待翻译文本
+   * @param {{x: number, y: number}} popupPosition - 弹窗位置
+   * @param {Range} range - 原文所在的选区，用于收集上下文，没有时只发送页面信息
+   */
+  const startTranslate = async (text, popupPosition, range = null) => {
+    // 快捷键可能在上一次翻译进行中触发，先中止旧的翻译
+    abortTranslate()
+    exitCompare()
+    setOcr(null)
+    contextRef.current = capturePageContext({
+      level: apiConfig?.contextLevel,
+      range,
+      text
+    })
+    // 选区包含链接、代码、列表等格式时按Markdown翻译，译文保留相同的结构
+    richRef.current =
+      range &&
+      apiConfig?.richFormat !== false &&
+      !isWordLookup(text) &&
+      hasRichFormatting(range)
+        ? serializeRange(range)
+        : null
+    setIsRich(!!richRef.current)
 
     // 设置正在翻译状态，防止handleSelection处理
     setIsTranslating(true)
+    setSelectedText(text)
+    setPosition(popupPosition)
 
     // 先显示结果弹窗，再进行翻译
     setIsButtonVisible(false)
     setIsResultVisible(true)
 
+    // 按主要/次要语言规则决定目标语言，翻译风格使用设置中的默认值
+    const lang = getTargetLanguage(detectLanguage(text).lang, apiConfig)
+    const template = apiConfig?.promptTemplate || DEFAULT_TEMPLATE_ID
+    setTargetLang(lang)
+    setTemplateId(template)
+
     // 调用翻译API
-    await translateText(selectedText)
+    await translateText(text, lang, { templateId: template })
+  }
+
+  /**
+   * 处理翻译按钮点击
+   */
+  const handleTranslate = async (e) => {
+    e.stopPropagation()
+    e.preventDefault()
+    await startTranslate(selectedText, position, selectionRangeRef.current)
+  }
+
+  /**
+   * 悬停翻译：翻译鼠标所在的整个段落
+   * 弹窗模式与划词翻译共用流程，段落下方模式把译文直接插入页面
+   * @param {HTMLElement} block - 段落元素
+   */
+  const translateParagraph = async (block) => {
+    const text = getBlockText(block)
+    const range = document.createRange()
+    range.selectNodeContents(block)
+
+    if ((apiConfig?.hoverDisplay || DEFAULT_HOVER_DISPLAY) === "popup") {
+      // 弹窗中已经是这一段的译文时不再重复翻译
+      if (isResultVisible && selectedText === text) return
+      const rect = block.getBoundingClientRect()
+      await startTranslate(text, { x: rect.left, y: rect.bottom + 5 }, range)
+      return
+    }
+
+    // 已经显示了译文或正在翻译的段落不再请求，失败的段落再次悬停时重试
+    const status = getBlockStatus(block)
+    if (status === "done" || status === "pending") return
+    showBlockTranslation(block, "翻译中...", "pending")
+    try {
+      const resp = await sendToBackground({
+        name: "translate",
+        body: {
+          text,
+          apiConfig,
+          targetLang: getTargetLanguage(detectLanguage(text).lang, apiConfig),
+          context: capturePageContext({
+            level: apiConfig?.contextLevel,
+            range,
+            text
+          })
+        }
+      })
+      if (resp.error) {
+        throw new TranslateError(resp.code, resp.error)
+      }
+      showBlockTranslation(block, resp.result, "done")
+    } catch (err) {
+      showBlockTranslation(block, `翻译失败: ${err.message}`, "failed")
+    }
+  }
+  translateParagraphRef.current = translateParagraph
+
+  /**
+   * 识别图片或画布中的文字，结果显示在弹窗中供修改
+   * @param {HTMLImageElement|HTMLCanvasElement} element - 图片或画布
+   * @param {string} srcUrl - 右键菜单提供的图片地址
+   * @param {{x: number, y: number}} popupPosition - 弹窗位置
+   */
+  const recognizeImage = async (element, srcUrl, popupPosition) => {
+    abortTranslate()
+    removeOcrOverlay()
+    const requestId = ++ocrRequestRef.current
+    ocrTargetRef.current = element
+
+    setIsTranslating(true)
+    setSelectedText("")
+    setError(null)
+    setOcrText("")
+    setOcr({ status: "recognizing", regions: [] })
+    setPosition(popupPosition)
+    setIsButtonVisible(false)
+    setIsResultVisible(true)
+
+    try {
+      const resp = await sendToBackground({
+        name: "ocr",
+        body: {
+          image: await getImageSource(element, srcUrl),
+          languages: apiConfig?.ocrLanguages || DEFAULT_OCR_LANGUAGES
+        }
+      })
+      if (!resp.success) throw new Error(resp.error)
+      if (ocrRequestRef.current !== requestId) return
+      setOcrText(resp.result.text)
+      setOcr({ status: "done", regions: resp.result.regions })
+    } catch (err) {
+      if (ocrRequestRef.current !== requestId) return
+      setOcr({ status: "failed", error: err.message, regions: [] })
+    }
+  }
+
+  /**
+   * 翻译识别出（并经过修改）的文字，之后与划词翻译的流程相同
+   */
+  const translateOcrText = async () => {
+    ocrRequestRef.current++
+    await startTranslate(ocrText.trim(), position)
+  }
+
+  /**
+   * 按识别出的段落批量翻译，并把译文覆盖显示在图片上对应的位置
+   */
+  const overlayOcrTranslation = async () => {
+    const element = ocrTargetRef.current
+    const { regions } = ocr
+    if (!element?.isConnected) {
+      setOcr({ ...ocr, overlayError: "图片已从页面移除" })
+      return
+    }
+    setOcr({ ...ocr, overlay: "pending", overlayError: null })
+    try {
+      const resp = await sendToBackground({
+        name: "translate",
+        body: {
+          texts: regions.map((region) => region.text),
+          apiConfig,
+          targetLang: getTargetLanguage(
+            detectLanguage(regions.map((region) => region.text).join("\n"))
+              .lang,
+            apiConfig
+          )
+        }
+      })
+      if (resp.error) {
+        throw new TranslateError(resp.code, resp.error)
+      }
+      showOcrOverlay(element, regions, resp.results)
+      setOcr((current) => current && { ...current, overlay: "done" })
+    } catch (err) {
+      setOcr(
+        (current) =>
+          current && {
+            ...current,
+            overlay: null,
+            overlayError: `翻译失败: ${err.message}`
+          }
+      )
+    }
+  }
+
+  /**
+   * 中止当前翻译并清空译文，切换目标语言或翻译风格前调用
+   */
+  const abortTranslate = () => {
+    cancelRequest()
+    if (streamRef.current) {
+      streamRef.current.stop()
+      streamRef.current = null
+    }
+    setIsStreaming(false)
+    setIsReasoning(false)
+    setChunkProgress(null)
+    setTranslatedText("")
+    setDictionary(null)
+  }
+
+  /**
+   * 在结果弹窗中切换目标语言，停止当前翻译并重新翻译
+   */
+  const changeTargetLang = async (lang) => {
+    abortTranslate()
+    setTargetLang(lang)
+    await translateText(selectedText, lang)
+  }
+
+  /**
+   * 在结果弹窗中切换翻译风格，停止当前翻译并重新翻译
+   */
+  const changeTemplate = async (id) => {
+    abortTranslate()
+    setTemplateId(id)
+    await translateText(selectedText, targetLang, { templateId: id })
+  }
+
+  /**
+   * 跳过缓存，以当前目标语言重新翻译
+   */
+  const retranslate = async () => {
+    abortTranslate()
+    await translateText(selectedText, targetLang, { bypassCache: true })
+  }
+
+  /**
+   * 把查词结果加入生词本
+   */
+  const saveWord = async () => {
+    if (!dictionary) return
+    try {
+      const resp = await sendToBackground({
+        name: "vocabulary",
+        body: {
+          action: "add",
+          entry: {
+            ...dictionary,
+            sourceLang,
+            targetLang,
+            url: location.href
+          }
+        }
+      })
+      if (!resp.success) throw new Error(resp.error)
+      setWordSaved(true)
+    } catch (err) {
+      console.warn("加入生词本失败:", err)
+    }
+  }
+
+  /**
+   * 朗读原文或译文，正在朗读同一段时停止
+   * 朗读时展开全文，使高亮的句子可见
+   * @param {string} id - "source" 或 "translation"
+   */
+  const toggleSpeak = (id) => {
+    if (speech.speakingId === id) {
+      speech.stop()
+      return
+    }
+    if (id === "source") {
+      setExpandSource(true)
+      speech.speak(id, selectedText, sourceLang)
+    } else {
+      setExpandTranslation(true)
+      // 保留格式的译文去掉Markdown标记再朗读
+      speech.speak(
+        id,
+        isRich ? markdownToText(translatedText) : translatedText,
+        targetLang
+      )
+    }
   }
 
   /**
    * 复制翻译结果到剪贴板
+   * @param {string} format - 保留格式时可选 markdown / html，默认复制译文原文
    */
-  const copyTranslatedText = () => {
+  const copyTranslatedText = (format = "text") => {
     if (translatedText) {
-      navigator.clipboard.writeText(translatedText).then(
+      const write =
+        format === "html"
+          ? // 同时写入纯文本，粘贴到不支持HTML的地方时使用
+            navigator.clipboard.write([
+              new ClipboardItem({
+                "text/html": new Blob([markdownToHtml(translatedText)], {
+                  type: "text/html"
+                }),
+                "text/plain": new Blob([markdownToText(translatedText)], {
+                  type: "text/plain"
+                })
+              })
+            ])
+          : navigator.clipboard.writeText(translatedText)
+      write.then(
         () => {
-          setCopied(true)
+          setCopied(format)
           setTimeout(() => setCopied(false), 2000)
         },
         (err) => {
@@ -660,6 +2130,136 @@ export default function TranslateContent() {
     }
   }
 
+  /**
+   * 取消模型对比中仍在进行的请求
+   */
+  const cancelCompare = () => {
+    compareRequestsRef.current.forEach((requestId) => {
+      sendToBackground({ name: "cancel", body: { requestId } }).catch((err) =>
+        console.warn("取消对比失败:", err)
+      )
+    })
+    compareRequestsRef.current = []
+  }
+
+  /**
+   * 用勾选的候选同时翻译原文，每个候选单独请求，返回一个显示一个
+   * @param {string[]} selected - 勾选的候选key
+   */
+  const runCompare = (selected) => {
+    cancelCompare()
+    setCompare({
+      selected,
+      results: Object.fromEntries(
+        selected.map((key) => [key, { status: "loading" }])
+      )
+    })
+
+    compareCandidates
+      .filter((item) => selected.includes(item.key))
+      .forEach(async (item) => {
+        const requestId = `${Date.now()}-${Math.random().toString(36).slice(2)}`
+        compareRequestsRef.current.push(requestId)
+        let result
+        try {
+          const resp = await sendToBackground({
+            name: "compare",
+            body: {
+              text: getRequestText(selectedText),
+              apiConfig,
+              profileId: item.profileId,
+              model: item.model,
+              targetLang,
+              templateId,
+              context: getPageContext(),
+              markdown: !!richRef.current,
+              requestId
+            }
+          })
+          if (!resp.success) {
+            throw new TranslateError(resp.code, resp.error)
+          }
+          result = {
+            status: "done",
+            text: restoreResult(resp.result),
+            latency: resp.latency,
+            usage: resp.usage
+          }
+        } catch (err) {
+          result = { status: "failed", error: `翻译失败: ${err.message}` }
+        }
+
+        // 对比已经取消或重新开始
+        if (!compareRequestsRef.current.includes(requestId)) return
+        compareRequestsRef.current = compareRequestsRef.current.filter(
+          (id) => id !== requestId
+        )
+        setCompare(
+          (current) =>
+            current && {
+              ...current,
+              results: { ...current.results, [item.key]: result }
+            }
+        )
+      })
+  }
+
+  /**
+   * 打开模型对比，默认勾选当前使用的模型和其后的几个候选
+   */
+  const openCompare = () => {
+    const current = `${apiConfig?.profileId}:${apiConfig?.model || ""}`
+    const keys = compareCandidates.map((item) => item.key)
+    const selected = [
+      ...(keys.includes(current) ? [current] : []),
+      ...keys.filter((key) => key !== current)
+    ].slice(0, DEFAULT_COMPARE_COUNT)
+    runCompare(selected)
+  }
+
+  /**
+   * 勾选或取消对比的候选，点击重新对比后生效
+   * @param {string} key - 候选key
+   */
+  const toggleCompareCandidate = (key) => {
+    setCompare((current) => ({
+      ...current,
+      selected: current.selected.includes(key)
+        ? current.selected.filter((item) => item !== key)
+        : [...current.selected, key]
+    }))
+  }
+
+  /**
+   * 退出模型对比，显示原来的译文
+   */
+  const exitCompare = () => {
+    cancelCompare()
+    setCompare(null)
+  }
+
+  /**
+   * 采用某个候选的译文：作为本次的翻译结果显示并复制，同时记入历史
+   * @param {string} key - 候选key
+   */
+  const pickCompareResult = (key) => {
+    const { text } = compare.results[key]
+    exitCompare()
+    setTranslatedText(text)
+    setDictionary(null)
+    setError(null)
+    saveToHistory(selectedText, text, targetLang)
+    navigator.clipboard.writeText(isRich ? markdownToText(text) : text).then(
+      () => {
+        setCopied("text")
+        setTimeout(() => setCopied(false), 2000)
+      },
+      (err) => {
+        console.error("复制失败:", err)
+      }
+    )
+  }
+
   /**
    * 关闭翻译结果弹窗
    * 重置所有相关状态
@@ -669,24 +2269,48 @@ export default function TranslateContent() {
       e.stopPropagation()
       e.preventDefault()
     }
+    // 关闭弹窗时中止仍在进行的翻译
+    cancelRequest()
+    if (streamRef.current) {
+      streamRef.current.stop()
+      streamRef.current = null
+    }
     setIsResultVisible(false)
+    setIsStreaming(false)
+    setIsReasoning(false)
+    setIsStopped(false)
     setTranslatedText("")
+    setDictionary(null)
     setError(null)
     setIsTranslating(false)
     setCopied(false)
     setExpandSource(false)
     setExpandTranslation(false)
+    exitCompare()
+    // 图片上已经显示的译文保留，点击译文时移除
+    ocrRequestRef.current++
+    setOcr(null)
+    setOcrText("")
   }
 
   // 如果两者都不显示，不渲染任何内容
   if (!isButtonVisible && !isResultVisible) return null
 
   // 检测语言，显示对应的按钮文本
-  const isChinese = isChineseText(selectedText)
-  const buttonText = isChinese ? "翻译为英文" : "翻译为中文"
+  const buttonText = `翻译为${getLanguageName(
+    getTargetLanguage(sourceLang, apiConfig)
+  )}`
 
   return (
-    <>
+    <div
+      className="translate-root"
+      data-theme={theme}
+      style={{
+        "--translate-font-size": `${apiConfig?.fontSize || DEFAULT_FONT_SIZE}px`,
+        "--translate-popup-width": `${
+          apiConfig?.popupWidth || DEFAULT_POPUP_WIDTH
+        }px`
+      }}>
       {/* 翻译按钮 */}
       {isButtonVisible && (
         <div
@@ -696,15 +2320,15 @@ export default function TranslateContent() {
             position: "fixed",
             left: `${position.x}px`,
             top: `${position.y}px`,
-            backgroundColor: "#4285f4",
-            color: "white",
+            backgroundColor: "var(--translate-primary)",
+            color: "var(--translate-on-primary)",
             border: "none",
             borderRadius: "4px",
             padding: "5px 10px",
-            boxShadow: "0 2px 5px rgba(0,0,0,0.2)",
+            boxShadow: "0 2px 5px var(--translate-button-shadow)",
             zIndex: 10000,
             cursor: "pointer",
-            fontSize: "14px",
+            fontSize: "var(--translate-font-size)",
             display: "flex",
             alignItems: "center",
             gap: "5px",
@@ -715,7 +2339,9 @@ export default function TranslateContent() {
           onClick={(e) => handleTranslate(e)}>
           <span>{buttonText}</span>
           {selectedText.length > 200 && (
-            <span style={{ fontSize: "12px" }}>({selectedText.length}字)</span>
+            <span style={{ fontSize: "var(--translate-font-size-small)" }}>
+              ({selectedText.length}字)
+            </span>
           )}
         </div>
       )}
@@ -730,7 +2356,29 @@ export default function TranslateContent() {
             onClose={closeResult}
             selectedText={selectedText}
             translatedText={translatedText}
+            isRich={isRich}
+            dictionary={dictionary}
+            wordSaved={wordSaved}
+            onSaveWord={saveWord}
+            sourceLang={sourceLang}
+            targetLang={targetLang}
+            targetLanguages={
+              apiConfig?.targetLanguages || DEFAULT_TARGET_LANGUAGES
+            }
+            onChangeTargetLang={changeTargetLang}
+            // 机器翻译接口不使用提示词，不显示翻译风格
+            templates={supportsPrompt(apiConfig?.provider) ? templates : null}
+            templateId={templateId}
+            onChangeTemplate={changeTemplate}
             isLoading={isLoading}
+            isStreaming={isStreaming}
+            isReasoning={isReasoning}
+            chunkProgress={chunkProgress}
+            isStopped={isStopped}
+            onStop={stopTranslate}
+            onRetranslate={retranslate}
+            onRetry={retryTranslate}
+            glossaryViolations={glossaryViolations}
             error={error}
             copied={copied}
             expandSource={expandSource}
@@ -738,9 +2386,24 @@ export default function TranslateContent() {
             setExpandSource={setExpandSource}
             setExpandTranslation={setExpandTranslation}
             copyTranslatedText={copyTranslatedText}
+            speech={speech}
+            onSpeak={toggleSpeak}
+            ocr={ocr}
+            ocrText={ocrText}
+            onChangeOcrText={setOcrText}
+            onTranslateOcr={translateOcrText}
+            onOverlayOcr={overlayOcrTranslation}
+            compareCandidates={compareCandidates}
+            compare={compare}
+            // 至少有两个候选时才能对比
+            onCompare={compareCandidates.length >= 2 ? openCompare : null}
+            onToggleCompare={toggleCompareCandidate}
+            onRunCompare={() => runCompare(compare.selected)}
+            onPickCompare={pickCompareResult}
+            onExitCompare={exitCompare}
           />
         </DraggableBox>
       )}
-    </>
+    </div>
   )
 }
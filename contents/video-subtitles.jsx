@@ -0,0 +1,143 @@
+import { useEffect, useRef } from "react"
+
+import { sendToBackground } from "@plasmohq/messaging"
+
+import { useApiConfig } from "~hooks/use-api-config"
+import { DEFAULT_PRIMARY_LANGUAGE } from "~utils/language"
+import { getMissingField } from "~utils/providers"
+import {
+  createSubtitleTranslator,
+  findShowingTrack
+} from "~utils/subtitle-translator"
+
+/**
+ * 视频字幕翻译内容脚本，在所有URL上生效
+ * 视频开始播放并且打开了字幕时，把字幕翻译为主要语言，以双语字幕显示在视频上
+ */
+export const config = {
+  matches: ["<all_urls>"]
+}
+
+/**
+ * 字幕语言与目标语言相同时不翻译，只比较主语言部分，例如 zh-Hans 与 zh
+ */
+const isSameLanguage = (trackLang, targetLang) =>
+  !!trackLang &&
+  trackLang.split("-")[0].toLowerCase() === targetLang.split("-")[0]
+
+export default function VideoSubtitles() {
+  const apiConfigRef = useRef(null)
+
+  // 从Storage获取API配置
+  const apiConfig = useApiConfig()
+
+  // 翻译器创建后一直使用，通过ref读取最新配置
+  useEffect(() => {
+    apiConfigRef.current = apiConfig
+  }, [apiConfig])
+
+  const isEnabled =
+    !!apiConfig &&
+    apiConfig.enabled !== false &&
+    apiConfig.subtitleTranslate !== false &&
+    !getMissingField(apiConfig)
+
+  useEffect(() => {
+    if (!isEnabled) return
+
+    const translators = new Map() // 视频元素 -> 字幕翻译器
+    const dismissed = new WeakSet() // 在浮层上关闭了翻译的字幕轨道
+    const watched = new WeakSet() // 已经监听字幕切换的视频
+    const controller = new AbortController()
+    let mode = "both" // 显示模式，同一页面的视频共用
+
+    const getTargetLang = () =>
+      apiConfigRef.current?.primaryLanguage || DEFAULT_PRIMARY_LANGUAGE
+
+    /**
+     * 把一批字幕发送给background翻译，相同的字幕直接使用缓存
+     */
+    const translateBatch = async (texts) => {
+      const resp = await sendToBackground({
+        name: "translate",
+        body: {
+          texts,
+          apiConfig: apiConfigRef.current,
+          targetLang: getTargetLang()
+        }
+      })
+
+      if (resp.error) {
+        throw new Error(resp.error)
+      }
+      return resp.results || []
+    }
+
+    /**
+     * 按视频当前显示的字幕轨道开始或切换翻译
+     * 翻译中的轨道被设为hidden，只有用户在播放器中选择了其他字幕时才会出现新的显示中轨道
+     */
+    const update = (video) => {
+      const current = translators.get(video)
+      const track = findShowingTrack(video)
+      if (!track || track === current?.track) return
+
+      current?.stop(false)
+      translators.delete(video)
+      if (
+        dismissed.has(track) ||
+        isSameLanguage(track.language, getTargetLang())
+      ) {
+        return
+      }
+
+      translators.set(
+        video,
+        createSubtitleTranslator({
+          video,
+          track,
+          mode,
+          translateBatch,
+          onModeChange: (value) => {
+            mode = value
+            translators.forEach((translator) => translator.setMode(value))
+          },
+          onStop: () => {
+            dismissed.add(track)
+            translators.delete(video)
+          }
+        })
+      )
+    }
+
+    const watch = (video) => {
+      if (!watched.has(video)) {
+        watched.add(video)
+        video.textTracks.addEventListener("change", () => update(video), {
+          signal: controller.signal
+        })
+      }
+      update(video)
+    }
+
+    // play事件不冒泡，在捕获阶段监听页面中所有视频
+    document.addEventListener(
+      "play",
+      (e) => {
+        if (e.target instanceof HTMLVideoElement) watch(e.target)
+      },
+      { capture: true, signal: controller.signal }
+    )
+    // 脚本加载前已经开始播放的视频
+    document.querySelectorAll("video").forEach((video) => {
+      if (!video.paused) watch(video)
+    })
+
+    return () => {
+      controller.abort()
+      translators.forEach((translator) => translator.stop())
+    }
+  }, [isEnabled])
+
+  return null
+}
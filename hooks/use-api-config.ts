@@ -0,0 +1,28 @@
+import { useMemo } from "react"
+
+import { useStorage } from "@plasmohq/storage/hook"
+
+import { PROFILES_KEY, resolveApiConfig } from "~utils/profiles"
+import { applySitePolicy, SITE_RULES_KEY } from "~utils/site-rules"
+
+/**
+ * 读取当前网站生效的API配置：通用设置加上生效的档案，再应用网站规则
+ * 通用设置和档案都还没有加载，或网站规则还在加载时返回undefined，
+ * 内容脚本据此在确认当前网站启用后才添加事件监听
+ */
+export const useApiConfig = () => {
+  const [data] = useStorage("data")
+  const [profiles] = useStorage(PROFILES_KEY)
+  const [siteRules, , { isLoading: isLoadingSiteRules }] =
+    useStorage(SITE_RULES_KEY)
+
+  return useMemo(() => {
+    if (data === undefined && profiles === undefined) return undefined
+    if (isLoadingSiteRules) return undefined
+    return applySitePolicy(
+      resolveApiConfig(data || {}, profiles, location.hostname),
+      siteRules,
+      location.hostname
+    )
+  }, [data, profiles, siteRules, isLoadingSiteRules])
+}
@@ -0,0 +1,116 @@
+import { useCallback, useEffect, useRef, useState } from "react"
+
+import {
+  DEFAULT_SPEECH_RATE,
+  isSpeechSupported,
+  loadVoices,
+  pickVoice,
+  splitSentences
+} from "~utils/speech"
+import type { Sentence } from "~utils/speech"
+
+interface SpeechOptions {
+  rate?: number
+  // 设置中指定的语音（voiceURI列表）
+  voices?: string[]
+}
+
+/**
+ * 逐句朗读文本，同一时间只朗读一段
+ * @returns speakingId 正在朗读的文本标识，sentence 正在朗读的句子
+ */
+export const useSpeech = ({ rate, voices }: SpeechOptions = {}) => {
+  const [state, setState] = useState<{ id: string; sentence: Sentence }>(null)
+  // 每次开始或停止朗读时加一，旧的朗读回调据此失效
+  const sessionRef = useRef(0)
+  // 保留当前的utterance，避免被回收后Chrome不再触发end事件
+  const utteranceRef = useRef<SpeechSynthesisUtterance>(null)
+  const optionsRef = useRef({ rate, voices })
+  optionsRef.current = { rate, voices }
+
+  const stop = useCallback(() => {
+    sessionRef.current += 1
+    if (utteranceRef.current) {
+      utteranceRef.current = null
+      speechSynthesis.cancel()
+    }
+    setState(null)
+  }, [])
+
+  /**
+   * 朗读文本，正在朗读的内容会先停止
+   * @param id - 文本标识，例如 "source"、"translation"
+   * @param text - 文本
+   * @param lang - 文本的语言代码，用于选择语音
+   */
+  const speak = useCallback(
+    async (id: string, text: string, lang: string) => {
+      stop()
+      const session = sessionRef.current
+      const sentences = splitSentences(text)
+      const voice = pickVoice(
+        await loadVoices(),
+        lang,
+        optionsRef.current.voices
+      )
+
+      const speakAt = (index: number) => {
+        if (session !== sessionRef.current) return
+        if (index >= sentences.length) {
+          utteranceRef.current = null
+          setState(null)
+          return
+        }
+
+        const utterance = new SpeechSynthesisUtterance(sentences[index].text)
+        utterance.lang = voice?.lang || lang
+        if (voice) utterance.voice = voice
+        utterance.rate = optionsRef.current.rate || DEFAULT_SPEECH_RATE
+        utterance.onstart = () => {
+          if (session === sessionRef.current) {
+            setState({ id, sentence: sentences[index] })
+          }
+        }
+        utterance.onend = () => speakAt(index + 1)
+        // 被cancel打断时也会触发error，此时session已经改变
+        utterance.onerror = () => {
+          if (session !== sessionRef.current) return
+          utteranceRef.current = null
+          setState(null)
+        }
+        utteranceRef.current = utterance
+        speechSynthesis.speak(utterance)
+      }
+      speakAt(0)
+    },
+    [stop]
+  )
+
+  // 组件卸载时停止朗读
+  useEffect(() => stop, [stop])
+
+  return {
+    supported: isSpeechSupported(),
+    speakingId: state?.id,
+    sentence: state?.sentence,
+    speak,
+    stop
+  }
+}
+
+/**
+ * 读取浏览器可用的语音列表，用于设置页
+ */
+export const useVoices = () => {
+  const [voices, setVoices] = useState<SpeechSynthesisVoice[]>([])
+
+  useEffect(() => {
+    let active = true
+    loadVoices().then((list) => active && setVoices(list))
+    return () => {
+      active = false
+    }
+  }, [])
+
+  return voices
+}
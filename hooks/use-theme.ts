@@ -0,0 +1,19 @@
+import { useEffect, useState } from "react"
+
+import { resolveTheme, watchSystemTheme } from "~utils/theme"
+
+/**
+ * 把主题设置换算为 light / dark，跟随系统时随系统设置实时切换
+ * 跟随网页时在每次渲染时重新检测，网页切换深浅色后下次打开弹窗即生效
+ * @param theme - 设置中的主题
+ */
+export const useTheme = (theme?: string) => {
+  const [, setVersion] = useState(0)
+
+  useEffect(() => {
+    if (theme && theme !== "system") return
+    return watchSystemTheme(() => setVersion((version) => version + 1))
+  }, [theme])
+
+  return resolveTheme(theme)
+}
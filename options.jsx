@@ -0,0 +1,16 @@
+import React from "react"
+
+import { Profiles } from "./components/Profiles"
+
+/**
+ * 扩展的选项页，管理多套API配置
+ */
+function OptionsIndex() {
+  return (
+    <div style={{ maxWidth: "640px", margin: "0 auto", padding: "24px 0" }}>
+      <Profiles />
+    </div>
+  )
+}
+
+export default OptionsIndex
@@ -1,11 +1,85 @@
+import { Button, Tabs, Toast } from "antd-mobile"
 import React from "react"
 
+import { sendToContentScript } from "@plasmohq/messaging"
+
+import { Glossary } from "./components/Glossary"
+import { History } from "./components/History"
 import { Setting } from "./components/Setting"
+import { SiteRules } from "./components/SiteRules"
+import { Usage } from "./components/Usage"
+import { Vocabulary } from "./components/Vocabulary"
+import { getDocumentKind, getReaderUrl } from "./utils/documents"
+
+/**
+ * 通知当前标签页的内容脚本开始/结束全文翻译
+ */
+async function translateCurrentPage() {
+  try {
+    const resp = await sendToContentScript({ name: "translate-page" })
+    if (resp && !resp.success) {
+      Toast.show({ icon: "fail", content: resp.error })
+      return
+    }
+    window.close()
+  } catch (err) {
+    // 浏览器内置页面等无法注入内容脚本
+    Toast.show({ icon: "fail", content: "当前页面不支持翻译" })
+  }
+}
+
+/**
+ * 打开文档翻译阅读器，当前标签页是PDF时直接在阅读器中打开
+ */
+async function openReader() {
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true })
+  const url = getDocumentKind(tab?.url) === "pdf" ? tab.url : ""
+  await chrome.tabs.create({ url: getReaderUrl(url) })
+  window.close()
+}
 
 function IndexPopup() {
   return (
     <div>
-      <Setting />
+      <div style={{ padding: "12px 12px 0" }}>
+        <Button
+          block
+          color="primary"
+          fill="outline"
+          size="small"
+          onClick={translateCurrentPage}>
+          翻译当前页面 / 显示原文
+        </Button>
+        <Button
+          block
+          fill="outline"
+          size="small"
+          style={{ marginTop: 8 }}
+          onClick={openReader}>
+          文档翻译（PDF / TXT / Markdown / SRT）
+        </Button>
+      </div>
+      <Tabs>
+        <Tabs.Tab title="设置" key="setting">
+          <Setting />
+        </Tabs.Tab>
+        <Tabs.Tab title="网站规则" key="site-rules">
+          <SiteRules />
+        </Tabs.Tab>
+        <Tabs.Tab title="术语表" key="glossary">
+          <Glossary />
+        </Tabs.Tab>
+        {/* 切换时重新挂载，保证每次打开都是最新记录 */}
+        <Tabs.Tab title="历史记录" key="history" destroyOnClose>
+          <History />
+        </Tabs.Tab>
+        <Tabs.Tab title="生词本" key="vocabulary" destroyOnClose>
+          <Vocabulary />
+        </Tabs.Tab>
+        <Tabs.Tab title="用量" key="usage" destroyOnClose>
+          <Usage />
+        </Tabs.Tab>
+      </Tabs>
     </div>
   )
 }
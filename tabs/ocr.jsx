@@ -0,0 +1,22 @@
+import { OCR_MESSAGE_TARGET } from "~utils/ocr"
+import { recognizeImage } from "~utils/ocr-engine"
+
+/**
+ * 文字识别用的离屏文档
+ * background通过 chrome.offscreen 创建本页面，识别引擎在这里的Web Worker中运行
+ */
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (message?.target !== OCR_MESSAGE_TARGET) return
+  recognizeImage(message.image, message.languages).then(
+    (result) => sendResponse({ success: true, result }),
+    (err) => sendResponse({ success: false, error: err.message })
+  )
+  // 异步回复
+  return true
+})
+
+function OcrPage() {
+  return null
+}
+
+export default OcrPage
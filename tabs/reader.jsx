@@ -0,0 +1,32 @@
+import React, { useEffect, useState } from "react"
+import { createPortal } from "react-dom"
+
+import { Reader } from "~components/Reader"
+import TranslateContent, { getStyle } from "~contents/translate"
+
+/**
+ * 文档翻译阅读器页面
+ * 内容脚本不会注入扩展自身的页面，这里直接挂载划词翻译界面，
+ * 与网页中一样放在shadow root里，使其样式中的 :host 规则生效
+ */
+function ReaderPage() {
+  const [shadowRoot, setShadowRoot] = useState(null)
+
+  useEffect(() => {
+    const host = document.createElement("deepseek-reader-translate")
+    const root = host.attachShadow({ mode: "open" })
+    root.appendChild(getStyle())
+    document.body.appendChild(host)
+    setShadowRoot(root)
+    return () => host.remove()
+  }, [])
+
+  return (
+    <>
+      <Reader />
+      {shadowRoot && createPortal(<TranslateContent />, shadowRoot)}
+    </>
+  )
+}
+
+export default ReaderPage
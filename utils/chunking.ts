@@ -0,0 +1,169 @@
+import { DEFAULT_MAX_TOKENS } from "~utils/profiles"
+
+/**
+ * 长文本分段
+ * 模型的输出受 max_tokens 限制，整段发送长文本时译文会被截断。
+ * 这里按段落、句子的边界把文本拆成不超过token预算的若干段，分别翻译后按原顺序拼接
+ */
+
+// 同时翻译的段数
+export const DEFAULT_CHUNK_CONCURRENCY = 3
+// 每段原文最少的token预算，避免max_tokens设得很小时拆得过碎
+const MIN_CHUNK_TOKENS = 100
+
+// 中日韩文字大约每个字一个token，其他文字大约每4个字符一个token
+const CJK_PATTERN = /[\u3040-\u30ff\u3400-\u9fff\uac00-\ud7af\uf900-\ufaff]/
+// 句子：以句末标点（及其后的引号、括号和空白）结尾，或者是没有标点的结尾部分
+const SENTENCE_PATTERN =
+  /[^.!?;。！？；]*[.!?;。！？；]+["'”’)）\]]*\s*|[^.!?;。！？；]+$/g
+
+export interface TextChunk {
+  text: string
+  // 这一段与下一段之间原有的空白，拼接译文时原样保留，使段落换行不丢失
+  separator: string
+}
+
+export interface ChunkProgress {
+  done: number
+  failed: number
+  total: number
+}
+
+const charTokens = (char: string) => (CJK_PATTERN.test(char) ? 1 : 0.25)
+
+/**
+ * 粗略估算文本的token数
+ * @param text - 文本
+ */
+export const estimateTokens = (text = "") => {
+  let tokens = 0
+  for (const char of text) tokens += charTokens(char)
+  return Math.ceil(tokens)
+}
+
+/**
+ * 每段原文的token预算
+ * 译文通常比原文长，另外还要留出JSON格式的开销，所以只用max_tokens的一部分
+ * @param maxTokens - API配置中的max_tokens
+ */
+export const getChunkBudget = (maxTokens?: number) =>
+  Math.max(
+    MIN_CHUNK_TOKENS,
+    Math.floor((maxTokens || DEFAULT_MAX_TOKENS) * 0.4)
+  )
+
+/**
+ * 文本是否需要分段翻译
+ * @param text - 待翻译文本
+ * @param maxTokens - API配置中的max_tokens
+ */
+export const needsChunking = (text: string, maxTokens?: number) =>
+  estimateTokens(text.trim()) > getChunkBudget(maxTokens)
+
+/**
+ * 把一段文本按空白拆成正文和末尾的分隔符
+ */
+const toUnit = (text: string, separator: string): TextChunk => {
+  const trimmed = text.trimEnd()
+  return { text: trimmed, separator: text.slice(trimmed.length) + separator }
+}
+
+/**
+ * 没有句末标点的超长文本按字符硬切，尽量在空格处断开
+ */
+const splitByLength = (unit: TextChunk, budget: number): TextChunk[] => {
+  const units: TextChunk[] = []
+  let rest = unit.text
+  while (estimateTokens(rest) > budget) {
+    let end = 0
+    let tokens = 0
+    for (const char of rest) {
+      if (tokens + charTokens(char) > budget) break
+      tokens += charTokens(char)
+      end += char.length
+    }
+    const space = rest.lastIndexOf(" ", end)
+    if (space > end / 2) end = space + 1
+    units.push(toUnit(rest.slice(0, end), ""))
+    rest = rest.slice(end).trimStart()
+  }
+  units.push({ text: rest, separator: unit.separator })
+  return units
+}
+
+/**
+ * 超出预算的段落按句子拆开，句子仍然过长时按长度硬切
+ */
+const splitUnit = (unit: TextChunk, budget: number): TextChunk[] => {
+  if (estimateTokens(unit.text) <= budget) return [unit]
+
+  const sentences = unit.text.match(SENTENCE_PATTERN) || [unit.text]
+  return sentences.flatMap((sentence, index) => {
+    const last = index === sentences.length - 1
+    const item = toUnit(sentence, last ? unit.separator : "")
+    return estimateTokens(item.text) > budget
+      ? splitByLength(item, budget)
+      : [item]
+  })
+}
+
+/**
+ * 把长文本拆成不超过token预算的若干段
+ * 先按换行拆成段落，过长的段落再按句子拆开，然后把相邻的部分尽量合并到同一段中
+ * @param text - 待翻译文本
+ * @param budget - 每段的token预算，见 getChunkBudget
+ * @returns 分段列表，文本没有超出预算时只有一段
+ */
+export const splitIntoChunks = (text: string, budget: number): TextChunk[] => {
+  const trimmed = text.trim()
+  if (estimateTokens(trimmed) <= budget) {
+    return [{ text: trimmed, separator: "" }]
+  }
+
+  // 拆分结果中奇数位置是段落之间的换行
+  const parts = trimmed.split(/(\s*\n\s*)/)
+  const units: TextChunk[] = []
+  for (let i = 0; i < parts.length; i += 2) {
+    units.push(
+      ...splitUnit({ text: parts[i], separator: parts[i + 1] || "" }, budget)
+    )
+  }
+
+  const chunks: TextChunk[] = []
+  let current: TextChunk[] = []
+  let tokens = 0
+  const flush = () => {
+    if (current.length === 0) return
+    const last = current[current.length - 1]
+    chunks.push({
+      text: current
+        .map((unit) => (unit === last ? unit.text : unit.text + unit.separator))
+        .join(""),
+      separator: last.separator
+    })
+    current = []
+    tokens = 0
+  }
+  for (const unit of units) {
+    const unitTokens = estimateTokens(unit.text + unit.separator)
+    if (tokens + unitTokens > budget) flush()
+    current.push(unit)
+    tokens += unitTokens
+  }
+  flush()
+  return chunks
+}
+
+/**
+ * 按原顺序拼接各段译文，段落之间保留原文中的换行
+ * @param chunks - 分段列表
+ * @param translations - 与分段一一对应的译文
+ */
+export const joinChunks = (chunks: TextChunk[], translations: string[]) =>
+  translations
+    .map((translation, index) =>
+      index < translations.length - 1
+        ? translation + chunks[index].separator
+        : translation
+    )
+    .join("")
@@ -0,0 +1,62 @@
+/**
+ * CSV读写，历史记录导出和术语表导入导出共用
+ */
+
+/**
+ * 转义CSV字段：包含逗号、引号或换行时加引号
+ */
+export const escapeCsv = (value) => {
+  const text = value === undefined || value === null ? "" : String(value)
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+/**
+ * 把二维数组转换成CSV文本
+ * 开头加BOM以便Excel正确识别UTF-8
+ */
+export const toCsv = (rows: unknown[][]) =>
+  "\ufeff" + rows.map((row) => row.map(escapeCsv).join(",")).join("\r\n")
+
+/**
+ * 解析CSV文本，支持带引号的字段以及字段中的逗号、引号和换行
+ * @returns 二维数组，忽略空行
+ */
+export const parseCsv = (text: string) => {
+  const rows: string[][] = []
+  let row: string[] = []
+  let field = ""
+  let quoted = false
+
+  const source = text.replace(/^\ufeff/, "")
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i]
+
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        field += '"'
+        i++
+      } else if (char === '"') {
+        quoted = false
+      } else {
+        field += char
+      }
+    } else if (char === '"') {
+      quoted = true
+    } else if (char === ",") {
+      row.push(field)
+      field = ""
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && source[i + 1] === "\n") i++
+      row.push(field)
+      rows.push(row)
+      row = []
+      field = ""
+    } else {
+      field += char
+    }
+  }
+  row.push(field)
+  rows.push(row)
+
+  return rows.filter((cells) => cells.some((cell) => cell.trim()))
+}
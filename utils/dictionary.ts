@@ -0,0 +1,126 @@
+import { toCsv } from "~utils/csv"
+
+/**
+ * 查词模式
+ * 选中单个单词或很短的词组时，请模型按词典格式输出音标、词性、释义、例句和词形变化，
+ * 页面以词典卡片展示，并可以加入生词本
+ */
+
+export interface DictionaryDefinition {
+  // 词性，例如 n. / v. / adj.
+  partOfSpeech: string
+  // 目标语言的释义
+  meaning: string
+}
+
+export interface DictionaryExample {
+  // 原文语言的例句
+  source: string
+  // 例句的译文
+  translation: string
+}
+
+export interface DictionaryEntry {
+  word: string
+  // 音标或拼音，没有时为空
+  phonetic: string
+  definitions: DictionaryDefinition[]
+  examples: DictionaryExample[]
+  // 词形变化，例如复数、过去式
+  inflections: string[]
+}
+
+// 拉丁字母等以空格分词的语言，最多按几个词算作词组
+const MAX_PHRASE_WORDS = 3
+// 中日韩等不以空格分词的语言，最多按几个字算作词语
+const MAX_CJK_CHARS = 6
+
+const CJK_PATTERN = /[\u3040-\u30ff\u3400-\u4dbf\u4e00-\u9fff\uac00-\ud7af]/
+
+/**
+ * 判断选中的文本是否应该按查词处理
+ * 包含句末标点、换行或超出长度时视为句子
+ * @param text - 选中的文本
+ */
+export const isWordLookup = (text = "") => {
+  const trimmed = text.trim()
+  if (!trimmed || trimmed.length > 40) return false
+  if (/[\n.!?;:,。！？；：，、]/.test(trimmed)) return false
+
+  if (CJK_PATTERN.test(trimmed)) {
+    return !/\s/.test(trimmed) && trimmed.length <= MAX_CJK_CHARS
+  }
+  // 至少包含一个字母，排除纯数字和符号
+  return (
+    /\p{L}/u.test(trimmed) && trimmed.split(/\s+/).length <= MAX_PHRASE_WORDS
+  )
+}
+
+const toText = (value) => (typeof value === "string" ? value.trim() : "")
+
+/**
+ * 把模型输出的JSON整理为词典条目，缺失的字段补为空值
+ * @param content - 模型输出
+ * @returns 无法解析或没有释义时返回null
+ */
+export const parseDictionaryEntry = (
+  content: string,
+  word: string
+): DictionaryEntry | null => {
+  let data
+  try {
+    data = JSON.parse(content.trim())
+  } catch (e) {
+    return null
+  }
+  if (!data || typeof data !== "object") return null
+
+  const list = (value) => (Array.isArray(value) ? value : [])
+  const entry: DictionaryEntry = {
+    word: toText(data.word) || word,
+    phonetic: toText(data.phonetic),
+    definitions: list(data.definitions)
+      .map((item) => ({
+        partOfSpeech: toText(item?.partOfSpeech),
+        meaning: toText(item?.meaning)
+      }))
+      .filter((item) => item.meaning),
+    examples: list(data.examples)
+      .map((item) => ({
+        source: toText(item?.source),
+        translation: toText(item?.translation)
+      }))
+      .filter((item) => item.source),
+    inflections: list(data.inflections).map(toText).filter(Boolean)
+  }
+  return entry.definitions.length > 0 ? entry : null
+}
+
+/**
+ * 词典条目的简短译文，用于历史记录和复制
+ * 例如 "n. 苹果；v. 运行"
+ */
+export const summarizeEntry = (entry: DictionaryEntry) =>
+  entry.definitions
+    .map((item) =>
+      item.partOfSpeech ? `${item.partOfSpeech} ${item.meaning}` : item.meaning
+    )
+    .join("；")
+
+/**
+ * 把生词本导出为CSV：单词、音标、释义、例句、词形变化
+ * @param entries - 生词列表
+ */
+export const vocabularyToCsv = (entries: DictionaryEntry[]) =>
+  toCsv([
+    ["单词", "音标", "释义", "例句", "词形变化"],
+    ...entries.map((entry) => [
+      entry.word,
+      entry.phonetic,
+      summarizeEntry(entry),
+      entry.examples
+        .map((item) => `${item.source} ${item.translation}`)
+        .join("\n"),
+      entry.inflections.join(", ")
+    ])
+  ])
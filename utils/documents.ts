@@ -0,0 +1,251 @@
+import { downloadFile } from "~utils/download"
+
+/**
+ * 文档翻译
+ * 在扩展的阅读器页面中打开PDF以及本地的 .txt / .md / .srt 文件，
+ * 按页拆分为段落，逐段翻译后与原文并排显示，并可导出译文
+ */
+
+export const DOCUMENT_ACCEPT = ".pdf,.txt,.md,.markdown,.srt"
+
+export const EXPORT_MODES = [
+  { value: "translation", label: "导出译文" },
+  { value: "bilingual", label: "导出双语" }
+]
+
+export type DocumentKind = "pdf" | "text" | "markdown" | "srt"
+
+export interface DocumentSegment {
+  text: string
+  // 代码块等不需要翻译的内容，导出时原样保留
+  skip?: boolean
+  // 字幕的序号和时间轴，导出SRT时使用
+  cue?: { index: string; timing: string }
+}
+
+export interface DocumentPage {
+  number: number
+  segments: DocumentSegment[]
+}
+
+export interface LoadedDocument {
+  name: string
+  kind: DocumentKind
+  pages: DocumentPage[]
+}
+
+// PDF文本项中用到的字段，见 pdfjs 的 TextItem
+export interface PdfTextItem {
+  str: string
+  hasEOL: boolean
+  transform: number[]
+  height: number
+}
+
+const CJK_PATTERN = /[\u3040-\u30ff\u3400-\u9fff\uac00-\ud7af\uff00-\uffef]/
+// 段落之间的行距超过行高的这个倍数时视为新段落
+const PARAGRAPH_GAP = 1.6
+
+/**
+ * 阅读器页面的地址
+ * @param url - 要打开的PDF地址，为空时打开空白阅读器，由用户选择本地文件
+ */
+export const getReaderUrl = (url = "") =>
+  chrome.runtime.getURL(
+    `tabs/reader.html${url ? `?url=${encodeURIComponent(url)}` : ""}`
+  )
+
+/**
+ * 根据文件名判断文档类型，不支持时返回null
+ * @param name - 文件名或地址
+ */
+export const getDocumentKind = (name = ""): DocumentKind | null => {
+  const extension = name.split(/[?#]/)[0].split(".").pop().toLowerCase()
+  if (extension === "pdf") return "pdf"
+  if (extension === "txt") return "text"
+  if (extension === "md" || extension === "markdown") return "markdown"
+  if (extension === "srt") return "srt"
+  return null
+}
+
+/**
+ * 拼接两行文字：英文行尾的连字符去掉后直接相连，中日韩文字之间不加空格
+ */
+const joinLine = (paragraph: string, line: string) => {
+  if (!paragraph) return line
+  if (/[a-z]-$/i.test(paragraph) && /^[a-z]/.test(line)) {
+    return paragraph.slice(0, -1) + line
+  }
+  if (CJK_PATTERN.test(paragraph.slice(-1)) && CJK_PATTERN.test(line[0])) {
+    return paragraph + line
+  }
+  return `${paragraph} ${line}`
+}
+
+/**
+ * 把PDF一页的文本项合并为段落
+ * PDF中只有按行排列的文字片段，行距明显变大或出现空行时视为新段落
+ * @param items - page.getTextContent() 返回的文本项
+ */
+export const extractPdfParagraphs = (items: PdfTextItem[]) => {
+  const lines: { text: string; y: number; height: number }[] = []
+  let current = ""
+  let y = null
+  let height = 0
+
+  const endLine = () => {
+    if (y !== null) {
+      lines.push({ text: current.replace(/\s+/g, " ").trim(), y, height })
+    }
+    current = ""
+    y = null
+    height = 0
+  }
+
+  for (const item of items) {
+    if (y === null && item.str.trim()) y = item.transform[5]
+    height = Math.max(height, item.height)
+    current += item.str
+    if (item.hasEOL) endLine()
+  }
+  endLine()
+
+  const paragraphs: string[] = []
+  let paragraph = ""
+  let previous = null
+  for (const line of lines) {
+    const gap = previous ? Math.abs(previous.y - line.y) : 0
+    if (
+      !line.text ||
+      (previous && gap > Math.max(previous.height, line.height) * PARAGRAPH_GAP)
+    ) {
+      if (paragraph) paragraphs.push(paragraph)
+      paragraph = ""
+    }
+    if (line.text) {
+      paragraph = joinLine(paragraph, line.text)
+      previous = line
+    }
+  }
+  if (paragraph) paragraphs.push(paragraph)
+  return paragraphs
+}
+
+/**
+ * 解析SRT字幕，每条字幕为一段，保留序号和时间轴
+ */
+const parseSrt = (content: string): DocumentSegment[] =>
+  content
+    .replace(/\r\n?/g, "\n")
+    .split(/\n{2,}/)
+    .map((block) => block.trim().split("\n"))
+    .filter((lines) => lines.length >= 2 && lines[1].includes("-->"))
+    .map(([index, timing, ...text]) => ({
+      text: text.join(" ").trim(),
+      cue: { index, timing }
+    }))
+
+/**
+ * 按空行拆分纯文本和Markdown，Markdown中的代码块整体保留不翻译
+ */
+const parseParagraphs = (content: string, markdown: boolean) => {
+  const segments: DocumentSegment[] = []
+  const parts = markdown
+    ? content.replace(/\r\n?/g, "\n").split(/(^```[\s\S]*?^```\s*$)/m)
+    : [content.replace(/\r\n?/g, "\n")]
+
+  parts.forEach((part, index) => {
+    // 拆分结果中奇数位置是代码块
+    if (index % 2 === 1) {
+      segments.push({ text: part.trim(), skip: true })
+      return
+    }
+    part
+      .split(/\n\s*\n/)
+      .map((paragraph) => paragraph.trim())
+      .filter(Boolean)
+      .forEach((paragraph) => segments.push({ text: paragraph }))
+  })
+  return segments
+}
+
+/**
+ * 解析文本类文档，整个文件作为一页
+ * @param name - 文件名
+ * @param content - 文件内容
+ */
+export const parseTextDocument = (
+  name: string,
+  content: string
+): LoadedDocument => {
+  const kind = getDocumentKind(name) || "text"
+  const segments =
+    kind === "srt"
+      ? parseSrt(content)
+      : parseParagraphs(content, kind === "markdown")
+  return { name, kind, pages: [{ number: 1, segments }] }
+}
+
+/**
+ * 生成导出的文件内容
+ * SRT导出为字幕文件，双语时每条字幕两行；其他文档导出为文本，双语时原文和译文交替
+ * @param doc - 文档
+ * @param translations - 按页保存的译文，与每页的段落一一对应
+ * @param mode - translation / bilingual
+ */
+export const buildExport = (
+  doc: LoadedDocument,
+  translations: Record<number, string[]>,
+  mode = "translation"
+) => {
+  const bilingual = mode === "bilingual"
+  const render = (segment: DocumentSegment, translation?: string) => {
+    if (segment.skip || !translation) return segment.text
+    return bilingual ? `${segment.text}\n${translation}` : translation
+  }
+
+  if (doc.kind === "srt") {
+    return doc.pages[0].segments
+      .map((segment, index) =>
+        [
+          segment.cue.index,
+          segment.cue.timing,
+          render(segment, translations[1]?.[index])
+        ].join("\n")
+      )
+      .join("\n\n")
+  }
+
+  return doc.pages
+    .map((page) => {
+      const body = page.segments
+        .map((segment, index) =>
+          render(segment, translations[page.number]?.[index])
+        )
+        .join("\n\n")
+      return doc.kind === "pdf" ? `—— 第${page.number}页 ——\n\n${body}` : body
+    })
+    .join("\n\n")
+}
+
+/**
+ * 下载导出的译文，文件名在原文件名后加上“译文”或“双语”
+ * @param doc - 文档
+ * @param translations - 按页保存的译文
+ * @param mode - translation / bilingual
+ */
+export const downloadTranslation = (
+  doc: LoadedDocument,
+  translations: Record<number, string[]>,
+  mode = "translation"
+) => {
+  const extension =
+    doc.kind === "srt" ? "srt" : doc.kind === "markdown" ? "md" : "txt"
+  const baseName = doc.name.replace(/\.[^.]+$/, "")
+  const suffix = mode === "bilingual" ? "双语" : "译文"
+  downloadFile(
+    buildExport(doc, translations, mode),
+    `${baseName}.${suffix}.${extension}`,
+    doc.kind === "markdown" ? "text/markdown" : "text/plain"
+  )
+}
@@ -0,0 +1,21 @@
+/**
+ * 在扩展页面中触发文件下载
+ * @param content - 文件内容
+ * @param filename - 文件名
+ * @param mime - MIME类型
+ */
+export const downloadFile = (
+  content: string,
+  filename: string,
+  mime: string
+) => {
+  const blob = new Blob([content], { type: `${mime};charset=utf-8` })
+  const url = URL.createObjectURL(blob)
+
+  const link = document.createElement("a")
+  link.href = url
+  link.download = filename
+  link.click()
+
+  setTimeout(() => URL.revokeObjectURL(url), 1000)
+}
@@ -0,0 +1,140 @@
+import { LANGUAGES } from "~utils/language"
+
+/**
+ * 输入框翻译用到的编辑区操作
+ * 支持 <input>、<textarea> 以及 contenteditable 的富文本编辑器
+ */
+
+// 可以翻译的 <input> 类型，密码等输入框不处理
+const TEXT_INPUT_TYPES = ["text", "search", ""]
+
+// 输入内容以 "//语言代码" 结尾、再按空格或回车时触发翻译，例如 "谢谢你的反馈//en"
+// 前面是 ":" 或 "/" 时不触发，避免把正在输入的网址当成指令
+const TRIGGER_PATTERN = /(^|[^:/])\/\/([a-z]{2})$/i
+
+type TextField = HTMLInputElement | HTMLTextAreaElement
+
+const isTextField = (element: Element): element is TextField =>
+  element instanceof HTMLTextAreaElement ||
+  (element instanceof HTMLInputElement &&
+    TEXT_INPUT_TYPES.includes(element.getAttribute("type") || ""))
+
+/**
+ * 找到元素所在的可编辑区域
+ * contenteditable 编辑器取最外层的可编辑元素，使翻译覆盖整个编辑器的内容
+ * @returns 不可编辑时返回null
+ */
+export const getEditableElement = (element: Element | null) => {
+  if (!element) return null
+  if (isTextField(element)) {
+    return element.readOnly || element.disabled ? null : element
+  }
+  if (!(element instanceof HTMLElement) || !element.isContentEditable) {
+    return null
+  }
+
+  let root: HTMLElement = element
+  while (root.parentElement?.isContentEditable) {
+    root = root.parentElement
+  }
+  return root
+}
+
+/**
+ * 当前获得焦点的可编辑区域，会进入shadow root内部查找
+ */
+export const getFocusedEditable = () => {
+  let element = document.activeElement
+  while (element?.shadowRoot?.activeElement) {
+    element = element.shadowRoot.activeElement
+  }
+  return getEditableElement(element)
+}
+
+/**
+ * 读取编辑区的文本
+ */
+export const getEditableText = (element: HTMLElement) =>
+  isTextField(element) ? element.value : element.innerText
+
+/**
+ * 光标是否位于编辑区内容的末尾，只有在末尾输入的指令才会触发翻译
+ * @param element - 可编辑区域
+ */
+export const isCaretAtEnd = (element: HTMLElement) => {
+  if (isTextField(element)) {
+    return (
+      element.selectionStart === element.selectionEnd &&
+      element.selectionEnd >= element.value.trimEnd().length
+    )
+  }
+
+  const selection = window.getSelection()
+  if (!selection?.isCollapsed || !selection.rangeCount) return false
+  const range = document.createRange()
+  range.selectNodeContents(element)
+  range.setStart(selection.focusNode, selection.focusOffset)
+  return !range.toString().trim()
+}
+
+/**
+ * 替换编辑区的全部内容
+ * 优先使用 insertText 命令：浏览器会把修改记入撤销栈（Ctrl+Z可撤销），
+ * 并派发 beforeinput/input 事件，React、Vue 以及各类富文本编辑器都能感知到变化；
+ * 命令不可用时直接写入内容并手动派发 input 事件
+ * @param element - 可编辑区域
+ * @param text - 新的内容
+ */
+export const replaceEditableText = (element: HTMLElement, text: string) => {
+  element.focus()
+
+  if (isTextField(element)) {
+    element.select()
+  } else {
+    const range = document.createRange()
+    range.selectNodeContents(element)
+    const selection = window.getSelection()
+    selection.removeAllRanges()
+    selection.addRange(range)
+  }
+
+  if (document.execCommand("insertText", false, text)) return
+
+  if (isTextField(element)) {
+    // 直接给value赋值时React不会感知，需要调用原型上的setter
+    const prototype =
+      element instanceof HTMLTextAreaElement
+        ? HTMLTextAreaElement.prototype
+        : HTMLInputElement.prototype
+    Object.getOwnPropertyDescriptor(prototype, "value").set.call(element, text)
+  } else {
+    element.textContent = text
+  }
+  element.dispatchEvent(
+    new InputEvent("input", {
+      bubbles: true,
+      inputType: "insertText",
+      data: text
+    })
+  )
+}
+
+/**
+ * 检查输入内容是否以翻译指令结尾
+ * @param text - 编辑区的文本
+ * @returns 去掉指令后的文本和目标语言，没有指令或语言不支持时返回null
+ */
+export const parseTrigger = (text: string) => {
+  // 富文本编辑器的innerText末尾常带有换行
+  const content = text.trimEnd()
+  const match = content.match(TRIGGER_PATTERN)
+  if (!match) return null
+
+  const targetLang = match[2].toLowerCase()
+  if (!LANGUAGES.some((item) => item.code === targetLang)) return null
+
+  return {
+    text: content.slice(0, content.length - targetLang.length - 2),
+    targetLang
+  }
+}
@@ -0,0 +1,114 @@
+/**
+ * 翻译错误的分类
+ * background按错误类型抛出TranslateError，消息中带上code回传给页面，
+ * 页面据此显示可操作的提示
+ */
+
+export const ERROR_CODES = {
+  AUTH: "auth",
+  QUOTA: "quota",
+  RATE_LIMIT: "rate_limit",
+  NETWORK: "network",
+  TIMEOUT: "timeout",
+  SERVER: "server",
+  BAD_RESPONSE: "bad_response",
+  CONFIG: "config",
+  CANCELLED: "cancelled",
+  UNKNOWN: "unknown"
+} as const
+
+export type ErrorCode = (typeof ERROR_CODES)[keyof typeof ERROR_CODES]
+
+// 各类错误对应的处理建议
+const ERROR_HINTS: Partial<Record<ErrorCode, string>> = {
+  auth: "API密钥无效或没有权限，请在设置中检查API密钥",
+  quota: "账户余额或额度不足，请充值或更换服务商",
+  rate_limit: "请求过于频繁，请稍后再试",
+  network: "无法连接到翻译服务，请检查网络和API地址",
+  timeout: "请求超时，可在设置中调大超时时间后重试",
+  server: "翻译服务暂时不可用，请稍后再试",
+  bad_response: "翻译服务返回的数据无法解析，请检查API地址和模型",
+  config: "翻译配置不完整，请在设置中补全",
+  cancelled: "翻译已取消"
+}
+
+export class TranslateError extends Error {
+  code: ErrorCode
+  // HTTP状态码，非HTTP错误时为空
+  status?: number
+
+  /**
+   * @param code - 错误类型
+   * @param detail - 具体的错误信息，例如接口返回的message
+   * @param status - HTTP状态码
+   */
+  constructor(code: ErrorCode, detail = "", status?: number) {
+    super(detail || ERROR_HINTS[code] || "未知错误")
+    this.name = "TranslateError"
+    this.code = code
+    this.status = status
+  }
+}
+
+/**
+ * 根据HTTP状态码和接口返回的错误信息判断错误类型
+ * @param status - HTTP状态码
+ * @param detail - 接口返回的错误信息
+ */
+export const classifyStatus = (status: number, detail = ""): ErrorCode => {
+  // OpenAI额度用完时返回429，需要和限流区分开
+  if (/quota|balance|insufficient|billing|余额/i.test(detail)) {
+    return ERROR_CODES.QUOTA
+  }
+  if (status === 401 || status === 403) return ERROR_CODES.AUTH
+  if (status === 402 || status === 456) return ERROR_CODES.QUOTA
+  if (status === 408) return ERROR_CODES.TIMEOUT
+  if (status === 429) return ERROR_CODES.RATE_LIMIT
+  if (status >= 500) return ERROR_CODES.SERVER
+  return ERROR_CODES.UNKNOWN
+}
+
+/**
+ * 限流、服务端错误和网络错误可以自动重试
+ */
+export const isRetryable = (code: ErrorCode) =>
+  code === ERROR_CODES.RATE_LIMIT ||
+  code === ERROR_CODES.SERVER ||
+  code === ERROR_CODES.NETWORK
+
+/**
+ * 把任意异常转换为TranslateError
+ * fetch被中止时抛出AbortError，连接失败时抛出TypeError
+ */
+export const toTranslateError = (error): TranslateError => {
+  if (error instanceof TranslateError) return error
+  if (error?.name === "AbortError") {
+    return new TranslateError(ERROR_CODES.CANCELLED)
+  }
+  if (error instanceof TypeError) {
+    return new TranslateError(ERROR_CODES.NETWORK, error.message)
+  }
+  return new TranslateError(ERROR_CODES.UNKNOWN, error?.message)
+}
+
+/**
+ * 生成给用户看的错误信息：处理建议加上具体原因
+ */
+export const describeError = (error: TranslateError) => {
+  const hint = ERROR_HINTS[error.code]
+  if (!hint) return error.message
+  return error.message && error.message !== hint
+    ? `${hint}（${error.message}）`
+    : hint
+}
+
+/**
+ * 转换为可以通过消息传递的对象
+ */
+export const serializeError = (error) => {
+  const translateError = toTranslateError(error)
+  return {
+    error: describeError(translateError),
+    code: translateError.code
+  }
+}
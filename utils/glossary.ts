@@ -0,0 +1,126 @@
+import { parseCsv, toCsv } from "~utils/csv"
+
+/**
+ * 术语表
+ * 保存在 chrome.storage.local 的 glossary 键下；background按原文挑出命中的术语注入提示词，
+ * 页面在翻译完成后检查译文是否采用了指定译法
+ */
+
+export const GLOSSARY_KEY = "glossary"
+
+export interface GlossaryEntry {
+  id: string
+  // 原文术语
+  term: string
+  // 指定的译法
+  translation: string
+  // 适用的语言对，为空表示任意语言
+  sourceLang: string
+  targetLang: string
+  // 匹配原文时是否区分大小写
+  caseSensitive: boolean
+}
+
+const CSV_HEADER = ["术语", "译法", "原文语言", "目标语言", "区分大小写"]
+
+export const createGlossaryId = () =>
+  `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`
+
+const escapeRegExp = (text: string) =>
+  text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")
+
+/**
+ * 判断文本中是否出现了术语
+ * 术语以字母数字开头或结尾时要求词边界，避免 "AI" 命中 "said"
+ */
+const containsTerm = (text: string, term: string, caseSensitive: boolean) => {
+  const start = /^\w/.test(term) ? "\\b" : ""
+  const end = /\w$/.test(term) ? "\\b" : ""
+  const pattern = new RegExp(
+    `${start}${escapeRegExp(term)}${end}`,
+    caseSensitive ? "" : "i"
+  )
+  return pattern.test(text)
+}
+
+/**
+ * 挑出适用于当前语言对、并且在原文中出现的术语
+ * @param text - 原文
+ * @param entries - 全部术语
+ * @param languages.sourceLang - 原文语言
+ * @param languages.targetLang - 目标语言
+ */
+export const matchGlossary = (
+  text: string,
+  entries: GlossaryEntry[] = [],
+  { sourceLang, targetLang }: { sourceLang?: string; targetLang: string }
+) =>
+  entries.filter(
+    (entry) =>
+      entry.term &&
+      entry.translation &&
+      (!entry.sourceLang || !sourceLang || entry.sourceLang === sourceLang) &&
+      (!entry.targetLang || entry.targetLang === targetLang) &&
+      containsTerm(text, entry.term, entry.caseSensitive)
+  )
+
+/**
+ * 找出原文中出现了、但译文没有采用指定译法的术语
+ * @param sourceText - 原文
+ * @param translatedText - 译文
+ * @param entries - 全部术语
+ * @param languages - 翻译方向
+ */
+export const findGlossaryViolations = (
+  sourceText: string,
+  translatedText: string,
+  entries: GlossaryEntry[],
+  languages: { sourceLang?: string; targetLang: string }
+) =>
+  matchGlossary(sourceText, entries, languages).filter(
+    (entry) =>
+      !translatedText.toLowerCase().includes(entry.translation.toLowerCase())
+  )
+
+/**
+ * 导出为CSV
+ */
+export const glossaryToCsv = (entries: GlossaryEntry[]) =>
+  toCsv([
+    CSV_HEADER,
+    ...entries.map((entry) => [
+      entry.term,
+      entry.translation,
+      entry.sourceLang,
+      entry.targetLang,
+      entry.caseSensitive ? "是" : "否"
+    ])
+  ])
+
+/**
+ * 从CSV导入，列顺序与导出一致，第一行是表头时跳过
+ * @returns 解析出的术语，缺少术语或译法的行会被忽略
+ */
+export const parseGlossaryCsv = (text: string): GlossaryEntry[] => {
+  const rows = parseCsv(text)
+  if (rows[0]?.[0]?.trim() === CSV_HEADER[0]) rows.shift()
+
+  return rows
+    .map(
+      ([
+        term = "",
+        translation = "",
+        sourceLang = "",
+        targetLang = "",
+        caseSensitive = ""
+      ]) => ({
+        id: createGlossaryId(),
+        term: term.trim(),
+        translation: translation.trim(),
+        sourceLang: sourceLang.trim(),
+        targetLang: targetLang.trim(),
+        caseSensitive: /^(是|true|1|yes)$/i.test(caseSensitive.trim())
+      })
+    )
+    .filter((entry) => entry.term && entry.translation)
+}
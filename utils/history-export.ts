@@ -0,0 +1,98 @@
+import { toCsv as rowsToCsv } from "~utils/csv"
+import { downloadFile } from "~utils/download"
+import { getLanguageName } from "~utils/language"
+
+/**
+ * 历史记录导出
+ * 支持JSON、CSV以及可直接导入Anki的TSV（正面为原文，背面为译文）
+ */
+
+export const EXPORT_FORMATS = [
+  { value: "json", label: "JSON", extension: "json", mime: "application/json" },
+  { value: "csv", label: "CSV", extension: "csv", mime: "text/csv" },
+  {
+    value: "anki",
+    label: "Anki",
+    extension: "txt",
+    mime: "text/tab-separated-values"
+  }
+]
+
+const CSV_COLUMNS = [
+  { key: "sourceText", title: "原文" },
+  { key: "translatedText", title: "译文" },
+  { key: "sourceLang", title: "原文语言" },
+  { key: "targetLang", title: "目标语言" },
+  { key: "model", title: "模型" },
+  { key: "url", title: "页面地址" },
+  { key: "createdAt", title: "时间" },
+  { key: "starred", title: "收藏" }
+]
+
+const formatTime = (timestamp) => new Date(timestamp).toLocaleString()
+
+const toCsv = (entries) => {
+  const header = CSV_COLUMNS.map((column) => column.title)
+  const rows = entries.map((entry) =>
+    CSV_COLUMNS.map(({ key }) => {
+      if (key === "createdAt") return formatTime(entry.createdAt)
+      if (key === "starred") return entry.starred ? "是" : "否"
+      return entry[key]
+    })
+  )
+  return rowsToCsv([header, ...rows])
+}
+
+/**
+ * Anki的TSV以HTML方式导入，字段中不能包含制表符和换行，换行用<br>表示
+ */
+const escapeAnkiField = (value = "") =>
+  String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/\t/g, " ")
+    .replace(/\r?\n/g, "<br>")
+
+const toAnkiTsv = (entries) => {
+  const lines = entries.map((entry) =>
+    [
+      escapeAnkiField(entry.sourceText),
+      escapeAnkiField(entry.translatedText),
+      // 第三列作为标签，方便在Anki中按语言筛选
+      `${getLanguageName(entry.sourceLang)}-${getLanguageName(entry.targetLang)}`
+    ].join("\t")
+  )
+  return ["#separator:tab", "#html:true", "#tags column:3", ...lines].join("\n")
+}
+
+/**
+ * 把历史记录转换成指定格式的文本
+ * @param entries - 历史记录
+ * @param format - json / csv / anki
+ */
+export const formatHistory = (entries, format) => {
+  switch (format) {
+    case "csv":
+      return toCsv(entries)
+    case "anki":
+      return toAnkiTsv(entries)
+    default:
+      return JSON.stringify(entries, null, 2)
+  }
+}
+
+/**
+ * 导出历史记录并触发浏览器下载
+ * @param entries - 历史记录
+ * @param format - json / csv / anki
+ */
+export const downloadHistory = (entries, format) => {
+  const { extension, mime } =
+    EXPORT_FORMATS.find((item) => item.value === format) || EXPORT_FORMATS[0]
+  downloadFile(
+    formatHistory(entries, format),
+    `translate-history-${new Date().toISOString().slice(0, 10)}.${extension}`,
+    mime
+  )
+}
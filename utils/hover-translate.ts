@@ -0,0 +1,42 @@
+/**
+ * 悬停翻译
+ * 按住修饰键把鼠标停在段落上，无需选中文本即可翻译整段；
+ * 鼠标停留一段时间后才发出请求，快速划过页面时不会产生大量请求
+ */
+
+export const HOVER_MODIFIERS = [
+  { label: "关闭", value: "off" },
+  { label: "Alt", value: "alt" },
+  { label: "Shift", value: "shift" },
+  { label: "Ctrl", value: "ctrl" }
+]
+export const DEFAULT_HOVER_MODIFIER = "off"
+
+// 译文显示在结果弹窗中，或者像全文翻译一样插入到段落下方
+export const HOVER_DISPLAYS = [
+  { label: "弹窗", value: "popup" },
+  { label: "段落下方", value: "inline" }
+]
+export const DEFAULT_HOVER_DISPLAY = "popup"
+
+// 鼠标停留多久后开始翻译（毫秒）
+export const HOVER_DELAY = 400
+
+/**
+ * 事件发生时是否只按住了指定的修饰键
+ * 同时按住其他修饰键时视为快捷键，不触发翻译
+ * @param event - 鼠标或键盘事件
+ * @param modifier - HOVER_MODIFIERS 中的值
+ */
+export const isModifierPressed = (
+  event: MouseEvent | KeyboardEvent,
+  modifier: string
+) => {
+  const pressed = {
+    alt: event.altKey,
+    shift: event.shiftKey,
+    ctrl: event.ctrlKey || event.metaKey
+  }
+  if (!(modifier in pressed) || !pressed[modifier]) return false
+  return Object.keys(pressed).every((key) => key === modifier || !pressed[key])
+}
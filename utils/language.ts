@@ -0,0 +1,213 @@
+/**
+ * 语言检测与翻译方向
+ * 先按文字系统（汉字、假名、谚文、西里尔字母等）判断，
+ * 拉丁字母语言再用三元组（trigram）频率和特征字母打分，全部在本地完成
+ */
+
+export const DEFAULT_PRIMARY_LANGUAGE = "zh"
+export const DEFAULT_SECONDARY_LANGUAGE = "en"
+export const DEFAULT_TARGET_LANGUAGES = ["zh", "en", "ja", "ko", "fr", "de"]
+
+/**
+ * 支持的语言列表
+ * name用于界面显示和中文提示词，englishName用于英文场景
+ */
+export const LANGUAGES = [
+  { code: "zh", name: "中文", englishName: "Chinese" },
+  { code: "en", name: "英文", englishName: "English" },
+  { code: "ja", name: "日文", englishName: "Japanese" },
+  { code: "ko", name: "韩文", englishName: "Korean" },
+  { code: "fr", name: "法文", englishName: "French" },
+  { code: "de", name: "德文", englishName: "German" },
+  { code: "es", name: "西班牙文", englishName: "Spanish" },
+  { code: "pt", name: "葡萄牙文", englishName: "Portuguese" },
+  { code: "it", name: "意大利文", englishName: "Italian" },
+  { code: "nl", name: "荷兰文", englishName: "Dutch" },
+  { code: "ru", name: "俄文", englishName: "Russian" },
+  { code: "ar", name: "阿拉伯文", englishName: "Arabic" },
+  { code: "th", name: "泰文", englishName: "Thai" },
+  { code: "vi", name: "越南文", englishName: "Vietnamese" },
+  { code: "hi", name: "印地文", englishName: "Hindi" },
+  { code: "el", name: "希腊文", englishName: "Greek" },
+  { code: "he", name: "希伯来文", englishName: "Hebrew" }
+]
+
+/**
+ * 获取语言的显示名称
+ * @param code - 语言代码
+ */
+export const getLanguageName = (code) =>
+  LANGUAGES.find((item) => item.code === code)?.name || code
+
+/**
+ * 各文字系统对应的字符范围
+ */
+const SCRIPTS = [
+  { lang: "zh", pattern: /[\u3400-\u4dbf\u4e00-\u9fff\uf900-\ufaff]/g },
+  { lang: "ja", pattern: /[\u3040-\u309f\u30a0-\u30ff]/g },
+  { lang: "ko", pattern: /[\u1100-\u11ff\u3130-\u318f\uac00-\ud7af]/g },
+  { lang: "ru", pattern: /[\u0400-\u04ff]/g },
+  { lang: "ar", pattern: /[\u0600-\u06ff\u0750-\u077f]/g },
+  { lang: "th", pattern: /[\u0e00-\u0e7f]/g },
+  { lang: "hi", pattern: /[\u0900-\u097f]/g },
+  { lang: "el", pattern: /[\u0370-\u03ff]/g },
+  { lang: "he", pattern: /[\u0590-\u05ff]/g }
+]
+
+const LATIN_PATTERN = /[a-z\u00c0-\u024f\u1e00-\u1eff]/gi
+
+/**
+ * 拉丁字母语言的高频三元组，按频率从高到低排列，"_"表示词边界
+ */
+const TRIGRAM_PROFILES = {
+  en: "_th the he_ _an and nd_ ing ng_ _of of_ _to to_ ion tio _in on_ ent ed_ er_ _a_ is_ re_ _is at_ es_ _co ati _be for _fo or_ hat tha _wh ter ll_ _wi wit ith you",
+  fr: "_de de_ es_ _le le_ ent _la la_ les _co ion on_ nt_ _et et_ re_ _pa tio _qu que ue_ _un _po ne_ _re des men _en eme ur_ _so our ans dan _da _pr té_ ait est",
+  de: "en_ er_ _de der ich sch ie_ ein _di die che cht und _un nd_ _ei ung ine den te_ in_ ch_ _ge gen _da ten ter _zu ht_ _be ist _is das es_ it_ ber nge auf",
+  es: "_de de_ os_ _la la_ es_ _qu que ue_ ión _co ent _el el_ as_ _en en_ ón_ aci ció _lo los _se _pr ara _pa par ado nte _un _es a_ est con por _po dad las",
+  pt: "_de de_ os_ _qu que ue_ ão_ ção _co ent _a_ _se _da da_ es_ _pa do_ _do _e_ as_ com _pr men ra_ _o_ ara _um nte ado ões par est _es não _na",
+  it: "_di di_ _la la_ to_ re_ _co ion one ne_ che _ch he_ _de del ell lla zio ent _il il_ _pe per _in er_ _un ato _e_ _so ta_ no_ ndo _si are _a_ nel gli",
+  nl: "en_ _de de_ an_ _he het et_ van _va _ee een _en _in in_ er_ _da dat aar _ge ij_ ing _zi _ni nie _op ten _vo oor _te sch cht lij ijk ver _ve wor",
+  vi: "_ng ng_ _th _nh nh_ _tr _ch ch_ _co _đư _kh ông _ph _ca _là là_ _củ của ủa_ _và và_ _cá các _nà này _có có_ _mộ một _đó"
+}
+
+/**
+ * 特征字母，出现时给对应语言加分
+ */
+const CHARACTERISTIC_CHARS = {
+  es: /[ñ¿¡]/g,
+  pt: /[ãõ]/g,
+  de: /[ßäöü]/g,
+  fr: /[œâêîôûëïùç]/g,
+  it: /[àèìòù]/g,
+  vi: /[ơưđạảấầẩẫậắằẳẵặẹẻẽếềểễệỉịọỏốồổỗộớờởỡợụủứừửữựỳỵỷỹ]/g
+}
+
+/**
+ * 把三元组列表转成 三元组 -> 权重 的映射，排名越靠前权重越高
+ */
+const PROFILE_WEIGHTS = Object.fromEntries(
+  Object.entries(TRIGRAM_PROFILES).map(([lang, profile]) => {
+    const trigrams = profile.split(" ").map((item) => item.replace(/_/g, " "))
+    const weights = new Map()
+    trigrams.forEach((trigram, index) => {
+      weights.set(trigram, 1 - index / trigrams.length)
+    })
+    return [lang, weights]
+  })
+)
+
+/**
+ * 统计文本中的三元组
+ */
+const extractTrigrams = (text) => {
+  const normalized = ` ${text
+    .toLowerCase()
+    .replace(/[^a-z\u00c0-\u024f\u1e00-\u1eff]+/g, " ")
+    .trim()} `
+  const trigrams = []
+  for (let i = 0; i < normalized.length - 2; i++) {
+    trigrams.push(normalized.slice(i, i + 3))
+  }
+  return trigrams
+}
+
+/**
+ * 判断拉丁字母文本属于哪种语言
+ * @returns {{ lang: string, confidence: number }}
+ */
+const detectLatinLanguage = (text) => {
+  const trigrams = extractTrigrams(text)
+  if (trigrams.length === 0) return { lang: "en", confidence: 0 }
+
+  const scores: Record<string, number> = {}
+  for (const [lang, weights] of Object.entries(PROFILE_WEIGHTS)) {
+    let score = 0
+    for (const trigram of trigrams) {
+      score += weights.get(trigram) || 0
+    }
+    scores[lang] = score / trigrams.length
+  }
+
+  const lower = text.toLowerCase()
+  for (const [lang, pattern] of Object.entries(CHARACTERISTIC_CHARS)) {
+    const matches = lower.match(pattern)
+    if (matches) {
+      scores[lang] += (matches.length / trigrams.length) * 4
+    }
+  }
+
+  const ranked = Object.entries(scores).sort((a, b) => b[1] - a[1])
+  const [best, second] = ranked
+  if (best[1] === 0) return { lang: "en", confidence: 0 }
+
+  return {
+    lang: best[0],
+    confidence: Math.min(1, (best[1] - second[1]) / best[1] + 0.3)
+  }
+}
+
+/**
+ * 检测文本的语言
+ * 混合语言的文本以占比最高的文字系统为准；
+ * 汉字按每个字相当于两个拉丁字母计算，假名出现即判定为日文
+ * @param text - 需要检测的文本
+ * @returns {{ lang: string, confidence: number }} 语言代码和置信度（0-1）
+ */
+export const detectLanguage = (text = "") => {
+  const counts: Record<string, number> = {}
+  for (const { lang, pattern } of SCRIPTS) {
+    counts[lang] = (text.match(pattern) || []).length
+  }
+  const latinCount = (text.match(LATIN_PATTERN) || []).length
+
+  // 日文中汉字和假名混用，假名占一定比例即可判定为日文
+  if (counts.ja > 0 && counts.ja >= (counts.ja + counts.zh) * 0.1) {
+    counts.ja += counts.zh
+    counts.zh = 0
+  }
+  counts.zh *= 2
+
+  const [scriptLang, scriptCount] = Object.entries(counts).sort(
+    (a, b) => b[1] - a[1]
+  )[0]
+
+  const total = scriptCount + latinCount
+  if (total === 0) return { lang: "en", confidence: 0 }
+
+  if (scriptCount >= latinCount) {
+    return { lang: scriptLang, confidence: scriptCount / total }
+  }
+
+  const latin = detectLatinLanguage(text)
+  return {
+    lang: latin.lang,
+    confidence: latin.confidence * (latinCount / total)
+  }
+}
+
+/**
+ * 根据“主要语言/次要语言”规则决定翻译目标语言：
+ * 原文是主要语言时译为次要语言，其他语言一律译为主要语言
+ * @param sourceLang - 原文语言代码
+ * @param apiConfig - 用户配置，读取primaryLanguage和secondaryLanguage
+ */
+export const getTargetLanguage = (sourceLang, apiConfig) => {
+  const primary = apiConfig?.primaryLanguage || DEFAULT_PRIMARY_LANGUAGE
+  const secondary = apiConfig?.secondaryLanguage || DEFAULT_SECONDARY_LANGUAGE
+  return sourceLang === primary ? secondary : primary
+}
+
+/**
+ * 检测原文语言并决定翻译方向
+ * @param text - 原文
+ * @param apiConfig - 用户配置
+ * @param targetLang - 手动指定的目标语言，为空时按规则决定
+ * @returns {{ sourceLang: string, targetLang: string }}
+ */
+export const resolveLanguages = (text, apiConfig, targetLang = null) => {
+  const sourceLang = detectLanguage(text).lang
+  return {
+    sourceLang,
+    targetLang: targetLang || getTargetLanguage(sourceLang, apiConfig)
+  }
+}
@@ -0,0 +1,109 @@
+import { createWorker, OEM } from "tesseract.js"
+import type { Worker } from "tesseract.js"
+
+import type { OcrRegion, OcrResult } from "~utils/ocr"
+
+/**
+ * 离屏文档中运行的OCR引擎
+ * 识别程序、WASM内核和语言模型都由manifest的 web_accessible_resources 从依赖中复制到扩展根目录，
+ * 这里用扩展内的地址加载，不访问CDN。
+ * 这些文件只供扩展自己的页面使用，extension_ids 为空，网页无法访问，也就无法借此探测扩展
+ */
+
+// 空闲多久后释放识别引擎（毫秒），引擎和语言模型占用上百MB内存
+const IDLE_TIMEOUT = 3 * 60 * 1000
+// 置信度低于此值的段落多半是图案或噪点
+const MIN_CONFIDENCE = 40
+
+let worker: Promise<Worker> | null = null
+let workerLanguages = ""
+let idleTimer: ReturnType<typeof setTimeout> | undefined
+
+const createOcrWorker = (languages: string[]) =>
+  createWorker(languages, OEM.LSTM_ONLY, {
+    workerPath: chrome.runtime.getURL("worker.min.js"),
+    // 目录地址，按浏览器是否支持SIMD选择内核文件
+    corePath: chrome.runtime.getURL(""),
+    langPath: chrome.runtime.getURL(""),
+    workerBlobURL: false,
+    // 语言模型就在扩展内，不需要再缓存到IndexedDB
+    cacheMethod: "none"
+  })
+
+/**
+ * 获取识别引擎，语言变化时重新创建
+ */
+const getWorker = async (languages: string[]) => {
+  const key = languages.join("+")
+  if (worker && workerLanguages !== key) {
+    const previous = worker
+    worker = null
+    await (await previous).terminate()
+  }
+  if (!worker) {
+    workerLanguages = key
+    worker = createOcrWorker(languages)
+    // 创建失败时下次重新创建
+    worker.catch(() => {
+      worker = null
+    })
+  }
+  return worker
+}
+
+const scheduleRelease = () => {
+  clearTimeout(idleTimer)
+  idleTimer = setTimeout(async () => {
+    const current = worker
+    worker = null
+    if (current) (await current).terminate()
+  }, IDLE_TIMEOUT)
+}
+
+/**
+ * 中文按字识别时字与字之间会带上空格，去掉中日韩文字之间的空白
+ */
+const cleanText = (text: string) =>
+  text
+    .replace(
+      /([\u3040-\u30ff\u3400-\u9fff\uff00-\uffef])[ \t]+(?=[\u3040-\u30ff\u3400-\u9fff\uff00-\uffef])/g,
+      "$1"
+    )
+    .trim()
+
+/**
+ * 识别图片中的文字
+ * @param image - 图片地址或data URL
+ * @param languages - 识别语言，见 OCR_LANGUAGES
+ * @returns 全部文字（段落之间换行）和各段落的位置
+ */
+export const recognizeImage = async (
+  image: string,
+  languages: string[]
+): Promise<OcrResult> => {
+  clearTimeout(idleTimer)
+  try {
+    const ocr = await getWorker(languages)
+    const { data } = await ocr.recognize(image, {}, { blocks: true })
+
+    const regions: OcrRegion[] = (data.blocks || [])
+      .flatMap((block) => block.paragraphs)
+      .filter((paragraph) => paragraph.confidence >= MIN_CONFIDENCE)
+      .map((paragraph) => ({
+        // 段落内的换行是图片中的排版，合并为一行交给翻译
+        text: cleanText(
+          paragraph.lines.map((line) => line.text.trim()).join(" ")
+        ),
+        bbox: paragraph.bbox,
+        lineCount: Math.max(1, paragraph.lines.length)
+      }))
+      .filter((region) => region.text)
+
+    return {
+      text: regions.map((region) => region.text).join("\n"),
+      regions
+    }
+  } finally {
+    scheduleRelease()
+  }
+}
@@ -0,0 +1,171 @@
+/**
+ * 图片文字识别（OCR）
+ * 右键点击图片或画布时，在扩展内置的离屏文档中用 tesseract.js（WASM）识别文字，
+ * 识别模型随扩展打包，不需要联网；识别结果可以编辑后翻译，也可以把译文覆盖显示在图片上
+ */
+
+export const OCR_LANGUAGES = [
+  { label: "英文", value: "eng" },
+  { label: "简体中文", value: "chi_sim" }
+]
+export const DEFAULT_OCR_LANGUAGES = ["eng", "chi_sim"]
+
+// background发给离屏文档的消息标记，其他扩展页面收到时忽略
+export const OCR_MESSAGE_TARGET = "offscreen-ocr"
+
+// 覆盖在图片上的译文容器
+const OVERLAY_TAG = "deepseek-ocr-overlay"
+
+export interface OcrBox {
+  x0: number
+  y0: number
+  x1: number
+  y1: number
+}
+
+// 识别出的一个段落，坐标为图片原始尺寸下的像素
+export interface OcrRegion {
+  text: string
+  bbox: OcrBox
+  lineCount: number
+}
+
+export interface OcrResult {
+  text: string
+  regions: OcrRegion[]
+}
+
+export type OcrTarget = HTMLImageElement | HTMLCanvasElement
+
+const isOcrTarget = (element: Element): element is OcrTarget =>
+  element instanceof HTMLImageElement || element instanceof HTMLCanvasElement
+
+/**
+ * 查找指定位置的图片或画布
+ * 图片上常常盖着透明的遮罩或链接，因此检查该位置的所有元素，而不只是最上层的元素
+ * @param x - 视口坐标
+ * @param y - 视口坐标
+ * @param srcUrl - 右键菜单提供的图片地址，有多张图片重叠时优先选择地址相同的
+ */
+export const findImageAt = (x: number, y: number, srcUrl = "") => {
+  const targets = document.elementsFromPoint(x, y).filter(isOcrTarget)
+  return (
+    targets.find(
+      (el) =>
+        el instanceof HTMLImageElement && srcUrl && el.currentSrc === srcUrl
+    ) ||
+    targets[0] ||
+    null
+  )
+}
+
+const blobToDataUrl = (blob: Blob) =>
+  new Promise<string>((resolve, reject) => {
+    const reader = new FileReader()
+    reader.onload = () => resolve(reader.result as string)
+    reader.onerror = () => reject(reader.error)
+    reader.readAsDataURL(blob)
+  })
+
+/**
+ * 获取交给识别引擎的图片
+ * 网络图片直接使用地址，由扩展绕过跨域限制读取；画布和 blob: 地址只在页面内有效，转为data URL
+ * @param element - 图片或画布
+ * @param srcUrl - 右键菜单提供的图片地址
+ */
+export const getImageSource = async (element: OcrTarget, srcUrl = "") => {
+  if (element instanceof HTMLCanvasElement) {
+    try {
+      return element.toDataURL("image/png")
+    } catch (err) {
+      // 画布中绘制过跨域图片时无法读取像素
+      throw new Error("画布包含其他网站的图片，无法读取其中的内容")
+    }
+  }
+  const src = element.currentSrc || element.src || srcUrl
+  if (/^(https?|data):/i.test(src)) return src
+  const resp = await fetch(src)
+  return blobToDataUrl(await resp.blob())
+}
+
+/**
+ * 图片原始尺寸，识别结果的坐标以此为准
+ */
+const getNaturalSize = (element: OcrTarget) =>
+  element instanceof HTMLCanvasElement
+    ? { width: element.width, height: element.height }
+    : { width: element.naturalWidth, height: element.naturalHeight }
+
+/**
+ * 移除图片上的译文
+ */
+export const removeOcrOverlay = () => {
+  document.querySelectorAll(OVERLAY_TAG).forEach((el) => el.remove())
+}
+
+/**
+ * 把译文覆盖显示在图片上对应段落的位置，点击后移除
+ * 按图片当前的显示尺寸缩放识别结果的坐标，译文较长时向下延伸
+ * @param element - 图片或画布
+ * @param regions - 识别出的段落
+ * @param translations - 与段落一一对应的译文
+ */
+export const showOcrOverlay = (
+  element: OcrTarget,
+  regions: OcrRegion[],
+  translations: string[]
+) => {
+  removeOcrOverlay()
+  const rect = element.getBoundingClientRect()
+  const natural = getNaturalSize(element)
+  if (!natural.width || !natural.height) return
+  const scaleX = rect.width / natural.width
+  const scaleY = rect.height / natural.height
+
+  const overlay = document.createElement(OVERLAY_TAG)
+  overlay.title = "点击移除译文"
+  Object.assign(overlay.style, {
+    position: "absolute",
+    left: `${rect.left + window.scrollX}px`,
+    top: `${rect.top + window.scrollY}px`,
+    width: `${rect.width}px`,
+    height: `${rect.height}px`,
+    zIndex: "2147483646",
+    cursor: "pointer"
+  })
+
+  regions.forEach((region, index) => {
+    const translation = translations[index]
+    if (!translation) return
+    const { x0, y0, x1, y1 } = region.bbox
+    const height = (y1 - y0) * scaleY
+    const label = document.createElement("div")
+    label.textContent = translation
+    Object.assign(label.style, {
+      position: "absolute",
+      left: `${x0 * scaleX}px`,
+      top: `${y0 * scaleY}px`,
+      width: `${(x1 - x0) * scaleX}px`,
+      minHeight: `${height}px`,
+      boxSizing: "border-box",
+      padding: "1px 2px",
+      // 字号接近原文的行高
+      fontSize: `${Math.max(10, Math.min(24, (height / region.lineCount) * 0.7))}px`,
+      lineHeight: "1.25",
+      fontFamily: "Arial, sans-serif",
+      color: "#1f1f1f",
+      background: "rgba(255, 255, 255, 0.92)",
+      boxShadow: "0 0 2px rgba(0, 0, 0, 0.3)",
+      borderRadius: "2px",
+      overflowWrap: "anywhere"
+    })
+    overlay.appendChild(label)
+  })
+
+  overlay.addEventListener("click", (e) => {
+    e.preventDefault()
+    e.stopPropagation()
+    overlay.remove()
+  })
+  document.body.appendChild(overlay)
+}
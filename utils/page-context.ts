@@ -0,0 +1,134 @@
+/**
+ * 划词翻译的上下文
+ * 从选区周围收集页面标题、所在章节的标题层级和所在段落，随原文一起发给模型，
+ * 帮助判断多义词、代词等的含义。发送多少内容由设置中的“上下文”控制
+ */
+
+export const CONTEXT_LEVELS = [
+  { label: "不发送", value: "none" },
+  { label: "页面标题", value: "page" },
+  { label: "标题和章节", value: "headings" },
+  { label: "包含所在段落", value: "paragraph" }
+]
+export const DEFAULT_CONTEXT_LEVEL = "paragraph"
+
+// 所在段落最多发送的字符数，超出时截取选区前后的部分
+const MAX_PARAGRAPH_LENGTH = 800
+// 每个标题最多保留的字符数
+const MAX_HEADING_LENGTH = 80
+
+const HEADING_SELECTOR = "h1, h2, h3, h4, h5, h6"
+// 视为段落的元素，找不到时向上查找文字足够多的元素
+const PARAGRAPH_SELECTOR =
+  "p, li, dd, dt, blockquote, td, th, figcaption, pre, article, section"
+
+const normalizeText = (text = "") => text.replace(/\s+/g, " ").trim()
+
+const truncate = (text: string, length: number) =>
+  text.length > length ? `${text.slice(0, length)}…` : text
+
+/**
+ * 选区之前的各级标题，例如 ["安装", "从源码构建"]
+ * 按文档顺序遍历标题，遇到同级或更高级的标题时替换掉之前的同级标题
+ * @param range - 选区
+ */
+const getHeadingPath = (range: Range) => {
+  const path: { level: number; text: string }[] = []
+
+  for (const heading of Array.from(
+    document.querySelectorAll(HEADING_SELECTOR)
+  )) {
+    // 标题位于选区之后时停止（选区在标题内部时同样视为在标题之后）
+    const position = heading.compareDocumentPosition(range.startContainer)
+    if (!(position & Node.DOCUMENT_POSITION_FOLLOWING)) break
+
+    const text = normalizeText((heading as HTMLElement).innerText)
+    if (!text) continue
+    const level = Number(heading.tagName[1])
+    while (path.length > 0 && path[path.length - 1].level >= level) {
+      path.pop()
+    }
+    path.push({ level, text: truncate(text, MAX_HEADING_LENGTH) })
+  }
+
+  return path.map((item) => item.text)
+}
+
+/**
+ * 选区所在的段落，过长时截取选区前后的部分
+ * @param range - 选区
+ * @param selectedText - 选中的文本
+ */
+const getParagraph = (range: Range, selectedText: string) => {
+  const node = range.commonAncestorContainer
+  const start = node instanceof Element ? node : node.parentElement
+  if (!start) return ""
+
+  // 优先使用最近的段落元素，其次向上找到文字明显多于选区的元素
+  let element = start.closest(PARAGRAPH_SELECTOR) as HTMLElement
+  if (!element) {
+    element = start as HTMLElement
+    while (
+      element.parentElement &&
+      element.parentElement !== document.body &&
+      normalizeText(element.innerText).length < selectedText.length + 40
+    ) {
+      element = element.parentElement
+    }
+  }
+
+  const text = normalizeText(element.innerText)
+  const selected = normalizeText(selectedText)
+  // 选中的就是整个段落时不再重复发送
+  if (!text || text === selected) return ""
+  if (text.length <= MAX_PARAGRAPH_LENGTH) return text
+
+  const index = Math.max(0, text.indexOf(selected))
+  const from = Math.max(
+    0,
+    Math.min(
+      index - Math.floor((MAX_PARAGRAPH_LENGTH - selected.length) / 2),
+      text.length - MAX_PARAGRAPH_LENGTH
+    )
+  )
+  return `${from > 0 ? "…" : ""}${text.slice(
+    from,
+    from + MAX_PARAGRAPH_LENGTH
+  )}${from + MAX_PARAGRAPH_LENGTH < text.length ? "…" : ""}`
+}
+
+/**
+ * 收集原文的上下文，供提示词模板中的 {{context}} 使用
+ * @param options.level - 上下文级别，见 CONTEXT_LEVELS
+ * @param options.range - 选区，输入框等无法获取选区时为空，只发送页面信息
+ * @param options.text - 选中的文本
+ * @returns 上下文文本，不发送时为空字符串
+ */
+export const capturePageContext = ({
+  level = DEFAULT_CONTEXT_LEVEL,
+  range = null,
+  text = ""
+}: {
+  level?: string
+  range?: Range | null
+  text?: string
+} = {}) => {
+  if (level === "none") return ""
+
+  const lines = [`页面标题：${document.title}`, `网站：${location.hostname}`]
+  if (range && level !== "page") {
+    try {
+      const headings = getHeadingPath(range)
+      if (headings.length > 0) lines.push(`所在章节：${headings.join(" > ")}`)
+
+      if (level === "paragraph") {
+        const paragraph = getParagraph(range, text)
+        if (paragraph) lines.push(`所在段落：${paragraph}`)
+      }
+    } catch (err) {
+      // 选区所在的节点已从页面移除
+      console.warn("获取上下文失败:", err)
+    }
+  }
+  return lines.join("\n")
+}
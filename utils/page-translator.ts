@@ -0,0 +1,411 @@
+import { detectLanguage } from "~utils/language"
+
+/**
+ * 全文双语翻译
+ * 把页面拆分成块级段落，进入视口时分批交给background翻译，
+ * 并把译文插入到每个原段落的下方
+ */
+
+// 译文节点的标签名，使用自定义元素避免被页面样式命中
+export const TRANSLATION_TAG = "deepseek-translation"
+// 已处理段落上的标记属性，值为 pending / done / failed
+const TRANSLATED_ATTR = "data-deepseek-translated"
+// 挂在<html>上的显示模式属性
+const MODE_ATTR = "data-deepseek-translate-mode"
+const STYLE_ID = "deepseek-page-translate-style"
+
+// 每批最多包含的段落数和字符数
+const BATCH_SIZE = 8
+const BATCH_CHARS = 2000
+// 同时进行中的批次数量
+const MAX_CONCURRENT = 2
+// 收集可见段落的等待时间，避免滚动时频繁请求
+const FLUSH_DELAY = 300
+// 悬停翻译的段落最多包含的字符数，超出时多半是整个容器而不是段落
+const MAX_PARAGRAPH_CHARS = 5000
+
+/**
+ * 这些元素及其子孙中的文本不参与翻译
+ */
+const SKIP_TAGS = new Set([
+  "SCRIPT",
+  "STYLE",
+  "NOSCRIPT",
+  "TEMPLATE",
+  "PRE",
+  "CODE",
+  "KBD",
+  "SAMP",
+  "TEXTAREA",
+  "INPUT",
+  "SELECT",
+  "OPTION",
+  "BUTTON",
+  "SVG",
+  "MATH",
+  "CANVAS",
+  "IFRAME",
+  "VIDEO",
+  "AUDIO",
+  TRANSLATION_TAG.toUpperCase()
+])
+
+/**
+ * 显示模式：双语 / 仅原文 / 仅译文
+ */
+export const DISPLAY_MODES = [
+  { value: "both", label: "双语" },
+  { value: "original", label: "原文" },
+  { value: "translation", label: "译文" }
+]
+
+const PAGE_STYLE = `
+${TRANSLATION_TAG} {
+  display: block;
+  margin: 0.3em 0 0.6em;
+  opacity: 0.85;
+  white-space: normal;
+}
+html[${MODE_ATTR}="original"] ${TRANSLATION_TAG} {
+  display: none !important;
+}
+html[${MODE_ATTR}="translation"] [${TRANSLATED_ATTR}="done"] {
+  font-size: 0 !important;
+}
+html[${MODE_ATTR}="translation"] [${TRANSLATED_ATTR}="done"] > :not(${TRANSLATION_TAG}) {
+  display: none !important;
+}
+html[${MODE_ATTR}="translation"] ${TRANSLATION_TAG} {
+  margin: 0;
+  opacity: 1;
+}
+`
+
+/**
+ * 判断节点是否位于不需要翻译的区域（代码块、表单控件、可编辑区域、已插入的译文等）
+ */
+const isInSkippedArea = (element) => {
+  for (let el = element; el && el !== document.body; el = el.parentElement) {
+    if (SKIP_TAGS.has(el.tagName.toUpperCase())) return true
+    if (el.isContentEditable) return true
+    if (
+      el.getAttribute("translate") === "no" ||
+      el.classList.contains("notranslate")
+    ) {
+      return true
+    }
+  }
+  return false
+}
+
+/**
+ * 向上查找最近的块级祖先元素
+ */
+const findBlockAncestor = (element, displayCache) => {
+  for (let el = element; el && el !== document.body; el = el.parentElement) {
+    let display = displayCache.get(el)
+    if (display === undefined) {
+      display = getComputedStyle(el).display
+      displayCache.set(el, display)
+    }
+    if (!display.startsWith("inline") && display !== "contents") {
+      return el
+    }
+  }
+  return null
+}
+
+/**
+ * 获取段落中需要翻译的文本，合并多余空白
+ * 已经插入的译文或失败提示不属于原文，在副本中去掉后再取文本
+ */
+export const getBlockText = (block) => {
+  const clone = block.cloneNode(true)
+  clone.querySelectorAll(TRANSLATION_TAG).forEach((node) => node.remove())
+  return clone.textContent.replace(/\s+/g, " ").trim()
+}
+
+/**
+ * 收集页面中可翻译的段落
+ * 只保留最内层的块级元素，避免父子元素重复翻译
+ * @param {string} targetLang - 目标语言，已经是该语言的段落会被跳过
+ * @param {HTMLElement} root - 遍历的根节点
+ * @returns {HTMLElement[]} 按文档顺序排列的段落元素
+ */
+export const collectBlocks = (targetLang, root = document.body) => {
+  const displayCache = new WeakMap()
+  const blocks = new Set<HTMLElement>()
+
+  const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, {
+    acceptNode: (node) => {
+      if (!node.nodeValue.trim()) return NodeFilter.FILTER_REJECT
+      return isInSkippedArea(node.parentElement)
+        ? NodeFilter.FILTER_REJECT
+        : NodeFilter.FILTER_ACCEPT
+    }
+  })
+
+  while (walker.nextNode()) {
+    const block = findBlockAncestor(
+      walker.currentNode.parentElement,
+      displayCache
+    )
+    if (block && !block.hasAttribute(TRANSLATED_ATTR)) {
+      blocks.add(block)
+    }
+  }
+
+  // 记录包含其他段落的外层元素，这些元素不单独翻译
+  const outerBlocks = new Set<HTMLElement>()
+  for (const block of blocks) {
+    for (
+      let el = block.parentElement;
+      el && el !== root;
+      el = el.parentElement
+    ) {
+      if (blocks.has(el)) outerBlocks.add(el)
+    }
+  }
+
+  return [...blocks].filter((block) => {
+    if (outerBlocks.has(block)) return false
+    const text = getBlockText(block)
+    // 过短、不含文字或已经是目标语言的段落不翻译
+    return (
+      text.length > 1 &&
+      /\p{L}/u.test(text) &&
+      detectLanguage(text).lang !== targetLang
+    )
+  })
+}
+
+/**
+ * 查找指定坐标处文字所在的段落，用于悬停翻译
+ * 只认鼠标下方的文字，悬停在空白处、代码块、表单控件或过长的容器上时返回null
+ * @param {number} x - 视口坐标
+ * @param {number} y - 视口坐标
+ */
+export const findParagraphAt = (x: number, y: number): HTMLElement | null => {
+  const node = document.caretRangeFromPoint?.(x, y)?.startContainer
+  if (node?.nodeType !== Node.TEXT_NODE || !node.nodeValue.trim()) return null
+  if (isInSkippedArea(node.parentElement)) return null
+
+  const block = findBlockAncestor(node.parentElement, new WeakMap())
+  if (!block) return null
+  const text = getBlockText(block)
+  return text.length > 1 &&
+    text.length <= MAX_PARAGRAPH_CHARS &&
+    /\p{L}/u.test(text)
+    ? block
+    : null
+}
+
+/**
+ * 把段落按数量和字数切分成批次
+ */
+const splitIntoBatches = (blocks) => {
+  const batches = []
+  let current = []
+  let chars = 0
+
+  for (const block of blocks) {
+    const length = getBlockText(block).length
+    if (
+      current.length > 0 &&
+      (current.length >= BATCH_SIZE || chars + length > BATCH_CHARS)
+    ) {
+      batches.push(current)
+      current = []
+      chars = 0
+    }
+    current.push(block)
+    chars += length
+  }
+  if (current.length > 0) batches.push(current)
+
+  return batches
+}
+
+/**
+ * 在段落末尾插入译文节点，字号沿用原段落以便“仅译文”模式下显示正常
+ * 段落中已有的译文或失败提示（例如重试时）被替换
+ */
+const insertTranslation = (block, translation) => {
+  block.querySelector(`:scope > ${TRANSLATION_TAG}`)?.remove()
+  const node = document.createElement(TRANSLATION_TAG)
+  node.textContent = translation
+  node.style.fontSize = getComputedStyle(block).fontSize
+  block.appendChild(node)
+  block.setAttribute(TRANSLATED_ATTR, "done")
+}
+
+/**
+ * 注入译文节点的样式
+ */
+const injectStyle = () => {
+  if (document.getElementById(STYLE_ID)) return
+  const style = document.createElement("style")
+  style.id = STYLE_ID
+  style.textContent = PAGE_STYLE
+  document.head.appendChild(style)
+}
+
+/**
+ * 在单个段落下方显示译文（悬停翻译），与全文翻译使用相同的样式和标记
+ * @param {HTMLElement} block - 段落元素
+ * @param {string} text - 译文或提示文字
+ * @param {string} status - pending / done / failed，失败的段落可以再次悬停重试
+ */
+export const showBlockTranslation = (
+  block: HTMLElement,
+  text: string,
+  status = "done"
+) => {
+  injectStyle()
+  insertTranslation(block, text)
+  block.setAttribute(TRANSLATED_ATTR, status)
+}
+
+/**
+ * 段落的翻译状态，没有翻译过时为null
+ * @param {HTMLElement} block - 段落元素
+ */
+export const getBlockStatus = (block: HTMLElement) =>
+  block.getAttribute(TRANSLATED_ATTR)
+
+/**
+ * 创建全文翻译器
+ * @param {Object} options
+ * @param {Function} options.translateBatch - 接收段落文本数组，返回等长的译文数组
+ * @param {Function} options.onProgress - 进度变化回调 { total, done, failed }
+ */
+export const createPageTranslator = ({ translateBatch, onProgress }) => {
+  const progress = { total: 0, done: 0, failed: 0 }
+  let queue = []
+  let running = 0
+  let flushTimer = null
+  // 每次恢复页面后递增，用来丢弃过期批次的结果
+  let session = 0
+
+  const reportProgress = () => {
+    if (onProgress) onProgress({ ...progress })
+  }
+
+  /**
+   * 翻译一个批次，失败时标记段落以便之后重试
+   */
+  const runBatch = async (batch) => {
+    const batchSession = session
+    running++
+    try {
+      const results = await translateBatch(batch.map(getBlockText))
+      if (batchSession !== session) return
+      batch.forEach((block, index) => {
+        if (results[index]) {
+          insertTranslation(block, results[index])
+          progress.done++
+        } else {
+          block.setAttribute(TRANSLATED_ATTR, "failed")
+          progress.failed++
+        }
+      })
+    } catch (err) {
+      console.error("全文翻译批次失败:", err)
+      if (batchSession !== session) return
+      batch.forEach((block) => block.setAttribute(TRANSLATED_ATTR, "failed"))
+      progress.failed += batch.length
+    } finally {
+      running--
+      reportProgress()
+      flush()
+    }
+  }
+
+  /**
+   * 在并发上限内把队列中的段落发出去
+   */
+  const flush = () => {
+    while (running < MAX_CONCURRENT && queue.length > 0) {
+      const [batch] = splitIntoBatches(queue)
+      queue = queue.slice(batch.length)
+      runBatch(batch)
+    }
+  }
+
+  const scheduleFlush = () => {
+    clearTimeout(flushTimer)
+    flushTimer = setTimeout(flush, FLUSH_DELAY)
+  }
+
+  // 段落进入视口后才加入翻译队列，节省长页面的请求
+  const observer = new IntersectionObserver(
+    (entries) => {
+      for (const entry of entries) {
+        if (!entry.isIntersecting) continue
+        observer.unobserve(entry.target)
+        queue.push(entry.target)
+      }
+      scheduleFlush()
+    },
+    { rootMargin: "200px 0px" }
+  )
+
+  /**
+   * 开始翻译：注入样式，收集段落并监听其可见性
+   * @param {string} targetLang - 目标语言
+   */
+  const start = (targetLang) => {
+    injectStyle()
+    if (!document.documentElement.hasAttribute(MODE_ATTR)) {
+      setMode("both")
+    }
+
+    const blocks = collectBlocks(targetLang)
+    blocks.forEach((block) => {
+      block.setAttribute(TRANSLATED_ATTR, "pending")
+      observer.observe(block)
+    })
+    progress.total += blocks.length
+    reportProgress()
+  }
+
+  /**
+   * 重新翻译失败的段落
+   */
+  const retryFailed = () => {
+    const failed = document.querySelectorAll(`[${TRANSLATED_ATTR}="failed"]`)
+    progress.failed = 0
+    failed.forEach((block) => {
+      block.setAttribute(TRANSLATED_ATTR, "pending")
+      observer.observe(block)
+    })
+    reportProgress()
+  }
+
+  /**
+   * 切换显示模式
+   * @param {string} mode - both / original / translation
+   */
+  const setMode = (mode) => {
+    document.documentElement.setAttribute(MODE_ATTR, mode)
+  }
+
+  /**
+   * 停止翻译并恢复页面原貌
+   */
+  const restore = () => {
+    session++
+    clearTimeout(flushTimer)
+    observer.disconnect()
+    queue = []
+    document.querySelectorAll(TRANSLATION_TAG).forEach((node) => node.remove())
+    document
+      .querySelectorAll(`[${TRANSLATED_ATTR}]`)
+      .forEach((block) => block.removeAttribute(TRANSLATED_ATTR))
+    document.documentElement.removeAttribute(MODE_ATTR)
+    document.getElementById(STYLE_ID)?.remove()
+    progress.total = progress.done = progress.failed = 0
+  }
+
+  return { start, retryFailed, setMode, restore }
+}
@@ -0,0 +1,71 @@
+import { getDocument, GlobalWorkerOptions, TextLayer } from "pdfjs-dist"
+import type { PDFDocumentProxy, PDFPageProxy } from "pdfjs-dist"
+import type { TextItem } from "pdfjs-dist/types/src/display/api"
+
+import { extractPdfParagraphs } from "~utils/documents"
+
+/**
+ * 在阅读器页面中渲染PDF
+ * pdf.js 的解析程序由manifest的 web_accessible_resources 从依赖中复制到扩展根目录（不对网页开放），在Web Worker中运行
+ */
+
+// 页面的显示比例
+export const PDF_SCALE = 1.3
+
+GlobalWorkerOptions.workerSrc = chrome.runtime.getURL("pdf.worker.min.mjs")
+
+/**
+ * 打开PDF
+ * @param data - 文件内容
+ */
+export const loadPdf = (data: ArrayBuffer) =>
+  getDocument({ data, isEvalSupported: false }).promise
+
+/**
+ * 提取一页中的段落
+ * @param pdf - PDF文档
+ * @param pageNumber - 页码，从1开始
+ */
+export const getPdfPageParagraphs = async (
+  pdf: PDFDocumentProxy,
+  pageNumber: number
+) => {
+  const page = await pdf.getPage(pageNumber)
+  const content = await page.getTextContent()
+  return extractPdfParagraphs(
+    content.items.filter((item): item is TextItem => "str" in item)
+  )
+}
+
+/**
+ * 把一页渲染到画布上，并叠加透明的文字层，使页面中的文字可以选中
+ * @param page - PDF页面
+ * @param canvas - 画布
+ * @param textContainer - 文字层容器
+ */
+export const renderPdfPage = async (
+  page: PDFPageProxy,
+  canvas: HTMLCanvasElement,
+  textContainer: HTMLElement
+) => {
+  const viewport = page.getViewport({ scale: PDF_SCALE })
+  const ratio = window.devicePixelRatio || 1
+  canvas.width = Math.floor(viewport.width * ratio)
+  canvas.height = Math.floor(viewport.height * ratio)
+  canvas.style.width = `${viewport.width}px`
+  canvas.style.height = `${viewport.height}px`
+
+  await page.render({
+    canvasContext: canvas.getContext("2d"),
+    viewport,
+    transform: ratio === 1 ? null : [ratio, 0, 0, ratio, 0, 0]
+  }).promise
+
+  textContainer.replaceChildren()
+  textContainer.style.setProperty("--scale-factor", String(PDF_SCALE))
+  await new TextLayer({
+    textContentSource: page.streamTextContent(),
+    container: textContainer,
+    viewport
+  }).render()
+}
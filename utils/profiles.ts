@@ -0,0 +1,182 @@
+import {
+  DEFAULT_PROVIDER,
+  getProviderDefaults,
+  getProviderSchema
+} from "~utils/providers"
+import { findHostRule } from "~utils/site-rules"
+
+/**
+ * API配置档案
+ * 每个档案是一套完整的服务商配置（服务商、地址、密钥、模型、采样参数），
+ * 同一时间只有一个档案生效，也可以为特定网站指定档案。
+ * 档案保存在 chrome.storage.sync 的 profiles 键下，其余通用设置仍在 data 中
+ */
+
+export const PROFILES_KEY = "profiles"
+
+export const DEFAULT_TEMPERATURE = 0.3
+export const DEFAULT_MAX_TOKENS = 2048
+
+// 模型对比时默认勾选的数量
+export const DEFAULT_COMPARE_COUNT = 3
+
+export interface ApiProfile {
+  id: string
+  name: string
+  provider: string
+  apiUrl?: string
+  apiKey?: string
+  model?: string
+  jsonMode?: boolean
+  authScheme?: string
+  temperature?: number
+  maxTokens?: number
+}
+
+export interface SiteOverride {
+  // 网站域名，"*.example.com" 同时匹配所有子域名
+  host: string
+  profileId: string
+}
+
+export interface ProfileStore {
+  activeId: string
+  items: ApiProfile[]
+  siteOverrides: SiteOverride[]
+}
+
+/**
+ * 模型对比中的一个候选：某个档案使用某个模型
+ */
+export interface CompareCandidate {
+  // 档案ID和模型拼成的唯一键
+  key: string
+  profileId: string
+  model: string
+  label: string
+}
+
+// 属于档案的字段，迁移时从 data 中移出
+export const PROFILE_FIELDS = [
+  "provider",
+  "apiUrl",
+  "apiKey",
+  "model",
+  "jsonMode",
+  "authScheme",
+  "temperature",
+  "maxTokens"
+]
+
+export const createProfileId = () =>
+  `profile-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`
+
+/**
+ * 新建档案，各字段使用服务商的默认值
+ * @param name - 档案名称
+ * @param provider - 服务商ID
+ */
+export const createProfile = (
+  name: string,
+  provider = DEFAULT_PROVIDER
+): ApiProfile => ({
+  id: createProfileId(),
+  name,
+  provider,
+  ...getProviderDefaults(provider),
+  temperature: DEFAULT_TEMPERATURE,
+  maxTokens: DEFAULT_MAX_TOKENS
+})
+
+/**
+ * 获取当前生效的档案：优先使用匹配当前网站的规则，其次是当前选中的档案
+ * @param store - 档案数据
+ * @param hostname - 当前网站域名，在扩展页面中为空
+ */
+export const getActiveProfile = (
+  store: ProfileStore | undefined,
+  hostname = ""
+) => {
+  if (!store?.items?.length) return undefined
+
+  const override = findHostRule(store.siteOverrides, hostname)
+  const find = (id) => store.items.find((item) => item.id === id)
+  return find(override?.profileId) || find(store.activeId) || store.items[0]
+}
+
+/**
+ * 合并通用设置和生效的档案，得到发给background的API配置
+ * 还没有档案（尚未迁移）时直接使用 data 中的旧配置
+ * @param data - 通用设置
+ * @param store - 档案数据
+ * @param hostname - 当前网站域名
+ */
+export const resolveApiConfig = (
+  data,
+  store: ProfileStore | undefined,
+  hostname = ""
+) => {
+  const profile = getActiveProfile(store, hostname)
+  if (!profile) return data
+  return applyProfile(data, profile)
+}
+
+/**
+ * 用档案的服务商配置替换API配置中的对应字段，其余通用设置保持不变
+ * @param apiConfig - API配置或通用设置
+ * @param profile - 档案
+ */
+export const applyProfile = (apiConfig, profile: ApiProfile) => {
+  const { id, name, ...fields } = profile
+  return { ...apiConfig, ...fields, profileId: id, profileName: name }
+}
+
+/**
+ * 列出可以参与模型对比的候选
+ * 服务商提供固定的模型选项时（如DeepSeek-V3和R1），同一档案的每个模型都是一个候选，
+ * 其余档案使用档案中填写的模型
+ * @param store - 档案数据
+ */
+export const getCompareCandidates = (
+  store: ProfileStore | undefined
+): CompareCandidate[] =>
+  (store?.items || []).flatMap((profile) => {
+    const modelField = getProviderSchema(profile.provider).fields.find(
+      (field) => field.name === "model"
+    )
+    const models = modelField?.options?.length
+      ? modelField.options
+      : [{ label: profile.model || "", value: profile.model || "" }]
+    return models.map((option) => ({
+      key: `${profile.id}:${option.value}`,
+      profileId: profile.id,
+      model: option.value,
+      label: option.label ? `${profile.name} · ${option.label}` : profile.name
+    }))
+  })
+
+/**
+ * 把旧版保存在 data 中的服务商配置转换为第一个档案
+ * @param data - 旧版的 data 记录
+ * @returns 档案数据，以及去掉档案字段后的通用设置
+ */
+export const migrateFromData = (data = {}) => {
+  const profile: ApiProfile = {
+    ...createProfile("默认配置", data["provider"] || DEFAULT_PROVIDER)
+  }
+  const rest = {}
+  Object.keys(data).forEach((key) => {
+    if (PROFILE_FIELDS.includes(key)) {
+      if (data[key] !== undefined) profile[key] = data[key]
+    } else {
+      rest[key] = data[key]
+    }
+  })
+
+  const store: ProfileStore = {
+    activeId: profile.id,
+    items: [profile],
+    siteOverrides: []
+  }
+  return { store, data: rest }
+}
@@ -0,0 +1,209 @@
+import type { GlossaryEntry } from "~utils/glossary"
+import { getLanguageName } from "~utils/language"
+
+/**
+ * 提示词模板（翻译风格）
+ * 模板只描述翻译要求，输出格式由程序统一追加，避免模板改坏 {"translation": ...} 的解析。
+ * 用户修改后的模板列表保存在 chrome.storage.local 的 promptTemplates 键下，未保存过时使用内置模板
+ */
+
+export const PROMPT_TEMPLATES_KEY = "promptTemplates"
+export const DEFAULT_TEMPLATE_ID = "default"
+
+export interface PromptTemplate {
+  id: string
+  name: string
+  content: string
+  // 内置模板可以修改但不能删除
+  builtin?: boolean
+}
+
+/**
+ * 模板中可用的占位符
+ */
+export const PLACEHOLDERS = [
+  { name: "sourceLang", description: "原文语言，例如“英文”" },
+  { name: "targetLang", description: "目标语言，例如“中文”" },
+  { name: "glossary", description: "原文中出现的术语及指定译法，没有时为空" },
+  {
+    name: "context",
+    description: "原文的上下文（页面标题、所在章节和段落），没有时为空"
+  }
+]
+
+const TEMPLATE_TAIL = "只返回翻译结果，不需要解释。{{glossary}}{{context}}"
+
+export const BUILTIN_TEMPLATES: PromptTemplate[] = [
+  {
+    id: DEFAULT_TEMPLATE_ID,
+    name: "标准",
+    content: `你是一个专业的翻译助手。请将用户提供的{{sourceLang}}文本翻译成{{targetLang}}，保持文本的原意和语气。如果文本中混有其他语言，也一并翻译成{{targetLang}}。${TEMPLATE_TAIL}`
+  },
+  {
+    id: "formal",
+    name: "正式",
+    content: `你是一个专业的翻译助手。请将用户提供的{{sourceLang}}文本翻译成{{targetLang}}，使用正式、书面的措辞，适合商务和官方场合。如果文本中混有其他语言，也一并翻译成{{targetLang}}。${TEMPLATE_TAIL}`
+  },
+  {
+    id: "casual",
+    name: "口语",
+    content: `你是一个专业的翻译助手。请将用户提供的{{sourceLang}}文本翻译成{{targetLang}}，使用自然、口语化的表达，读起来像母语者的日常交流。如果文本中混有其他语言，也一并翻译成{{targetLang}}。${TEMPLATE_TAIL}`
+  },
+  {
+    id: "technical",
+    name: "技术",
+    content: `你是一个专业的技术文档翻译。请将用户提供的{{sourceLang}}文本翻译成{{targetLang}}，准确使用行业通用的专业术语，代码、命令、变量名、产品名称保持原样不译。${TEMPLATE_TAIL}`
+  },
+  {
+    id: "literal",
+    name: "直译",
+    content: `你是一个专业的翻译助手。请将用户提供的{{sourceLang}}文本逐句直译成{{targetLang}}，尽量保持原文的句子结构和用词，不要意译、润色或增删内容。${TEMPLATE_TAIL}`
+  },
+  {
+    id: "academic",
+    name: "学术",
+    content: `你是一个专业的学术翻译。请将用户提供的{{sourceLang}}文本翻译成{{targetLang}}，使用严谨、客观的学术写作风格，术语准确，逻辑清晰。${TEMPLATE_TAIL}`
+  }
+].map((template) => ({ ...template, builtin: true }))
+
+const JSON_FORMAT_HINT =
+  '请以JSON格式输出，格式为：{"translation": "翻译后的文本"}'
+
+// 保留格式翻译时追加，要求模型原样保留Markdown标记和代码、网址的占位符
+const MARKDOWN_FORMAT_HINT =
+  "原文是Markdown格式，请保留所有Markdown标记（标题、列表、加粗、斜体、链接、引用）和段落结构，形如⟦0⟧的占位符代表代码或网址，必须原样保留在译文中对应的位置。"
+
+const PLACEHOLDER_PATTERN = /\{\{\s*(\w+)\s*\}\}/g
+
+/**
+ * 生成术语要求，只包含原文中出现的术语
+ * @param glossary - 命中的术语
+ */
+export const buildGlossaryHint = (glossary: GlossaryEntry[] = []) => {
+  if (glossary.length === 0) return ""
+  const lines = glossary.map((entry) => `${entry.term} → ${entry.translation}`)
+  return `翻译时必须使用以下术语的指定译法：\n${lines.join("\n")}\n`
+}
+
+/**
+ * 生成上下文说明，要求模型只翻译用户提供的文本，上下文仅用于消除歧义
+ * @param context - 页面标题、所在章节和段落
+ */
+export const buildContextHint = (context = "") =>
+  context
+    ? `以下是原文所在页面的上下文，仅用于理解语境、判断多义词和代词的含义。只翻译用户提供的文本，不要翻译或输出上下文中的其他内容：\n${context}\n`
+    : ""
+
+/**
+ * 检查模板
+ * errors会导致模板无法使用（翻译时退回标准模板），warnings只做提示
+ * @param content - 模板内容
+ */
+export const validateTemplate = (content = "") => {
+  const errors: string[] = []
+  const warnings: string[] = []
+  const known = PLACEHOLDERS.map((item) => item.name)
+
+  if (!content.trim()) {
+    errors.push("模板内容不能为空")
+    return { errors, warnings }
+  }
+
+  const used = Array.from(content.matchAll(PLACEHOLDER_PATTERN), (m) => m[1])
+  const unknown = used.filter((name) => !known.includes(name))
+  if (unknown.length > 0) {
+    errors.push(
+      `未知的占位符：${unknown.map((name) => `{{${name}}}`).join("、")}`
+    )
+  }
+
+  // 去掉合法占位符后仍有花括号，说明占位符没有写完整
+  if (/\{\{|\}\}/.test(content.replace(PLACEHOLDER_PATTERN, ""))) {
+    errors.push("占位符格式不正确，应为 {{名称}}")
+  }
+
+  if (!used.includes("targetLang")) {
+    errors.push("模板中必须包含 {{targetLang}}")
+  }
+  if (!used.includes("glossary")) {
+    warnings.push("没有 {{glossary}}，命中的术语会追加在模板末尾")
+  }
+  if (!used.includes("context")) {
+    warnings.push("没有 {{context}}，原文的上下文会追加在模板末尾")
+  }
+  if (/json|格式输出|输出格式/i.test(content)) {
+    warnings.push("输出格式由程序统一追加，模板中不要再指定输出格式")
+  }
+
+  return { errors, warnings }
+}
+
+/**
+ * 按模板生成系统提示词
+ * 模板没有 {{glossary}} 或 {{context}} 时，术语要求和上下文追加在末尾；保留格式和需要JSON输出时统一追加格式要求
+ * @param content - 模板内容
+ * @param options.sourceLang - 原文语言代码
+ * @param options.targetLang - 目标语言代码
+ * @param options.glossary - 原文中命中的术语
+ * @param options.context - 原文的上下文
+ * @param options.json - 是否要求以JSON格式输出
+ * @param options.markdown - 原文是否为保留格式的Markdown
+ */
+export const renderTemplate = (
+  content: string,
+  {
+    sourceLang,
+    targetLang,
+    glossary = [],
+    context = "",
+    json = true,
+    markdown = false
+  }: {
+    sourceLang: string
+    targetLang: string
+    glossary?: GlossaryEntry[]
+    context?: string
+    json?: boolean
+    markdown?: boolean
+  }
+) => {
+  const values = {
+    sourceLang: getLanguageName(sourceLang),
+    targetLang: getLanguageName(targetLang),
+    glossary: buildGlossaryHint(glossary),
+    context: buildContextHint(context)
+  }
+
+  let prompt = content.replace(PLACEHOLDER_PATTERN, (_, name) => values[name])
+  if (!/\{\{\s*glossary\s*\}\}/.test(content)) {
+    prompt += values.glossary
+  }
+  if (!/\{\{\s*context\s*\}\}/.test(content)) {
+    prompt += values.context
+  }
+  if (markdown) prompt += MARKDOWN_FORMAT_HINT
+  return json ? prompt + JSON_FORMAT_HINT : prompt
+}
+
+/**
+ * 从模板列表中查找模板，找不到或模板有错误时退回标准模板
+ * @param templates - 用户保存的模板列表，为空时使用内置模板
+ * @param id - 模板ID
+ */
+export const resolveTemplate = (
+  templates: PromptTemplate[] | undefined,
+  id?: string
+) => {
+  const list = templates?.length ? templates : BUILTIN_TEMPLATES
+  const isValid = (template?: PromptTemplate) =>
+    !!template && validateTemplate(template.content).errors.length === 0
+
+  const template = list.find((item) => item.id === id)
+  if (isValid(template)) return template
+  if (template) {
+    console.warn(`提示词模板「${template.name}」有错误，改用标准模板`)
+  }
+
+  const fallback = list.find((item) => item.id === DEFAULT_TEMPLATE_ID)
+  return isValid(fallback) ? fallback : BUILTIN_TEMPLATES[0]
+}
@@ -0,0 +1,205 @@
+/**
+ * 翻译服务商的配置描述
+ * 只包含表单字段和默认值，设置页和内容脚本都可以引用；
+ * 真正发请求的适配器在 background/providers 中
+ */
+
+export const DEFAULT_PROVIDER = "deepseek"
+
+// 所有服务商通用的请求设置：超时时间（秒）和失败后的自动重试次数
+export const DEFAULT_REQUEST_TIMEOUT = 30
+export const DEFAULT_MAX_RETRIES = 2
+
+/**
+ * 表单字段描述
+ * type: input / password / radio / switch
+ */
+export interface ProviderField {
+  name: string
+  label: string
+  type: "input" | "password" | "radio" | "switch"
+  required?: boolean
+  placeholder?: string
+  initialValue?: any
+  options?: { label: string; value: string }[]
+  description?: string
+}
+
+export interface ProviderSchema {
+  id: string
+  label: string
+  // llm：按提示词翻译，支持术语和翻译风格；mt：机器翻译接口
+  kind: "llm" | "mt"
+  description?: string
+  fields: ProviderField[]
+}
+
+export const PROVIDER_SCHEMAS: ProviderSchema[] = [
+  {
+    id: "deepseek",
+    kind: "llm",
+    label: "DeepSeek",
+    fields: [
+      {
+        name: "apiUrl",
+        label: "API地址",
+        type: "input",
+        required: true,
+        initialValue: "https://api.deepseek.com/v1/chat/completions",
+        placeholder: "请输入DeepSeek API地址"
+      },
+      {
+        name: "apiKey",
+        label: "API密钥",
+        type: "password",
+        required: true,
+        placeholder: "请输入DeepSeek API密钥"
+      },
+      {
+        name: "model",
+        label: "模型",
+        type: "radio",
+        required: true,
+        initialValue: "deepseek-chat",
+        options: [
+          { label: "DeepSeek-V3", value: "deepseek-chat" },
+          { label: "DeepSeek-R1", value: "deepseek-reasoner" }
+        ]
+      }
+    ]
+  },
+  {
+    id: "openai",
+    kind: "llm",
+    label: "OpenAI兼容接口",
+    description: "适用于OpenAI、各类中转服务以及vLLM等自建服务",
+    fields: [
+      {
+        name: "apiUrl",
+        label: "API地址",
+        type: "input",
+        required: true,
+        initialValue: "https://api.openai.com/v1/chat/completions",
+        placeholder: "完整的 /chat/completions 地址"
+      },
+      {
+        name: "apiKey",
+        label: "API密钥",
+        type: "password",
+        placeholder: "自建服务不需要可留空"
+      },
+      {
+        name: "model",
+        label: "模型",
+        type: "input",
+        required: true,
+        initialValue: "gpt-4o-mini",
+        placeholder: "请输入模型名称"
+      },
+      {
+        name: "jsonMode",
+        label: "JSON模式",
+        type: "switch",
+        initialValue: true,
+        description: "服务不支持response_format时请关闭"
+      }
+    ]
+  },
+  {
+    id: "ollama",
+    kind: "llm",
+    label: "Ollama本地模型",
+    description: "需要以 OLLAMA_ORIGINS=chrome-extension://* 启动Ollama",
+    fields: [
+      {
+        name: "apiUrl",
+        label: "服务地址",
+        type: "input",
+        required: true,
+        initialValue: "http://localhost:11434/api/chat",
+        placeholder: "Ollama的 /api/chat 地址"
+      },
+      {
+        name: "model",
+        label: "模型",
+        type: "input",
+        required: true,
+        initialValue: "qwen2.5:7b",
+        placeholder: "例如 qwen2.5:7b"
+      }
+    ]
+  },
+  {
+    id: "deepl",
+    kind: "mt",
+    label: "DeepL风格翻译API",
+    description: "非大模型的翻译接口，请求体为 { text: [], target_lang }",
+    fields: [
+      {
+        name: "apiUrl",
+        label: "API地址",
+        type: "input",
+        required: true,
+        initialValue: "https://api-free.deepl.com/v2/translate",
+        placeholder: "请输入翻译接口地址"
+      },
+      {
+        name: "apiKey",
+        label: "API密钥",
+        type: "password",
+        required: true,
+        placeholder: "请输入API密钥"
+      },
+      {
+        name: "authScheme",
+        label: "认证前缀",
+        type: "input",
+        initialValue: "DeepL-Auth-Key",
+        placeholder: "Authorization头中密钥前的前缀"
+      }
+    ]
+  }
+]
+
+/**
+ * 获取服务商配置描述，未知的服务商回退到DeepSeek
+ * @param id - 服务商ID
+ */
+export const getProviderSchema = (id) =>
+  PROVIDER_SCHEMAS.find((item) => item.id === id) ||
+  PROVIDER_SCHEMAS.find((item) => item.id === DEFAULT_PROVIDER)
+
+/**
+ * 获取服务商各字段的默认值
+ * @param id - 服务商ID
+ */
+export const getProviderDefaults = (id) => {
+  const defaults = {}
+  getProviderSchema(id).fields.forEach((field) => {
+    if (field.initialValue !== undefined) {
+      defaults[field.name] = field.initialValue
+    }
+  })
+  return defaults
+}
+
+/**
+ * 检查配置是否填写了当前服务商的全部必填项
+ * @param apiConfig - 用户的API配置
+ * @returns 缺少的字段说明，配置完整时返回null
+ */
+export const getMissingField = (apiConfig) => {
+  if (!apiConfig) return "API配置"
+
+  const schema = getProviderSchema(apiConfig.provider)
+  const missing = schema.fields.find(
+    (field) => field.required && !apiConfig[field.name]
+  )
+  return missing ? missing.label : null
+}
+
+/**
+ * 服务商是否按提示词翻译，机器翻译接口不支持翻译风格
+ * @param id - 服务商ID
+ */
+export const supportsPrompt = (id) => getProviderSchema(id).kind === "llm"
@@ -0,0 +1,290 @@
+/**
+ * 保留格式的划词翻译
+ * 把选区序列化为轻量的Markdown（标题、列表、加粗、斜体、链接、引用、代码），
+ * 代码和网址替换成 ⟦0⟧ 形式的占位符，不交给模型翻译，拿到译文后再还原；
+ * 结果弹窗再把Markdown渲染为HTML显示，也可以复制为Markdown或HTML
+ */
+
+export interface RichSelection {
+  // 带占位符的Markdown，发送给翻译服务
+  text: string
+  // 占位符对应的原始内容，下标即占位符编号
+  tokens: string[]
+}
+
+// 选区中包含这些元素时按保留格式翻译
+const RICH_SELECTOR =
+  "a[href], code, pre, strong, b, em, i, ul, ol, h1, h2, h3, h4, h5, h6, blockquote"
+const SKIP_TAGS = new Set(["SCRIPT", "STYLE", "NOSCRIPT", "TEMPLATE", "SVG"])
+const BLOCK_TAGS = new Set([
+  "P",
+  "DIV",
+  "SECTION",
+  "ARTICLE",
+  "HEADER",
+  "FOOTER",
+  "TABLE",
+  "TR",
+  "DL",
+  "DT",
+  "DD",
+  "FIGURE",
+  "FIGCAPTION"
+])
+
+const PLACEHOLDER_PATTERN = /⟦\s*(\d+)\s*⟧/g
+// 序列化时嵌套列表的缩进标记，整理空白之后再换成两个空格
+const INDENT_MARK = "\u0001"
+const URL_PATTERN = /https?:\/\/[^\s<>"'）)\]]+/g
+// 只渲染这些协议的链接，避免 javascript: 之类的地址
+const SAFE_URL_PATTERN = /^(https?:|mailto:)/i
+
+/**
+ * 选区是否包含需要保留的格式
+ * @param range - 选区
+ */
+export const hasRichFormatting = (range: Range) =>
+  !!range.cloneContents().querySelector(RICH_SELECTOR)
+
+/**
+ * 把节点序列化为带占位符的Markdown
+ */
+const createSerializer = () => {
+  const tokens: string[] = []
+  const protect = (value: string) => `⟦${tokens.push(value) - 1}⟧`
+
+  const serializeChildren = (node: Node): string =>
+    Array.from(node.childNodes).map(serializeNode).join("")
+
+  // 行内格式的标记放在元素内容的首尾空白之内，例如 "<b>bold </b>" 转为 "**bold** "
+  const wrapInline = (node: Node, wrap: (inner: string) => string) => {
+    const raw = serializeChildren(node)
+    const inner = raw.trim()
+    if (!inner) return raw
+    return `${raw.match(/^\s*/)[0]}${wrap(inner)}${raw.match(/\s*$/)[0]}`
+  }
+
+  const serializeList = (list: Element) => {
+    const ordered = list.tagName === "OL"
+    const items = Array.from(list.children).filter((el) => el.tagName === "LI")
+    const lines = items.map((item, index) => {
+      const marker = ordered ? `${index + 1}.` : "-"
+      // 嵌套列表缩进两个空格
+      const content = serializeChildren(item)
+        .trim()
+        .replace(/\n\s*\n/g, "\n")
+        .replace(/\n/g, `\n${INDENT_MARK}`)
+      return `${marker} ${content}`
+    })
+    return `\n\n${lines.join("\n")}\n\n`
+  }
+
+  const serializeNode = (node: Node): string => {
+    if (node.nodeType === Node.TEXT_NODE) {
+      return node.textContent.replace(/\s+/g, " ").replace(URL_PATTERN, protect)
+    }
+    if (!(node instanceof Element)) return serializeChildren(node)
+
+    const tag = node.tagName.toUpperCase()
+    if (SKIP_TAGS.has(tag)) return ""
+
+    switch (tag) {
+      case "BR":
+        return "\n"
+      case "STRONG":
+      case "B":
+        return wrapInline(node, (inner) => `**${inner}**`)
+      case "EM":
+      case "I":
+        return wrapInline(node, (inner) => `*${inner}*`)
+      case "CODE":
+        return protect(`\`${node.textContent}\``)
+      case "PRE":
+        return `\n\n${protect(
+          `\`\`\`\n${node.textContent.replace(/\n$/, "")}\n\`\`\``
+        )}\n\n`
+      case "A": {
+        const href = (node as HTMLAnchorElement).href
+        return SAFE_URL_PATTERN.test(href)
+          ? wrapInline(node, (inner) => `[${inner}](${protect(href)})`)
+          : serializeChildren(node)
+      }
+      case "UL":
+      case "OL":
+        return serializeList(node)
+      case "LI":
+        // 选区跨越多个列表项时，复制出的列表项没有外层列表
+        return `\n- ${serializeChildren(node).trim()}\n`
+      case "BLOCKQUOTE":
+        return `\n\n${serializeChildren(node)
+          .trim()
+          .split("\n")
+          .map((line) => `> ${line}`)
+          .join("\n")}\n\n`
+      default:
+        if (/^H[1-6]$/.test(tag)) {
+          return `\n\n${"#".repeat(Number(tag[1]))} ${serializeChildren(
+            node
+          ).trim()}\n\n`
+        }
+        if (BLOCK_TAGS.has(tag)) {
+          return `\n\n${serializeChildren(node)}\n\n`
+        }
+        return serializeChildren(node)
+    }
+  }
+
+  return { tokens, serializeNode }
+}
+
+/**
+ * 把选区序列化为带占位符的Markdown
+ * @param range - 选区
+ */
+export const serializeRange = (range: Range): RichSelection => {
+  const { tokens, serializeNode } = createSerializer()
+  const text = serializeNode(range.cloneContents())
+    .split("\n")
+    // 网页中的换行和缩进都是多余的空白，只保留嵌套列表的缩进
+    .map((line) =>
+      line
+        .replace(/\s+/g, " ")
+        .trim()
+        .replace(/^(\u0001*)\s*/, (_, marks) => "  ".repeat(marks.length))
+    )
+    .join("\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim()
+  return { text, tokens }
+}
+
+/**
+ * 把译文中的占位符还原为代码和网址
+ * 模型漏掉或改写的占位符保持原样
+ * @param text - 译文
+ * @param tokens - 占位符对应的原始内容
+ */
+export const restorePlaceholders = (text: string, tokens: string[]) =>
+  text.replace(PLACEHOLDER_PATTERN, (match, index) => tokens[index] ?? match)
+
+const escapeHtml = (text: string) =>
+  text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+
+/**
+ * 渲染行内格式：代码、链接、加粗和斜体
+ */
+const renderInline = (text: string) =>
+  // 代码中的内容不再处理其他格式
+  text
+    .split(/(`[^`]+`)/)
+    .map((part, index) => {
+      if (index % 2 === 1)
+        return `<code>${escapeHtml(part.slice(1, -1))}</code>`
+      return escapeHtml(part)
+        .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (match, label, href) =>
+          SAFE_URL_PATTERN.test(href)
+            ? `<a href="${href}" target="_blank" rel="noopener noreferrer">${label}</a>`
+            : label
+        )
+        .replace(/\*\*([^*]+)\*\*/g, "<strong>$1</strong>")
+        .replace(/\*([^*]+)\*/g, "<em>$1</em>")
+    })
+    .join("")
+
+/**
+ * 把Markdown渲染为HTML
+ * 只支持 serializeRange 生成的格式，所有文本都会转义
+ * @param markdown - Markdown文本
+ */
+export const markdownToHtml = (markdown = "") => {
+  const html: string[] = []
+  const lines = markdown.split("\n")
+  let paragraph: string[] = []
+  // 当前打开的列表，按缩进层级排列
+  const lists: { tag: string; indent: number }[] = []
+
+  const closeParagraph = () => {
+    if (paragraph.length === 0) return
+    html.push(`<p>${paragraph.map(renderInline).join("<br>")}</p>`)
+    paragraph = []
+  }
+  const closeLists = (indent = -1) => {
+    while (lists.length > 0 && lists[lists.length - 1].indent > indent) {
+      html.push(`</li></${lists.pop().tag}>`)
+    }
+  }
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i]
+
+    if (line.startsWith("```")) {
+      closeParagraph()
+      closeLists()
+      const code: string[] = []
+      while (++i < lines.length && !lines[i].startsWith("```")) {
+        code.push(lines[i])
+      }
+      html.push(`<pre><code>${escapeHtml(code.join("\n"))}</code></pre>`)
+      continue
+    }
+
+    const heading = line.match(/^(#{1,6})\s+(.*)$/)
+    const item = line.match(/^(\s*)([-*]|\d+\.)\s+(.*)$/)
+    const quote = line.match(/^>\s?(.*)$/)
+
+    if (heading) {
+      closeParagraph()
+      closeLists()
+      const level = heading[1].length
+      html.push(`<h${level}>${renderInline(heading[2])}</h${level}>`)
+    } else if (item) {
+      closeParagraph()
+      const indent = item[1].length
+      const tag = /\d/.test(item[2]) ? "ol" : "ul"
+      const current = lists[lists.length - 1]
+      closeLists(indent)
+      if (!current || indent > current.indent || lists.length === 0) {
+        html.push(`<${tag}><li>`)
+        lists.push({ tag, indent })
+      } else {
+        html.push("</li><li>")
+      }
+      html.push(renderInline(item[3]))
+    } else if (quote) {
+      closeParagraph()
+      closeLists()
+      html.push(`<blockquote>${renderInline(quote[1])}</blockquote>`)
+    } else if (!line.trim()) {
+      closeParagraph()
+      closeLists()
+    } else if (lists.length > 0 && /^\s/.test(line)) {
+      // 列表项的续行
+      html.push(`<br>${renderInline(line.trim())}`)
+    } else {
+      closeLists()
+      paragraph.push(line)
+    }
+  }
+  closeParagraph()
+  closeLists()
+  return html.join("")
+}
+
+/**
+ * 去掉Markdown标记，得到用于朗读等场景的纯文本
+ * @param markdown - Markdown文本
+ */
+export const markdownToText = (markdown = "") =>
+  markdown
+    .replace(/^```.*$/gm, "")
+    .replace(/^\s*(#{1,6}|>|[-*]|\d+\.)\s+/gm, "")
+    .replace(/\[([^\]]+)\]\([^)\s]+\)/g, "$1")
+    .replace(/\*\*([^*]+)\*\*/g, "$1")
+    .replace(/\*([^*]+)\*/g, "$1")
+    .replace(/`([^`]+)`/g, "$1")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim()
@@ -0,0 +1,149 @@
+/**
+ * 网站规则
+ * 按域名决定是否启用翻译、是否自动全文翻译；按网站指定API配置见 utils/profiles。
+ * 规则保存在 chrome.storage.sync 的 siteRules 键下，内容脚本在添加事件监听前先检查规则
+ */
+
+export const SITE_RULES_KEY = "siteRules"
+
+export const SITE_MODES = [
+  { label: "默认启用", value: "blocklist" },
+  { label: "仅在指定网站启用", value: "allowlist" }
+]
+export const DEFAULT_SITE_MODE = "blocklist"
+
+export interface SiteRule {
+  // 网站域名，"*.example.com" 同时匹配 example.com 及其所有子域名
+  host: string
+  enabled: boolean
+  // 自动全文翻译的目标语言，为空时不自动翻译
+  autoTranslate?: string
+}
+
+export interface SiteRuleStore {
+  // blocklist：未配置规则的网站启用；allowlist：未配置规则的网站禁用
+  mode: string
+  rules: SiteRule[]
+}
+
+export const EMPTY_SITE_RULES: SiteRuleStore = {
+  mode: DEFAULT_SITE_MODE,
+  rules: []
+}
+
+/**
+ * 整理用户输入的域名规则：转为小写，去掉协议、端口和路径
+ * @param pattern - 例如 "https://GitHub.com/xxx" 或 "*.example.com"
+ */
+export const normalizeHostPattern = (pattern = "") =>
+  pattern
+    .trim()
+    .toLowerCase()
+    .replace(/^[a-z-]+:\/\//, "")
+    .replace(/[:/?#].*$/, "")
+
+/**
+ * 判断域名规则是否匹配当前域名
+ */
+export const matchHost = (pattern: string, hostname: string) => {
+  const host = normalizeHostPattern(pattern)
+  if (host.startsWith("*.")) {
+    const domain = host.slice(2)
+    return hostname === domain || hostname.endsWith(`.${domain}`)
+  }
+  return hostname === host
+}
+
+/**
+ * 规则的精确程度：精确域名优先于通配符，通配符中范围越小越优先
+ */
+const getSpecificity = (pattern: string) =>
+  pattern.startsWith("*.") ? pattern.length : Number.MAX_SAFE_INTEGER
+
+/**
+ * 找到匹配当前域名的规则，多条匹配时取最精确的一条
+ * @param rules - 带有host字段的规则列表
+ * @param hostname - 当前网站域名，在扩展页面中为空
+ */
+export const findHostRule = <T extends { host: string }>(
+  rules: T[] = [],
+  hostname = ""
+): T | undefined => {
+  if (!hostname) return undefined
+  return rules
+    .filter((rule) => matchHost(rule.host, hostname))
+    .sort((a, b) => getSpecificity(b.host) - getSpecificity(a.host))[0]
+}
+
+/**
+ * 当前网站适用的规则
+ * @param store - 网站规则
+ * @param hostname - 当前网站域名
+ * @returns enabled 是否启用翻译，autoTranslate 自动全文翻译的目标语言
+ */
+export const getSitePolicy = (
+  store: SiteRuleStore | undefined,
+  hostname = ""
+) => {
+  const rule = findHostRule(store?.rules, hostname)
+  const enabled = rule ? rule.enabled : store?.mode !== "allowlist"
+  return {
+    rule,
+    enabled,
+    autoTranslate: (enabled && rule?.autoTranslate) || null
+  }
+}
+
+/**
+ * 把网站规则合并到API配置中：规则禁用时把enabled置为false
+ * 扩展页面（hostname为空）不受网站规则影响
+ * @param config - 合并档案后的配置
+ * @param store - 网站规则
+ * @param hostname - 当前网站域名
+ */
+export const applySitePolicy = (
+  config,
+  store: SiteRuleStore | undefined,
+  hostname = ""
+) => {
+  if (!hostname) return config
+
+  const policy = getSitePolicy(store, hostname)
+  return {
+    ...config,
+    enabled: config.enabled !== false && policy.enabled,
+    autoTranslate: policy.autoTranslate
+  }
+}
+
+/**
+ * 新增或更新一条规则，相同域名的规则只保留一条
+ * @param store - 网站规则
+ * @param rule - 新的规则
+ */
+export const upsertSiteRule = (
+  store: SiteRuleStore,
+  rule: SiteRule
+): SiteRuleStore => {
+  const host = normalizeHostPattern(rule.host)
+  const exists = store.rules.some((item) => item.host === host)
+  return {
+    ...store,
+    rules: exists
+      ? store.rules.map((item) =>
+          item.host === host ? { ...rule, host } : item
+        )
+      : [...store.rules, { ...rule, host }]
+  }
+}
+
+/**
+ * 删除指定域名的规则
+ */
+export const removeSiteRule = (
+  store: SiteRuleStore,
+  host: string
+): SiteRuleStore => ({
+  ...store,
+  rules: store.rules.filter((item) => item.host !== host)
+})
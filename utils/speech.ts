@@ -0,0 +1,97 @@
+/**
+ * 朗读（Web Speech API）
+ * 按句切分文本逐句朗读，便于高亮正在朗读的句子；
+ * 语音按文本语言自动选择，也可以在设置中指定偏好的语音
+ */
+
+export const DEFAULT_SPEECH_RATE = 1
+
+export interface Sentence {
+  text: string
+  // 在原文中的起止位置，用于高亮
+  start: number
+  end: number
+}
+
+// 句子以句末标点或换行结束，标点后紧跟的引号和括号属于同一句
+const SENTENCE_PATTERN =
+  /[^.!?;。！？；\n]*(?:[.!?;。！？；]+["'”’)）\]]*|\n+|$)/g
+
+// 等待浏览器加载语音列表的最长时间（毫秒）
+const VOICES_TIMEOUT = 1000
+
+export const isSpeechSupported = () =>
+  typeof window !== "undefined" && "speechSynthesis" in window
+
+/**
+ * 把文本切分为句子，忽略空白片段
+ * @param text - 待朗读的文本
+ */
+export const splitSentences = (text = ""): Sentence[] => {
+  const sentences: Sentence[] = []
+  for (const match of text.matchAll(SENTENCE_PATTERN)) {
+    const content = match[0]
+    const offset = content.length - content.trimStart().length
+    const trimmed = content.trim()
+    if (!trimmed) continue
+    const start = match.index + offset
+    sentences.push({ text: trimmed, start, end: start + trimmed.length })
+  }
+  return sentences
+}
+
+/**
+ * 获取可用的语音列表
+ * Chrome首次调用getVoices时可能返回空数组，需要等待voiceschanged事件
+ */
+export const loadVoices = (): Promise<SpeechSynthesisVoice[]> => {
+  if (!isSpeechSupported()) return Promise.resolve([])
+  const voices = speechSynthesis.getVoices()
+  if (voices.length > 0) return Promise.resolve(voices)
+
+  return new Promise((resolve) => {
+    const done = () => {
+      clearTimeout(timer)
+      speechSynthesis.removeEventListener("voiceschanged", done)
+      resolve(speechSynthesis.getVoices())
+    }
+    const timer = setTimeout(done, VOICES_TIMEOUT)
+    speechSynthesis.addEventListener("voiceschanged", done)
+  })
+}
+
+/**
+ * 语音的语言代码，例如 "zh-CN" 和 "zh_CN" 都取 "zh"
+ */
+export const getVoiceLanguage = (voice: SpeechSynthesisVoice) =>
+  voice.lang.toLowerCase().split(/[-_]/)[0]
+
+/**
+ * 为指定语言选择语音
+ * 优先使用设置中指定的语音，其次是与浏览器界面语言地区一致的语音、系统默认语音，
+ * 最后是任意一个该语言的语音
+ * @param voices - 可用的语音
+ * @param lang - 文本的语言代码
+ * @param preferred - 设置中指定的语音（voiceURI列表）
+ * @returns 没有该语言的语音时返回undefined，由浏览器自行选择
+ */
+export const pickVoice = (
+  voices: SpeechSynthesisVoice[],
+  lang: string,
+  preferred: string[] = []
+) => {
+  const candidates = voices.filter((voice) => getVoiceLanguage(voice) === lang)
+  if (candidates.length === 0) return undefined
+
+  const chosen = preferred
+    .map((uri) => candidates.find((voice) => voice.voiceURI === uri))
+    .find(Boolean)
+  if (chosen) return chosen
+
+  const locale = navigator.language.toLowerCase().replace("_", "-")
+  return (
+    candidates.find((voice) => voice.lang.toLowerCase() === locale) ||
+    candidates.find((voice) => voice.default) ||
+    candidates[0]
+  )
+}
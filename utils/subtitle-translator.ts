@@ -0,0 +1,368 @@
+/**
+ * 视频字幕翻译
+ * 读取 <video> 当前显示的字幕轨道（<track> 引入的WebVTT或脚本添加的字幕），
+ * 在播放位置之前分批翻译即将出现的字幕，并在视频上方的浮层中按 cuechange 同步显示双语字幕
+ */
+
+// 字幕浮层的标签名，插入到视频元素之后，与视频共享定位容器
+const OVERLAY_TAG = "deepseek-subtitles"
+const STYLE_ID = "deepseek-subtitle-style"
+
+// 提前翻译多长时间内的字幕（秒）
+const LOOKAHEAD_SECONDS = 60
+// 每批最多包含的字幕条数和字符数
+const BATCH_SIZE = 20
+const BATCH_CHARS = 1500
+// 同时进行中的批次数量
+const MAX_CONCURRENT = 2
+// 翻译失败的字幕过多久后重试（毫秒）
+const RETRY_DELAY = 10000
+
+const SUBTITLE_STYLE = `
+${OVERLAY_TAG} {
+  position: absolute;
+  display: block;
+  pointer-events: none;
+  z-index: 2147483646;
+  font-family: Arial, sans-serif;
+}
+${OVERLAY_TAG} .deepseek-subtitle-lines {
+  position: absolute;
+  left: 5%;
+  right: 5%;
+  bottom: 8%;
+  text-align: center;
+  line-height: 1.4;
+}
+${OVERLAY_TAG} .deepseek-subtitle-lines span {
+  padding: 0.1em 0.3em;
+  color: #fff;
+  background: rgba(0, 0, 0, 0.75);
+  -webkit-box-decoration-break: clone;
+  box-decoration-break: clone;
+}
+${OVERLAY_TAG} .deepseek-subtitle-translation span {
+  color: #ffe58f;
+}
+${OVERLAY_TAG}[data-mode="original"] .deepseek-subtitle-translation,
+${OVERLAY_TAG}[data-mode="translation"] .deepseek-subtitle-original {
+  display: none;
+}
+${OVERLAY_TAG} .deepseek-subtitle-controls {
+  position: absolute;
+  top: 8px;
+  right: 8px;
+  display: flex;
+  gap: 4px;
+  font-size: 12px;
+  pointer-events: auto;
+  opacity: 0;
+  transition: opacity 0.2s;
+}
+video:hover + ${OVERLAY_TAG} .deepseek-subtitle-controls,
+${OVERLAY_TAG}[data-paused] .deepseek-subtitle-controls,
+${OVERLAY_TAG} .deepseek-subtitle-controls:hover {
+  opacity: 1;
+}
+${OVERLAY_TAG} .deepseek-subtitle-controls span {
+  padding: 2px 6px;
+  border-radius: 3px;
+  cursor: pointer;
+  color: #fff;
+  background: rgba(0, 0, 0, 0.6);
+}
+${OVERLAY_TAG} .deepseek-subtitle-controls span[data-active] {
+  background: #4285f4;
+}
+`
+
+// 浮层上的切换按钮，最后一项关闭字幕翻译
+const CONTROLS = [
+  { value: "both", label: "双语" },
+  { value: "original", label: "原文" },
+  { value: "translation", label: "译文" },
+  { value: "off", label: "关闭翻译" }
+]
+
+/**
+ * 视频当前显示的字幕轨道，用户没有打开字幕时为null
+ * @param video - 视频元素
+ */
+export const findShowingTrack = (video: HTMLVideoElement) =>
+  Array.from(video.textTracks).find(
+    (track) =>
+      track.mode === "showing" &&
+      (track.kind === "subtitles" || track.kind === "captions")
+  ) || null
+
+/**
+ * 字幕的纯文本
+ * 去掉 <v 说话人>、<i> 等WebVTT标签，字幕内的换行只是排版，合并为空格
+ * @param cue - 字幕
+ */
+export const getCueText = (cue: TextTrackCue) =>
+  ((cue as VTTCue).getCueAsHTML?.().textContent || "")
+    .replace(/\s+/g, " ")
+    .trim()
+
+/**
+ * 注入字幕浮层的样式
+ */
+const injectStyle = () => {
+  if (document.getElementById(STYLE_ID)) return
+  const style = document.createElement("style")
+  style.id = STYLE_ID
+  style.textContent = SUBTITLE_STYLE
+  document.head.appendChild(style)
+}
+
+/**
+ * 把若干行文字渲染到容器中，每行一个带背景的 <span>
+ */
+const renderLines = (container: HTMLElement, lines: string[]) => {
+  container.replaceChildren(
+    ...lines.map((line) => {
+      const row = document.createElement("div")
+      const span = document.createElement("span")
+      span.textContent = line
+      row.appendChild(span)
+      return row
+    })
+  )
+}
+
+/**
+ * 创建单个视频的字幕翻译器
+ * 翻译期间把原字幕轨道设为 hidden：浏览器不再绘制原字幕，但仍然加载字幕并触发 cuechange
+ * @param {Object} options
+ * @param options.video - 视频元素
+ * @param options.track - 要翻译的字幕轨道
+ * @param options.mode - 初始显示模式 both / original / translation
+ * @param options.translateBatch - 接收字幕文本数组，返回等长的译文数组
+ * @param options.onModeChange - 在浮层上切换显示模式后的回调
+ * @param options.onStop - 在浮层上关闭字幕翻译后的回调
+ */
+export const createSubtitleTranslator = ({
+  video,
+  track,
+  mode = "both",
+  translateBatch,
+  onModeChange,
+  onStop
+}: {
+  video: HTMLVideoElement
+  track: TextTrack
+  mode?: string
+  translateBatch: (texts: string[]) => Promise<string[]>
+  onModeChange?: (mode: string) => void
+  onStop?: () => void
+}) => {
+  // 按字幕文本保存译文，重复出现的字幕只翻译一次
+  const translations = new Map<string, string>()
+  const pending = new Set<string>()
+  // 翻译失败的字幕及失败时间
+  const failed = new Map<string, number>()
+  let running = 0
+  let stopped = false
+
+  injectStyle()
+  const overlay = document.createElement(OVERLAY_TAG)
+  const lines = document.createElement("div")
+  lines.className = "deepseek-subtitle-lines"
+  const original = document.createElement("div")
+  original.className = "deepseek-subtitle-original"
+  const translation = document.createElement("div")
+  translation.className = "deepseek-subtitle-translation"
+  lines.append(original, translation)
+  const controls = document.createElement("div")
+  controls.className = "deepseek-subtitle-controls"
+  overlay.append(lines, controls)
+  video.after(overlay)
+
+  /**
+   * 显示当前正在播放的字幕，译文还没有返回时只显示原文
+   */
+  const render = () => {
+    const texts = Array.from(track.activeCues || [])
+      .map(getCueText)
+      .filter(Boolean)
+    renderLines(original, texts)
+    renderLines(
+      translation,
+      texts.map((text) => translations.get(text)).filter(Boolean)
+    )
+  }
+
+  /**
+   * 让浮层与视频重合，字号随视频高度缩放
+   */
+  const updateLayout = () => {
+    Object.assign(overlay.style, {
+      left: `${video.offsetLeft}px`,
+      top: `${video.offsetTop}px`,
+      width: `${video.offsetWidth}px`,
+      height: `${video.offsetHeight}px`
+    })
+    lines.style.fontSize = `${Math.max(
+      12,
+      Math.min(32, video.offsetHeight * 0.045)
+    )}px`
+  }
+
+  const renderControls = () => {
+    controls.replaceChildren(
+      ...CONTROLS.map((item) => {
+        const button = document.createElement("span")
+        button.textContent = item.label
+        button.toggleAttribute("data-active", item.value === mode)
+        button.addEventListener("click", (e) => {
+          e.stopPropagation()
+          if (item.value === "off") {
+            stop()
+            onStop?.()
+            return
+          }
+          setMode(item.value)
+          onModeChange?.(item.value)
+        })
+        return button
+      })
+    )
+  }
+
+  /**
+   * 播放位置之后一段时间内还没有翻译的字幕
+   */
+  const collectAhead = () => {
+    const from = video.currentTime
+    const texts: string[] = []
+    for (const cue of Array.from(track.cues || [])) {
+      if (cue.endTime < from) continue
+      if (cue.startTime > from + LOOKAHEAD_SECONDS) break
+      const text = getCueText(cue)
+      if (
+        !text ||
+        texts.includes(text) ||
+        translations.has(text) ||
+        pending.has(text) ||
+        Date.now() - (failed.get(text) || 0) < RETRY_DELAY
+      ) {
+        continue
+      }
+      texts.push(text)
+    }
+    return texts
+  }
+
+  /**
+   * 翻译一批字幕，完成后继续翻译后面的字幕
+   */
+  const runBatch = async (texts: string[]) => {
+    running++
+    texts.forEach((text) => pending.add(text))
+    try {
+      const results = await translateBatch(texts)
+      texts.forEach((text, index) => {
+        if (results[index]) {
+          translations.set(text, results[index])
+          failed.delete(text)
+        } else {
+          failed.set(text, Date.now())
+        }
+      })
+    } catch (err) {
+      console.error("字幕翻译批次失败:", err)
+      texts.forEach((text) => failed.set(text, Date.now()))
+    } finally {
+      running--
+      texts.forEach((text) => pending.delete(text))
+      if (!stopped) {
+        render()
+        fill()
+      }
+    }
+  }
+
+  /**
+   * 在并发上限内按播放顺序发出翻译批次
+   */
+  const fill = () => {
+    if (stopped) return
+    let ahead = collectAhead()
+    while (running < MAX_CONCURRENT && ahead.length > 0) {
+      const batch: string[] = []
+      let chars = 0
+      for (const text of ahead) {
+        if (
+          batch.length > 0 &&
+          (batch.length >= BATCH_SIZE || chars + text.length > BATCH_CHARS)
+        ) {
+          break
+        }
+        batch.push(text)
+        chars += text.length
+      }
+      ahead = ahead.slice(batch.length)
+      runBatch(batch)
+    }
+  }
+
+  const handlePause = () => overlay.toggleAttribute("data-paused", video.paused)
+
+  // 视频本身全屏时浮层不可见，临时恢复浏览器绘制的原字幕
+  const handleFullscreenChange = () => {
+    const videoFullscreen = document.fullscreenElement === video
+    overlay.style.display = videoFullscreen ? "none" : ""
+    track.mode = videoFullscreen ? "showing" : "hidden"
+    updateLayout()
+  }
+
+  const resizeObserver = new ResizeObserver(updateLayout)
+
+  /**
+   * 切换显示模式
+   * @param value - both / original / translation
+   */
+  const setMode = (value: string) => {
+    mode = value
+    overlay.setAttribute("data-mode", value)
+    renderControls()
+  }
+
+  /**
+   * 停止翻译并移除浮层
+   * @param restoreTrack - 是否恢复浏览器绘制的原字幕，用户切换到其他字幕时不恢复
+   */
+  const stop = (restoreTrack = true) => {
+    if (stopped) return
+    stopped = true
+    resizeObserver.disconnect()
+    track.removeEventListener("cuechange", render)
+    video.removeEventListener("timeupdate", fill)
+    video.removeEventListener("seeked", fill)
+    video.removeEventListener("play", handlePause)
+    video.removeEventListener("pause", handlePause)
+    document.removeEventListener("fullscreenchange", handleFullscreenChange)
+    overlay.remove()
+    if (track.mode === "hidden") {
+      track.mode = restoreTrack ? "showing" : "disabled"
+    }
+  }
+
+  track.mode = "hidden"
+  setMode(mode)
+  updateLayout()
+  handlePause()
+  render()
+  resizeObserver.observe(video)
+  track.addEventListener("cuechange", render)
+  // 播放和跳转后继续翻译后面的字幕；WebVTT文件加载完成前没有字幕，之后的timeupdate会补上
+  video.addEventListener("timeupdate", fill)
+  video.addEventListener("seeked", fill)
+  video.addEventListener("play", handlePause)
+  video.addEventListener("pause", handlePause)
+  document.addEventListener("fullscreenchange", handleFullscreenChange)
+  fill()
+
+  return { track, setMode, stop }
+}
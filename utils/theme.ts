@@ -0,0 +1,77 @@
+/**
+ * 划词翻译界面的主题
+ * 颜色定义在 contents/translate.css 的CSS变量中，这里只决定使用浅色还是深色
+ */
+
+export const THEME_OPTIONS = [
+  { label: "浅色", value: "light" },
+  { label: "深色", value: "dark" },
+  { label: "跟随系统", value: "system" },
+  { label: "跟随网页", value: "page" }
+]
+
+export const DEFAULT_THEME = "page"
+export const DEFAULT_FONT_SIZE = 14
+export const DEFAULT_POPUP_WIDTH = 350
+
+const DARK_QUERY = "(prefers-color-scheme: dark)"
+
+/**
+ * 系统是否处于深色模式
+ */
+export const prefersDark = () =>
+  typeof matchMedia === "function" && matchMedia(DARK_QUERY).matches
+
+/**
+ * 解析 rgb()/rgba() 格式的颜色
+ * @returns 完全透明或无法解析时返回null
+ */
+const parseRgb = (color: string) => {
+  const match = color.match(/rgba?\(([^)]+)\)/)
+  if (!match) return null
+  const [r, g, b, a = 1] = match[1].split(/[\s,/]+/).map(Number)
+  return a === 0 ? null : { r, g, b }
+}
+
+/**
+ * 网页的背景是否为深色
+ * 依次检查body和html的背景色，都是透明时按网页声明的color-scheme判断
+ */
+export const isPageDark = () => {
+  for (const element of [document.body, document.documentElement]) {
+    if (!element) continue
+    const rgb = parseRgb(getComputedStyle(element).backgroundColor)
+    if (rgb) {
+      // 相对亮度（ITU-R BT.601），小于一半视为深色
+      return (rgb.r * 299 + rgb.g * 587 + rgb.b * 114) / 1000 < 128
+    }
+  }
+  return getComputedStyle(document.documentElement).colorScheme === "dark"
+}
+
+/**
+ * 把主题设置换算为实际使用的浅色或深色
+ * @param theme - light / dark / system / page
+ */
+export const resolveTheme = (theme = DEFAULT_THEME): "light" | "dark" => {
+  switch (theme) {
+    case "light":
+    case "dark":
+      return theme
+    case "page":
+      return isPageDark() ? "dark" : "light"
+    default:
+      return prefersDark() ? "dark" : "light"
+  }
+}
+
+/**
+ * 监听系统深色模式的变化
+ * @returns 取消监听的函数
+ */
+export const watchSystemTheme = (callback: () => void) => {
+  if (typeof matchMedia !== "function") return () => {}
+  const query = matchMedia(DARK_QUERY)
+  query.addEventListener("change", callback)
+  return () => query.removeEventListener("change", callback)
+}
@@ -0,0 +1,99 @@
+import { ERROR_CODES, TranslateError } from "~utils/errors"
+
+/**
+ * 流式翻译客户端
+ * 每次翻译新建一个到background的端口，逐段接收译文；停止时直接断开端口。
+ * 超出输出上限的长文本由后台分段翻译，即使关闭了流式输出也走这里，以便显示分段进度
+ */
+
+const PORT_NAME = "translate-stream"
+
+/**
+ * 发起一次流式翻译
+ * @param {Object} options
+ * @param {string} options.text - 待翻译文本
+ * @param {Object} options.apiConfig - API配置
+ * @param {string} options.targetLang - 目标语言，为空时由后台按规则决定
+ * @param {boolean} options.bypassCache - 跳过缓存重新翻译
+ * @param {string} options.templateId - 提示词模板ID
+ * @param {string} options.context - 原文的上下文
+ * @param {boolean} options.markdown - 原文是否为保留格式的Markdown
+ * @param {Function} options.onChunk - 收到增量译文时回调，参数为当前完整译文
+ * @param {Function} options.onReasoning - 模型处于思考阶段时回调
+ * @param {Function} options.onProgress - 分段翻译时每完成一段回调，参数为 { done, failed, total }
+ * @param {Function} options.onDone - 翻译完成时回调，参数为最终译文
+ * @param {Function} options.onError - 出错时回调，参数为TranslateError
+ * @returns {{ stop: Function }} 调用stop中止翻译
+ */
+export const streamTranslate = ({
+  text,
+  apiConfig,
+  targetLang,
+  bypassCache = false,
+  templateId,
+  context,
+  markdown = false,
+  onChunk,
+  onReasoning,
+  onProgress,
+  onDone,
+  onError
+}) => {
+  const port = chrome.runtime.connect({ name: PORT_NAME })
+  let finished = false
+
+  const finish = () => {
+    finished = true
+    port.disconnect()
+  }
+
+  port.onMessage.addListener((msg) => {
+    if (finished) return
+
+    switch (msg.type) {
+      case "reasoning":
+        onReasoning?.()
+        break
+      case "progress":
+        onProgress?.(msg.progress)
+        break
+      case "chunk":
+        onChunk?.(msg.text)
+        break
+      case "done":
+        finish()
+        onDone?.(msg.text)
+        break
+      case "error":
+        finish()
+        onError?.(new TranslateError(msg.code, msg.error))
+        break
+    }
+  })
+
+  // background被回收等情况导致端口意外断开
+  port.onDisconnect.addListener(() => {
+    if (finished) return
+    finished = true
+    onError?.(new TranslateError(ERROR_CODES.NETWORK, "与后台的连接已断开"))
+  })
+
+  port.postMessage({
+    name: PORT_NAME,
+    body: {
+      text,
+      apiConfig,
+      targetLang,
+      bypassCache,
+      templateId,
+      context,
+      markdown
+    }
+  })
+
+  return {
+    stop: () => {
+      if (!finished) finish()
+    }
+  }
+}
@@ -0,0 +1,166 @@
+/**
+ * token用量与费用估算
+ * 每次请求的用量按 天 / 服务商 / 模型 / 网站 汇总后保存在本地，
+ * 价格和每月预算保存在 chrome.storage.sync 的 usageSettings 键下
+ */
+
+export const USAGE_SETTINGS_KEY = "usageSettings"
+
+export interface ModelPricing {
+  // 模型名，与API配置中的模型一致，例如 deepseek-chat
+  model: string
+  // 每百万输入token的价格
+  input: number
+  // 每百万输出token的价格
+  output: number
+}
+
+export interface UsageSettings {
+  // 货币符号，仅用于显示
+  currency: string
+  pricing: ModelPricing[]
+  // 每月预算，为0时不提醒
+  monthlyBudget: number
+}
+
+export const DEFAULT_USAGE_SETTINGS: UsageSettings = {
+  currency: "¥",
+  pricing: [],
+  monthlyBudget: 0
+}
+
+export interface UsageRecord {
+  // 本地日期，YYYY-MM-DD
+  day: string
+  provider: string
+  model: string
+  // 发起翻译的网站域名，扩展页面中为空
+  site: string
+  requests: number
+  inputTokens: number
+  outputTokens: number
+  // 机器翻译类服务商按字符计费，记录提交的字符数
+  characters: number
+}
+
+export interface UsageTotals {
+  requests: number
+  inputTokens: number
+  outputTokens: number
+  characters: number
+  cost: number
+}
+
+const pad = (value: number) => String(value).padStart(2, "0")
+
+/**
+ * 本地日期，例如 "2025-03-08"
+ */
+export const getDayKey = (time = Date.now()) => {
+  const date = new Date(time)
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(
+    date.getDate()
+  )}`
+}
+
+/**
+ * 本地月份，例如 "2025-03"，用于筛选当月的记录
+ */
+export const getMonthKey = (time = Date.now()) => getDayKey(time).slice(0, 7)
+
+/**
+ * 估算一条记录的费用，没有设置价格的模型按0计算
+ * @param record - 用量记录
+ * @param pricing - 各模型的价格
+ */
+export const estimateCost = (
+  record: Pick<UsageRecord, "model" | "inputTokens" | "outputTokens">,
+  pricing: ModelPricing[] = []
+) => {
+  const price = pricing.find(
+    (item) => item.model.trim().toLowerCase() === record.model.toLowerCase()
+  )
+  if (!price) return 0
+  return (
+    (record.inputTokens * (price.input || 0) +
+      record.outputTokens * (price.output || 0)) /
+    1000000
+  )
+}
+
+/**
+ * 汇总多条记录
+ */
+export const sumUsage = (
+  records: UsageRecord[],
+  pricing: ModelPricing[] = []
+): UsageTotals =>
+  records.reduce(
+    (totals, record) => ({
+      requests: totals.requests + record.requests,
+      inputTokens: totals.inputTokens + record.inputTokens,
+      outputTokens: totals.outputTokens + record.outputTokens,
+      characters: totals.characters + record.characters,
+      cost: totals.cost + estimateCost(record, pricing)
+    }),
+    { requests: 0, inputTokens: 0, outputTokens: 0, characters: 0, cost: 0 }
+  )
+
+/**
+ * 按字段分组汇总，结果按费用和token数从高到低排列
+ * @param records - 用量记录
+ * @param getKey - 分组依据，例如按模型、按网站
+ * @param pricing - 各模型的价格
+ */
+export const groupUsage = (
+  records: UsageRecord[],
+  getKey: (record: UsageRecord) => string,
+  pricing: ModelPricing[] = []
+) => {
+  const groups = new Map<string, UsageRecord[]>()
+  records.forEach((record) => {
+    const key = getKey(record)
+    groups.set(key, [...(groups.get(key) || []), record])
+  })
+  return Array.from(groups, ([key, items]) => ({
+    key,
+    ...sumUsage(items, pricing)
+  })).sort(
+    (a, b) =>
+      b.cost - a.cost ||
+      b.inputTokens + b.outputTokens - (a.inputTokens + a.outputTokens)
+  )
+}
+
+/**
+ * 当月费用是否超出预算
+ * @param records - 用量记录
+ * @param settings - 价格和预算
+ */
+export const isOverBudget = (
+  records: UsageRecord[],
+  settings: UsageSettings
+) => {
+  if (!settings?.monthlyBudget) return false
+  const month = getMonthKey()
+  const cost = sumUsage(
+    records.filter((record) => record.day.startsWith(month)),
+    settings.pricing
+  ).cost
+  return cost > settings.monthlyBudget
+}
+
+/**
+ * 显示费用，金额较小时保留更多小数
+ */
+export const formatCost = (cost: number, currency = "") =>
+  `${currency}${cost.toFixed(cost > 0 && cost < 1 ? 4 : 2)}`
+
+/**
+ * 显示token数，例如 12.3k、1.2M
+ */
+export const formatTokens = (count: number) => {
+  if (count >= 1000000) return `${(count / 1000000).toFixed(1)}M`
+  if (count >= 1000) return `${(count / 1000).toFixed(1)}k`
+  return String(count)
+}